@@ -2,7 +2,7 @@ import os from "node:os";
 import path from "node:path";
 import process from "node:process";
 
-import { MlxClient } from "../../../packages/ai-sdk-provider-mlx/src/client.js";
+import { MlxClient } from "@mlx-ts/core";
 
 async function main() {
   // 1) Point at your built mlx-host executable
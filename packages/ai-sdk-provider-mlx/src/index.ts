@@ -1,4 +1,2 @@
-export * from "./aiSdk.js";
-export * from "./client.js";
+export * from "@mlx-ts/core";
 export * from "./provider.js";
-export * from "./wire.js";
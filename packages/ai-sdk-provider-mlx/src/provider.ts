@@ -1,16 +1,15 @@
-import type { ChatMessage, GenerateRequest, StreamEvent } from "./wire.js";
-import { MlxClient, type MlxClientOptions } from "./client.js";
+import { MlxClient, type ChatMessage, type GenerateRequest, type MlxClientOptions, type StreamEvent } from "@mlx-ts/core";
 
 export type MlxProviderOptions = MlxClientOptions & {
   /** Default model used if none is specified. */
   defaultModel?: string;
 };
 
+export type MlxChatProviderOptions = MlxProviderOptions;
+
 /**
- * Lightweight provider wrapper (no hard dependency on `ai` at runtime).
- * You can either use this directly, or adapt it to AI SDK custom provider shape.
- *
- * See: https://ai-sdk.dev/providers/community-providers/custom-providers
+ * Lightweight chat wrapper (no hard dependency on `ai` at runtime). For the AI SDK use
+ * `createMlxAiSdkProvider`.
  */
 export function createMlxProvider(opts: MlxProviderOptions = {}) {
   const client = new MlxClient(opts);
@@ -34,4 +33,7 @@ export function createMlxProvider(opts: MlxProviderOptions = {}) {
   };
 }
 
+/** `createMlxProvider` under a name that says what it is. */
+export const createMlxChatProvider = createMlxProvider;
+
 
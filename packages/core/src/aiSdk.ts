@@ -0,0 +1,720 @@
+import { createRequire } from "node:module";
+
+import type {
+  EmbeddingModel,
+  FinishReason as LanguageModelV1FinishReason,
+  LanguageModelV1,
+  LanguageModelV1CallOptions,
+  LanguageModelV1StreamPart,
+} from "ai";
+
+import { MlxClient, type MlxClientOptions } from "./client.js";
+import { MlxCancelledError, MlxUnsupportedError } from "./errors.js";
+import { normalizeImage } from "./images.js";
+import { createJsonStreamExtractor, extractJson, renderJsonInstruction, renderJsonRetry, type JsonOutputSpec } from "./json.js";
+import { DEFAULT_THINK_TAGS, createThinkParser, type ThinkSegment, type ThinkTags } from "./textFilters.js";
+import {
+  createToolCallParser,
+  parseToolCalls,
+  renderToolCall,
+  renderToolResult,
+  renderToolsPrompt,
+  resolveToolCallFormat,
+  type LanguageModelV1FunctionTool,
+  type ToolCallFormat,
+  type ToolParseEvent,
+} from "./tools.js";
+import type { RequestPriority } from "./scheduler.js";
+import type {
+  ChatMessage,
+  ContentPart,
+  DownloadProgress,
+  EmbeddingPooling,
+  FinishReason,
+  GenerateRequest,
+  Sampling,
+  TextPart,
+} from "./wire.js";
+
+export type MlxAiSdkProviderOptions = MlxClientOptions & {
+  /**
+   * Where Hugging Face model files should be downloaded.
+   * Passed through to mlx-host `model.download`.
+   */
+  modelsDir?: string;
+
+  /**
+   * Automatically download+load the model on first call.
+   * Default: true
+   */
+  autoPrepareModel?: boolean;
+
+  /** Progress of the automatic first-use download (see `MlxClient.downloadModel`). */
+  onDownloadProgress?: (progress: DownloadProgress) => void;
+
+  /**
+   * How tools are rendered into the prompt and parsed back out of the output.
+   * Default: "auto" (Llama-style for Llama models, Hermes/Qwen `<tool_call>` tags otherwise).
+   */
+  toolCallFormat?: ToolCallFormat | "auto";
+
+  /**
+   * For JSON output (`generateObject`, `responseFormat: json`): how many times to re-ask the
+   * model, feeding back the parse/schema errors, before returning the invalid output.
+   * Default: 0
+   */
+  jsonRetries?: number;
+
+  /** Largest accepted image (user image parts, after decoding/fetching). Default: 20 MiB. */
+  maxImageBytes?: number;
+
+  /**
+   * Keep at most this many models loaded in the shared host; loading another one unloads the
+   * least recently used idle model first. Default: unlimited.
+   */
+  maxLoadedModels?: number;
+};
+
+/** Per-model defaults, passed as the second argument to `languageModel()`. */
+export type MlxModelSettings = {
+  /** Sampling defaults; per-call settings (temperature, topP, ...) win. */
+  sampling?: Sampling;
+  /** Default `maxTokens` when the call doesn't set one. */
+  maxTokens?: number;
+  /** System prompt placed before (merged into) the prompt's own system message. */
+  system?: string;
+  /** Scheduler queue class for this model's requests (see `MlxClientOptions.scheduler`). */
+  priority?: RequestPriority;
+  /**
+   * Turn the chat template's thinking mode on/off (`enable_thinking`, e.g. Qwen3). Per call:
+   * `providerOptions: { "mlx-ts": { thinking } }`. Default: the template's own default.
+   */
+  thinking?: boolean;
+  /**
+   * Tags around reasoning in the output; it is returned as AI SDK reasoning instead of text.
+   * `false` leaves it in the text. Default: `<think>` / `</think>`.
+   */
+  reasoningTags?: ThinkTags | false;
+};
+
+/** Tools to render for this call (undefined if the model shouldn't see any). */
+type ToolSetup = { format: ToolCallFormat; prompt: string };
+
+/** Per-model options, passed as the second argument to `textEmbeddingModel()`. */
+export type MlxEmbeddingSettings = {
+  /** Default: the model's own pooling config. */
+  pooling?: EmbeddingPooling;
+  /** L2-normalize the vectors. Default: true. */
+  normalize?: boolean;
+  /** Texts per call; `embedMany` splits larger inputs into several calls. Default: 32. */
+  maxEmbeddingsPerCall?: number;
+};
+
+// `ai` is an optional peer dependency (the rest of this package works without it), so its
+// error classes are only imported once the adapter has an error to report.
+let aiSdk: Promise<typeof import("ai")> | undefined;
+let loadedAiSdk: typeof import("ai") | undefined;
+const loadAiSdk = () => (aiSdk ??= import("ai").then((sdk) => (loadedAiSdk = sdk)));
+
+/** What failed, for the `ai` error built from it. */
+type FailedCall = {
+  modelId: string;
+  modelType: "languageModel" | "textEmbeddingModel";
+  requestType: string;
+  /** The prompt / texts sent. */
+  input: unknown;
+};
+
+/**
+ * The `ai` error for a failed call (matched on `code`, so it works for stream error events too),
+ * so the SDK's retries see what happened: transient failures (timeout, full queue, lost
+ * connection, download) are retryable `APICallError`s, a missing model is `NoSuchModelError`
+ * and a missing host capability `UnsupportedFunctionalityError`. Aborts and `ai` errors pass
+ * through; anything else is blamed on the prompt.
+ */
+async function toSdkError(err: any, call: FailedCall): Promise<unknown> {
+  // Called straight, without `ai` installed: there's nothing to map to.
+  const sdk = await loadAiSdk().catch(() => undefined);
+  if (!sdk) return err;
+  const { AISDKError, APICallError, InvalidPromptError, NoSuchModelError, UnsupportedFunctionalityError } = sdk;
+  if (err instanceof MlxCancelledError || err?.code === "cancelled" || AISDKError.isInstance(err)) return err;
+  const message = String(err?.message ?? err);
+  const apiCallError = (isRetryable: boolean, statusCode?: number) =>
+    new APICallError({
+      message,
+      url: `mlx-host://${call.requestType}`,
+      requestBodyValues: call.input,
+      statusCode,
+      isRetryable,
+      cause: err,
+      data: { code: err?.code },
+    });
+
+  switch (err?.code) {
+    case "timeout":
+      return apiCallError(true, 408);
+    case "queue_full":
+      return apiCallError(true, 429);
+    case "disconnected":
+    case "download_failed":
+      return apiCallError(true);
+    case "unauthorized":
+      return apiCallError(false, 401);
+    case "protocol_error":
+    case "stream_error":
+      return apiCallError(false);
+    case "model_not_found":
+      return new NoSuchModelError({ modelId: call.modelId, modelType: call.modelType, message });
+    case "unsupported":
+      return new UnsupportedFunctionalityError({ functionality: err instanceof MlxUnsupportedError ? err.feature : message, message });
+  }
+  return new InvalidPromptError({ prompt: call.input, message, cause: err });
+}
+
+async function unsupportedError(functionality: string, message: string): Promise<Error> {
+  const { UnsupportedFunctionalityError } = await loadAiSdk();
+  return new UnsupportedFunctionalityError({ functionality, message });
+}
+
+/**
+ * Thrown synchronously by `languageModel()` / `textEmbeddingModel()`, so `ai` is required here
+ * if `loadAiSdk()` hasn't loaded it yet. Without `ai` installed it only mimics the error.
+ */
+function modelIdRequired(modelId: string, modelType: FailedCall["modelType"]): Error {
+  const message = "mlx-ts: modelId is required";
+  let sdk = loadedAiSdk;
+  try {
+    sdk ??= createRequire(import.meta.url)("ai") as typeof import("ai");
+  } catch {
+    return Object.assign(new Error(message), { name: "AI_NoSuchModelError", modelId, modelType });
+  }
+  return new sdk.NoSuchModelError({ modelId, modelType, message });
+}
+
+function toolSetupFor(options: LanguageModelV1CallOptions, format: ToolCallFormat): ToolSetup | undefined {
+  const mode = options.mode;
+  if (mode?.type === "object-tool") {
+    return { format, prompt: renderToolsPrompt([mode.tool], format, `You must call the function "${mode.tool.name}".`) };
+  }
+  if (mode?.type !== "regular") return undefined;
+
+  const choice = mode.toolChoice ?? { type: "auto" };
+  let tools = (mode.tools ?? []).filter((t): t is LanguageModelV1FunctionTool => t.type === "function");
+  if (tools.length === 0 || choice.type === "none") return undefined;
+
+  let instruction: string | undefined;
+  if (choice.type === "required") instruction = "You must call at least one of the functions.";
+  if (choice.type === "tool") {
+    tools = tools.filter((t) => t.name === choice.toolName);
+    instruction = `You must call the function "${choice.toolName}".`;
+  }
+  return { format, prompt: renderToolsPrompt(tools, format, instruction) };
+}
+
+/** JSON output requested by `object-json` mode or `responseFormat: { type: "json" }`. */
+function jsonSpecFor(options: LanguageModelV1CallOptions): JsonOutputSpec | undefined {
+  if (options.mode?.type === "object-json") {
+    return { schema: options.mode.schema as any, name: options.mode.name, description: options.mode.description };
+  }
+  if (options.mode?.type === "regular" && options.responseFormat?.type === "json") {
+    const rf = options.responseFormat;
+    return { schema: rf.schema as any, name: rf.name, description: rf.description };
+  }
+  return undefined;
+}
+
+async function promptToChatMessages(
+  prompt: LanguageModelV1CallOptions["prompt"],
+  tools?: ToolSetup,
+  json?: JsonOutputSpec,
+  maxImageBytes?: number
+): Promise<ChatMessage[]> {
+  const out: ChatMessage[] = [];
+  const format = tools?.format ?? "hermes";
+
+  for (const msg of prompt) {
+    if (msg.role === "system") {
+      out.push({ role: "system", content: msg.content });
+      continue;
+    }
+
+    if (msg.role === "user") {
+      const parts: ContentPart[] = [];
+      for (const part of msg.content) {
+        if (part.type === "text") {
+          const last = parts[parts.length - 1];
+          if (last?.type === "text") last.text += part.text;
+          else parts.push({ type: "text", text: part.text });
+        } else if (part.type === "image") {
+          parts.push(await normalizeImage(part.image, { mimeType: part.mimeType, maxBytes: maxImageBytes }));
+        } else if (part.type === "file" && part.mimeType.startsWith("image/")) {
+          parts.push(await normalizeImage(part.data, { mimeType: part.mimeType, maxBytes: maxImageBytes }));
+        } else {
+          const kind = part.type === "file" ? `file (${part.mimeType})` : (part as { type: string }).type;
+          throw await unsupportedError(`${kind} user parts`, `mlx-ts only supports text and image user parts. Got: ${kind}`);
+        }
+      }
+      // Plain string unless there's an image, so text-only hosts/templates see what they always did.
+      const textOnly = parts.every((p) => p.type === "text");
+      out.push({ role: "user", content: textOnly ? parts.map((p) => (p as TextPart).text).join("") : parts });
+      continue;
+    }
+
+    if (msg.role === "assistant") {
+      let text = "";
+      for (const part of msg.content) {
+        if (part.type === "text") text += part.text;
+        else if (part.type === "reasoning") continue;
+        else if (part.type === "tool-call") text += (text ? "\n" : "") + renderToolCall(part, format);
+        else {
+          throw await unsupportedError(`${part.type} assistant parts`, `mlx-ts does not support assistant part: ${part.type}`);
+        }
+      }
+      out.push({ role: "assistant", content: text });
+      continue;
+    }
+
+    // mlx-host only knows system/user/assistant; tool results go back as a user turn,
+    // which is also how the Qwen/Hermes chat templates render them.
+    if (msg.role === "tool") {
+      out.push({ role: "user", content: msg.content.map((part) => renderToolResult(part, format)).join("\n") });
+      continue;
+    }
+
+    throw await unsupportedError(`${(msg as any).role} messages`, `mlx-ts does not support role: ${(msg as any).role}`);
+  }
+
+  const extra = [tools?.prompt, json && renderJsonInstruction(json)].filter(Boolean).join("\n\n");
+  if (extra) {
+    if (out[0]?.role === "system") out[0] = { role: "system", content: `${out[0].content}\n\n${extra}` };
+    else out.unshift({ role: "system", content: extra });
+  }
+
+  return out;
+}
+
+function emitToolParseEvents(controller: ReadableStreamDefaultController<LanguageModelV1StreamPart>, events: ToolParseEvent[]) {
+  for (const ev of events) {
+    if (ev.type === "text") {
+      if (ev.text) controller.enqueue({ type: "text-delta", textDelta: ev.text });
+      continue;
+    }
+    const { toolCallId, toolName, args } = ev.call;
+    controller.enqueue({ type: "tool-call-delta", toolCallType: "function", toolCallId, toolName, argsTextDelta: args });
+    controller.enqueue({ type: "tool-call", toolCallType: "function", toolCallId, toolName, args });
+  }
+}
+
+/** Tool calls win; a stop sequence is a normal stop; unset means an older host that doesn't report it. */
+function toFinishReason(reason: FinishReason | undefined, sawToolCall: boolean): LanguageModelV1FinishReason {
+  if (sawToolCall) return "tool-calls";
+  switch (reason) {
+    case "stop":
+    case "stop-sequence":
+      return "stop";
+    case "length":
+      return "length";
+    case "cancelled":
+      return "other";
+    case "error":
+      return "error";
+    default:
+      return "unknown";
+  }
+}
+
+/** Separates reasoning from the answer in a complete response. */
+function splitReasoning(text: string, tags: ThinkTags | false): { text: string; reasoning?: string } {
+  if (!tags) return { text };
+  const parser = createThinkParser(tags);
+  const segments = [...parser.push(text), ...parser.flush()];
+  const join = (type: "text" | "reasoning") =>
+    segments
+      .filter((s) => s.type === type)
+      .map((s) => s.text)
+      .join("");
+  return { text: join("text"), reasoning: join("reasoning") || undefined };
+}
+
+function applySystemPrompt(messages: ChatMessage[], system?: string): ChatMessage[] {
+  if (!system) return messages;
+  if (messages[0]?.role === "system") {
+    return [{ role: "system", content: `${system}\n\n${messages[0].content}` }, ...messages.slice(1)];
+  }
+  return [{ role: "system", content: system }, ...messages];
+}
+
+function warningsFor(options: LanguageModelV1CallOptions) {
+  const warnings: any[] = [];
+  if (options.topK != null)
+    warnings.push({
+      type: "unsupported-setting",
+      setting: "topK",
+      details: "MLXLMCommon does not expose topK in GenerateParameters.",
+    });
+  if (options.seed != null)
+    warnings.push({
+      type: "unsupported-setting",
+      setting: "seed",
+      details: "MLXLMCommon does not expose seed in GenerateParameters.",
+    });
+  if (options.presencePenalty != null) warnings.push({ type: "unsupported-setting", setting: "presencePenalty" });
+  if (options.frequencyPenalty != null) warnings.push({ type: "unsupported-setting", setting: "frequencyPenalty" });
+  if (options.mode?.type === "regular") {
+    for (const tool of options.mode.tools ?? []) {
+      if (tool.type === "provider-defined") {
+        warnings.push({ type: "unsupported-tool", tool, details: "Provider-defined tools are not supported." });
+      }
+    }
+  }
+  return warnings as any[];
+}
+
+export function createMlxAiSdkProvider(opts: MlxAiSdkProviderOptions = {}) {
+  const providerName = "mlx-ts";
+  const client = new MlxClient(opts);
+  const autoPrepareModel = opts.autoPrepareModel ?? true;
+  const jsonRetries = opts.jsonRetries ?? 0;
+  const toolCallFormat = (modelId: string) => resolveToolCallFormat(modelId, opts.toolCallFormat);
+
+  // One download+load per model, shared by all callers; iteration order doubles as LRU order.
+  const prepared = new Map<string, Promise<void>>();
+  const inFlight = new Map<string, number>();
+  // A fresh host has nothing loaded (a reconnecting client restores models itself, and
+  // re-preparing a loaded model is cheap).
+  client.on("disconnected", () => prepared.clear());
+
+  // Embedding models are only downloaded here; the host loads them on the first `inference.embed`.
+  async function ensurePrepared(modelId: string, signal?: AbortSignal, kind: "language" | "embedding" = "language") {
+    if (!autoPrepareModel) return;
+    await client.connect();
+
+    let p = prepared.get(modelId);
+    if (p) {
+      prepared.delete(modelId);
+      prepared.set(modelId, p);
+    } else {
+      p = (async () => {
+        await evictFor(modelId);
+        // No caller's signal: aborting one call must not fail the others waiting on it.
+        await client.downloadModel({ kind: "huggingface", repo: modelId }, {
+          modelsDir: opts.modelsDir,
+          onProgress: opts.onDownloadProgress,
+        });
+        if (kind === "language") await client.loadModel(modelId, { modelsDir: opts.modelsDir });
+      })();
+      prepared.set(modelId, p);
+      const mine = p;
+      p.catch(() => {
+        if (prepared.get(modelId) === mine) prepared.delete(modelId);
+      });
+    }
+    await untilAborted(p, signal, modelId);
+  }
+
+  async function evictFor(modelId: string) {
+    const max = opts.maxLoadedModels;
+    if (!max || max < 1) return;
+    const others = [...prepared.keys()].filter((m) => m !== modelId);
+    let excess = others.length + 1 - max;
+    for (const victim of others) {
+      if (excess <= 0) return;
+      // Busy models stay loaded; we go over the limit rather than fail the request.
+      if ((inFlight.get(victim) ?? 0) > 0) continue;
+      prepared.delete(victim);
+      excess--;
+      await client.unloadModel(victim).catch(() => {});
+    }
+  }
+
+  function acquire(modelId: string): () => void {
+    inFlight.set(modelId, (inFlight.get(modelId) ?? 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      inFlight.set(modelId, (inFlight.get(modelId) ?? 1) - 1);
+    };
+  }
+
+  return {
+    /** The underlying client, e.g. to subscribe to lifecycle events. */
+    client,
+
+    languageModel(modelId: string, settings: MlxModelSettings = {}): LanguageModelV1 {
+      if (!modelId) {
+        throw modelIdRequired(modelId, "languageModel");
+      }
+
+      const reasoningTags = settings.reasoningTags ?? DEFAULT_THINK_TAGS;
+      // Per-call `providerOptions: { "mlx-ts": { ... } }`.
+      const callOption = (options: LanguageModelV1CallOptions, key: string) => options.providerMetadata?.[providerName]?.[key];
+      // `enable_thinking` for templates that support it; the per-call provider option wins.
+      const templateKwargsFor = (options: LanguageModelV1CallOptions) => {
+        const perCall = callOption(options, "thinking");
+        const thinking = typeof perCall === "boolean" ? perCall : settings.thinking;
+        return thinking != null ? { enable_thinking: thinking } : undefined;
+      };
+      // Agent loops that pass the same `sessionId` every step get the host's prompt-prefix cache.
+      const sessionIdFor = (options: LanguageModelV1CallOptions) => {
+        const sessionId = callOption(options, "sessionId");
+        return typeof sessionId === "string" && sessionId ? sessionId : undefined;
+      };
+
+      const buildRequest = async (
+        options: LanguageModelV1CallOptions,
+        tools: ToolSetup | undefined,
+        json: JsonOutputSpec | undefined
+      ): Promise<GenerateRequest> => ({
+        model: modelId,
+        messages: applySystemPrompt(
+          await promptToChatMessages(options.prompt, tools, json, opts.maxImageBytes),
+          settings.system
+        ),
+        maxTokens: options.maxTokens ?? settings.maxTokens,
+        stop: options.stopSequences,
+        sampling: {
+          ...settings.sampling,
+          ...(options.temperature != null ? { temperature: options.temperature } : {}),
+          ...(options.topP != null ? { topP: options.topP } : {}),
+        },
+        responseFormat: json ? { type: "json", ...json } : undefined,
+        chatTemplateKwargs: templateKwargsFor(options),
+        sessionId: sessionIdFor(options),
+      });
+
+      return {
+        specificationVersion: "v1",
+        provider: providerName,
+        modelId,
+        defaultObjectGenerationMode: "json",
+        // Schema-steered prompt + extraction/validation (and optional retries) below.
+        supportsStructuredOutputs: true,
+        // Local files can't be downloaded by the AI SDK; we read them ourselves.
+        supportsUrl: (url: URL) => url.protocol === "file:",
+
+        async doGenerate(options: LanguageModelV1CallOptions) {
+          const warnings = warningsFor(options);
+          const tools = toolSetupFor(options, toolCallFormat(modelId));
+          const json = jsonSpecFor(options);
+          const release = acquire(modelId);
+          try {
+            await ensurePrepared(modelId, options.abortSignal);
+
+            const req = await buildRequest(options, tools, json);
+            const inference = { signal: options.abortSignal, priority: settings.priority, enforceStop: true };
+            let out = await client.generate(req, inference);
+            let { text, reasoning } = splitReasoning(out.text ?? "", reasoningTags);
+            let promptTokens = out.usage?.promptTokens ?? 0;
+            let completionTokens = out.usage?.completionTokens ?? 0;
+
+            if (json) {
+              let extracted = extractJson(text, json.schema);
+              for (let attempt = 0; !extracted.ok && attempt < jsonRetries; attempt++) {
+                req.messages = [
+                  ...req.messages,
+                  { role: "assistant", content: text },
+                  { role: "user", content: renderJsonRetry(extracted.errors) },
+                ];
+                out = await client.generate(req, inference);
+                ({ text, reasoning } = splitReasoning(out.text ?? "", reasoningTags));
+                promptTokens += out.usage?.promptTokens ?? 0;
+                completionTokens += out.usage?.completionTokens ?? 0;
+                extracted = extractJson(text, json.schema);
+              }
+              // Hand the SDK the bare JSON; if it is still invalid it raises NoObjectGeneratedError.
+              text = extracted.text;
+            }
+
+            const parsed = tools ? parseToolCalls(text, tools.format) : { text, toolCalls: [] };
+
+            return {
+              text: parsed.text,
+              reasoning,
+              toolCalls: parsed.toolCalls.map((c) => ({ toolCallType: "function" as const, ...c })),
+              finishReason: toFinishReason(out.finishReason, parsed.toolCalls.length > 0),
+              usage: { promptTokens, completionTokens },
+              rawCall: {
+                rawPrompt: options.prompt,
+                rawSettings: {
+                  maxTokens: options.maxTokens,
+                  temperature: options.temperature,
+                  topP: options.topP,
+                  stopSequences: options.stopSequences,
+                },
+              },
+              response: {
+                id: out.requestId,
+                timestamp: new Date(),
+                modelId,
+              },
+              warnings,
+              providerMetadata: {
+                [providerName]: {
+                  timings: out.timings as any,
+                  ...(out.usage?.cachedTokens != null ? { cachedTokens: out.usage.cachedTokens } : {}),
+                  ...(out.stopSequence != null ? { stopSequence: out.stopSequence } : {}),
+                },
+              },
+            };
+          } catch (err) {
+            throw await toSdkError(err, { modelId, modelType: "languageModel", requestType: "inference.generate", input: options.prompt });
+          } finally {
+            release();
+          }
+        },
+
+        async doStream(options: LanguageModelV1CallOptions) {
+          const warnings = warningsFor(options);
+          const requestId = cryptoRandomId();
+          const tools = toolSetupFor(options, toolCallFormat(modelId));
+          const json = jsonSpecFor(options);
+          const failed: FailedCall = { modelId, modelType: "languageModel", requestType: "inference.stream", input: options.prompt };
+          const release = acquire(modelId);
+
+          try {
+            await ensurePrepared(modelId, options.abortSignal);
+          } catch (err) {
+            release();
+            throw await toSdkError(err, failed);
+          }
+
+          const stream = new ReadableStream<LanguageModelV1StreamPart>({
+            start: async (controller) => {
+              const parser = tools ? createToolCallParser(tools.format) : undefined;
+              // Streamed JSON can't be retried; just drop fences/preamble so partial parsing works.
+              const extractJsonText = json ? createJsonStreamExtractor() : undefined;
+              const thinkParser = reasoningTags ? createThinkParser(reasoningTags) : undefined;
+              let sawToolCall = false;
+              const emit = (events: ToolParseEvent[]) => {
+                if (events.some((e) => e.type === "tool-call")) sawToolCall = true;
+                emitToolParseEvents(controller, events);
+              };
+              const emitText = (text: string) => {
+                if (parser) emit(parser.push(text));
+                else emit([{ type: "text", text: extractJsonText ? extractJsonText(text) : text }]);
+              };
+              const emitSegments = (segments: ThinkSegment[]) => {
+                for (const s of segments) {
+                  if (s.type === "reasoning") controller.enqueue({ type: "reasoning", textDelta: s.text });
+                  else emitText(s.text);
+                }
+              };
+
+              try {
+                const req = await buildRequest(options, tools, json);
+                const inference = { requestId, signal: options.abortSignal, priority: settings.priority, enforceStop: true };
+
+                for await (const ev of client.stream(req, inference)) {
+                  if (ev.type === "token") {
+                    if (thinkParser) emitSegments(thinkParser.push(ev.text));
+                    else emitText(ev.text);
+                  } else if (ev.type === "end") {
+                    if (thinkParser) emitSegments(thinkParser.flush());
+                    if (parser) emit(parser.flush());
+                    controller.enqueue({
+                      type: "response-metadata",
+                      id: ev.final.requestId,
+                      timestamp: new Date(),
+                      modelId,
+                    });
+                    controller.enqueue({
+                      type: "finish",
+                      finishReason: toFinishReason(ev.final.finishReason, sawToolCall),
+                      usage: {
+                        promptTokens: ev.final.usage?.promptTokens ?? 0,
+                        completionTokens: ev.final.usage?.completionTokens ?? 0,
+                      },
+                      providerMetadata: {
+                        [providerName]: {
+                          timings: ev.final.timings as any,
+                          ...(ev.final.usage?.cachedTokens != null ? { cachedTokens: ev.final.usage.cachedTokens } : {}),
+                          ...(ev.final.stopSequence != null ? { stopSequence: ev.final.stopSequence } : {}),
+                        },
+                      },
+                    });
+                  } else if (ev.type === "error") {
+                    const error = await toSdkError(Object.assign(new Error(ev.message), { code: ev.code }), failed);
+                    controller.enqueue({ type: "error", error });
+                  }
+                }
+              } catch (err) {
+                controller.enqueue({ type: "error", error: await toSdkError(err, failed) });
+              } finally {
+                release();
+                controller.close();
+              }
+            },
+          });
+
+          return {
+            stream,
+            rawCall: {
+              rawPrompt: options.prompt,
+              rawSettings: {
+                maxTokens: options.maxTokens,
+                temperature: options.temperature,
+                topP: options.topP,
+                stopSequences: options.stopSequences,
+              },
+            },
+            warnings,
+          };
+        },
+      };
+    },
+
+    textEmbeddingModel(modelId: string, settings: MlxEmbeddingSettings = {}): EmbeddingModel<string> {
+      if (!modelId) {
+        throw modelIdRequired(modelId, "textEmbeddingModel");
+      }
+      const maxEmbeddingsPerCall = settings.maxEmbeddingsPerCall ?? 32;
+
+      return {
+        specificationVersion: "v1",
+        provider: providerName,
+        modelId,
+        maxEmbeddingsPerCall,
+        // Calls share one host; the host batches within a call instead.
+        supportsParallelCalls: false,
+
+        async doEmbed({ values, abortSignal }) {
+          const release = acquire(modelId);
+          try {
+            await ensurePrepared(modelId, abortSignal, "embedding");
+            const res = await client.embed(modelId, values, {
+              pooling: settings.pooling,
+              normalize: settings.normalize,
+              batchSize: maxEmbeddingsPerCall,
+              modelsDir: opts.modelsDir,
+              signal: abortSignal,
+            });
+            const tokens = res.usage?.promptTokens;
+            return { embeddings: res.embeddings, usage: tokens != null ? { tokens } : undefined };
+          } catch (err) {
+            throw await toSdkError(err, { modelId, modelType: "textEmbeddingModel", requestType: "inference.embed", input: values });
+          } finally {
+            release();
+          }
+        },
+      };
+    },
+  };
+}
+
+/** `p`, or a `MlxCancelledError` as soon as `signal` aborts (`p` keeps running for other callers). */
+function untilAborted<T>(p: Promise<T>, signal: AbortSignal | undefined, modelId: string): Promise<T> {
+  if (!signal) return p;
+  const cancelled = () => new MlxCancelledError("model.download", modelId);
+  if (signal.aborted) return Promise.reject(cancelled());
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(cancelled());
+    signal.addEventListener("abort", onAbort, { once: true });
+    p.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function cryptoRandomId(): string {
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+}
+
@@ -0,0 +1,151 @@
+import fs from "node:fs";
+
+import type { InferenceOptions, MlxClient } from "./client.js";
+import { MlxCancelledError } from "./errors.js";
+import type { GenerateRequest, GenerateResponse } from "./wire.js";
+
+/** Outcome of one batch request; `index` is its position in the input. */
+export type BatchResult =
+  | { index: number; ok: true; response: GenerateResponse }
+  | { index: number; ok: false; error: { message: string; code?: string } };
+
+export type BatchOptions = {
+  /** Requests in flight at once. Default: 4. */
+  concurrency?: number;
+  /** Called as each request completes (in completion order, not input order). */
+  onResult?: (result: BatchResult) => void | Promise<void>;
+  /**
+   * JSONL file of `BatchResult`s. Successful entries already in it are not re-run (their
+   * results are returned as-is); every new result is appended as soon as it completes.
+   */
+  checkpoint?: string;
+} & Omit<InferenceOptions, "requestId">;
+
+export type LatencyStats = { p50: number; p95: number; mean: number };
+
+export type BatchStats = {
+  total: number;
+  /** Run now (`succeeded + failed`), excluding results resumed from the checkpoint. */
+  completed: number;
+  succeeded: number;
+  failed: number;
+  /** Taken from the checkpoint. */
+  resumed: number;
+  promptTokens: number;
+  completionTokens: number;
+  wallMs: number;
+  /** Completion tokens per second of wall time, across all concurrent requests. */
+  tokensPerSecond: number;
+  latencyMs?: LatencyStats;
+  ttftMs?: LatencyStats;
+};
+
+export type BatchOutput = {
+  /** In input order; requests that never ran (aborted batch) are missing. */
+  results: BatchResult[];
+  /** Over the requests run now. */
+  stats: BatchStats;
+};
+
+/** `MlxClient.generateBatch`: a bounded worker pool over `requests`. */
+export async function runBatch(client: MlxClient, requests: GenerateRequest[], opts: BatchOptions = {}): Promise<BatchOutput> {
+  const { concurrency = 4, onResult, checkpoint, ...inference } = opts;
+  const signal = inference.signal;
+  const start = Date.now();
+
+  const done = new Map<number, BatchResult>();
+  if (checkpoint) {
+    for (const r of readCheckpoint(checkpoint)) {
+      if (r.ok && r.index >= 0 && r.index < requests.length) done.set(r.index, r);
+    }
+  }
+  const resumed = done.size;
+  const pending = requests.map((_, i) => i).filter((i) => !done.has(i));
+
+  const fresh: BatchResult[] = [];
+  // Appends are chained so lines never interleave.
+  let writes = Promise.resolve();
+  const record = async (result: BatchResult) => {
+    done.set(result.index, result);
+    fresh.push(result);
+    if (checkpoint) {
+      const line = JSON.stringify(result) + "\n";
+      writes = writes.then(() => fs.promises.appendFile(checkpoint, line));
+    }
+    await onResult?.(result);
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length && !signal?.aborted) {
+      const index = pending[next++];
+      try {
+        const response = await client.generate(requests[index], { priority: "batch", ...inference });
+        await record({ index, ok: true, response });
+      } catch (err: any) {
+        if (signal?.aborted) break;
+        await record({ index, ok: false, error: { message: String(err?.message ?? err), code: err?.code } });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+  await writes;
+  if (signal?.aborted) throw new MlxCancelledError("generateBatch", "batch");
+
+  return {
+    results: [...done.values()].sort((a, b) => a.index - b.index),
+    stats: batchStats(fresh, requests.length, resumed, Date.now() - start),
+  };
+}
+
+// ---- private ----
+
+function readCheckpoint(file: string): BatchResult[] {
+  let text: string;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err: any) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+  const out: BatchResult[] = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      if (typeof r?.index === "number") out.push(r);
+    } catch {
+      // A line cut short by a crash mid-write; that request just runs again.
+    }
+  }
+  return out;
+}
+
+function batchStats(results: BatchResult[], total: number, resumed: number, wallMs: number): BatchStats {
+  const ok = results.flatMap((r) => (r.ok ? [r.response] : []));
+  const sum = (f: (r: GenerateResponse) => number | undefined) => ok.reduce((n, r) => n + (f(r) ?? 0), 0);
+  const completionTokens = sum((r) => r.usage?.completionTokens);
+  // Queue time counts: it's part of what a caller waits.
+  const latency = (r: GenerateResponse) => (r.timings?.totalMs != null ? r.timings.totalMs + (r.timings.queueMs ?? 0) : undefined);
+  return {
+    total,
+    completed: results.length,
+    succeeded: ok.length,
+    failed: results.length - ok.length,
+    resumed,
+    promptTokens: sum((r) => r.usage?.promptTokens),
+    completionTokens,
+    wallMs,
+    tokensPerSecond: wallMs > 0 ? (completionTokens / wallMs) * 1000 : 0,
+    latencyMs: latencyStats(ok.map(latency)),
+    ttftMs: latencyStats(ok.map((r) => r.timings?.ttftMs)),
+  };
+}
+
+function latencyStats(values: Array<number | undefined>): LatencyStats | undefined {
+  const sorted = values.filter((v): v is number => v != null).sort((a, b) => a - b);
+  if (sorted.length === 0) return undefined;
+  // Nearest-rank percentiles.
+  const at = (p: number) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  return { p50: at(0.5), p95: at(0.95), mean: sorted.reduce((a, b) => a + b, 0) / sorted.length };
+}
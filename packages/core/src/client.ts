@@ -0,0 +1,1058 @@
+import net from "node:net";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import os from "node:os";
+import path from "node:path";
+import { spawn, type ChildProcess } from "node:child_process";
+
+import {
+  MlxCancelledError,
+  MlxConnectionError,
+  MlxError,
+  MlxProtocolError,
+  MlxTimeoutError,
+  MlxUnsupportedError,
+  fromHostError,
+} from "./errors.js";
+import { DEFAULT_MAX_FRAME_BYTES, createFrameDecoder, encodeFrame } from "./framing.js";
+import { runBatch, type BatchOptions, type BatchOutput } from "./batch.js";
+import { getDaemonPaths, startDaemon } from "./daemon.js";
+import { callHook, outcomeOf, type MlxInferenceMetrics, type MlxInstrumentation, type MlxRequestEnd, type MlxRequestStart } from "./instrumentation.js";
+import { ModelCache } from "./modelCache.js";
+import { MlxSession } from "./session.js";
+import { RequestScheduler, type QueueStats, type RequestPriority, type SchedulerOptions, type SchedulerSlot } from "./scheduler.js";
+import { DEFAULT_THINK_TAGS, createTextFilter, type TextFilter, type ThinkTags } from "./textFilters.js";
+import type {
+  DownloadProgress,
+  EmbedRequest,
+  EmbedResponse,
+  GenerateRequest,
+  GenerateResponse,
+  HostCapabilities,
+  RPCEnvelope,
+  ServerInfo,
+  StreamEvent,
+} from "./wire.js";
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+/** Wire protocol spoken by this client. Hosts with another major version are incompatible. */
+export const PROTOCOL_VERSION = "1.0";
+
+export type DownloadSource =
+  | { kind: "huggingface"; repo: string; revision?: string }
+  | { kind: "localPath"; path: string };
+
+export type MlxClientOptions = {
+  /** Path to the `mlx-host` executable. If provided, the client will spawn it. */
+  hostPath?: string;
+  /** Where the daemon should create its unix socket. */
+  socketPath?: string;
+  /**
+   * Use the per-user shared daemon instead of a host of our own: attach to the running one,
+   * or start it detached with `hostPath`. `close()` leaves it running; it exits once no client
+   * has been connected for `idleTimeoutMs`. `socketPath` and `authToken` are ignored.
+   */
+  shared?: boolean | SharedDaemonOptions;
+  /** If you run your own daemon, provide its auth token (otherwise one is generated when spawning). */
+  authToken?: string;
+  /** Stdout/stderr passthrough for debugging. */
+  inheritStdio?: boolean;
+  /** Optional device override forwarded to mlx-host (cpu/gpu). */
+  device?: "cpu" | "gpu";
+  /** Default timeout for every RPC (including streams), in ms. Unset or 0 = wait forever. */
+  requestTimeoutMs?: number;
+  /**
+   * Largest frame sent or accepted, in bytes. Bigger requests fail; a bigger incoming frame is a
+   * fatal `protocolError` and drops the connection. Default: 64 MiB.
+   */
+  maxFrameBytes?: number;
+  /**
+   * What to do when the host's protocol major version differs from `PROTOCOL_VERSION`:
+   * fail the connect (`error`, default) or emit a process warning and carry on (`warn`).
+   */
+  versionMismatch?: "error" | "warn";
+  /**
+   * Supervision: when the socket drops or the spawned host dies, reconnect (respawning the
+   * host if we own it) with exponential backoff, redo the handshake and re-load the models
+   * that were loaded before. `true` uses the defaults below.
+   */
+  reconnect?: boolean | ReconnectOptions;
+  /**
+   * Client-side admission control for `generate`/`stream`: per-model `maxConcurrent` and
+   * `maxQueueLength` (see `queueStats()`). Default: no limits.
+   */
+  scheduler?: SchedulerOptions;
+  /**
+   * Disk budget for each `modelsDir` passed to `downloadModel`. Before downloading a model
+   * that isn't cached, broken snapshots and then the least recently used models (by
+   * `loadModel`) are deleted until the cache fits; loaded models are kept. The new model's
+   * size isn't known up front, so the cache can exceed the budget by that much.
+   */
+  maxCacheBytes?: number;
+  /**
+   * Hooks called as each RPC starts and ends (type, requestId, model, duration, outcome, and
+   * TTFT/tokens per second for inference). Use `combineInstrumentation` for several, or add
+   * more later with `client.instrument()`.
+   */
+  instrumentation?: MlxInstrumentation;
+};
+
+export type SharedDaemonOptions = {
+  /** Default: 10 minutes; 0 keeps it running until `mlx-ts daemon stop`. Only applies when this client starts it. */
+  idleTimeoutMs?: number;
+  /** Directory of the daemon's socket, lockfile and token (see `getDaemonPaths`). */
+  dir?: string;
+};
+
+export type ReconnectOptions = {
+  /** Give up after this many consecutive failed attempts. Default: unlimited. */
+  maxAttempts?: number;
+  /** Delay before the first attempt; doubles on every failure. Default: 250. */
+  initialDelayMs?: number;
+  /** Upper bound for the backoff delay. Default: 10000. */
+  maxDelayMs?: number;
+  /** Re-download (cheap when cached) and re-load previously loaded models. Default: true. */
+  restoreModels?: boolean;
+};
+
+/** Lifecycle events emitted by `MlxClient`. */
+export type MlxClientEvents = {
+  connected: [];
+  disconnected: [error: Error];
+  /** The spawned host process exited. `expected` is false for crashes. */
+  hostExit: [info: { code: number | null; signal: NodeJS.Signals | null; expected: boolean }];
+  /** A crashed host was respawned and the previously loaded models were restored. */
+  respawned: [info: { attempt: number; models: string[] }];
+  /** `reconnect.maxAttempts` was exhausted; the client stays disconnected. */
+  reconnectFailed: [error: Error];
+  /** The host sent a frame that breaks the protocol (see `MlxProtocolError.fatal`). */
+  protocolError: [error: MlxProtocolError];
+  /** A model was deleted to stay within `maxCacheBytes`. */
+  evicted: [info: { model: string; sizeBytes: number; modelsDir: string }];
+};
+
+export type DownloadOptions = {
+  modelsDir?: string;
+  /** Called for every `model.download.progress` frame. */
+  onProgress?: (progress: DownloadProgress) => void;
+} & RequestOptions;
+
+/** Items yielded by `downloadModelEvents()`. */
+export type DownloadEvent =
+  | { type: "progress"; progress: DownloadProgress }
+  | { type: "done"; model: string; localPath: string };
+
+/** Options for `generate()` / `stream()`. */
+export type InferenceOptions = {
+  requestId?: string;
+  /** Queue class when `scheduler.maxConcurrent` is reached: `interactive` goes first. Default: interactive. */
+  priority?: RequestPriority;
+  /**
+   * Enforce `req.stop` here as well as on the host: streamed text never contains a stop
+   * sequence or a partial one, the match is trimmed and the host request is cancelled.
+   */
+  enforceStop?: boolean;
+  /** Remove thinking blocks (`<think>…</think>`, or these tags) from the text. */
+  stripThinking?: boolean | ThinkTags;
+} & RequestOptions;
+
+/** Per-call options accepted by every RPC method. */
+export type RequestOptions = {
+  /** Abort the call. Aborting a generate/stream also sends `inference.cancel` to the host. */
+  signal?: AbortSignal;
+  /** Overrides `requestTimeoutMs` for this call (0 disables it). */
+  timeoutMs?: number;
+};
+
+export class MlxClient extends EventEmitter<MlxClientEvents> {
+  private socketPath: string;
+  private shared?: SharedDaemonOptions;
+  private readonly authToken?: string;
+  private readonly hostPath?: string;
+  private readonly inheritStdio: boolean;
+  private readonly device?: "cpu" | "gpu";
+  private readonly requestTimeoutMs?: number;
+  private readonly maxCacheBytes?: number;
+  private readonly maxFrameBytes: number;
+  private readonly versionMismatch: "error" | "warn";
+  private info?: ServerInfo;
+  private readonly reconnect?: Required<Omit<ReconnectOptions, "maxAttempts">> & { maxAttempts?: number };
+
+  private proc?: ChildProcess;
+  private spawnedAuthToken?: string;
+  /** Whether the last connect had to start the shared daemon. */
+  private daemonStarted = false;
+  private sock?: net.Socket;
+  private connecting?: Promise<void>;
+  private drainWait?: Promise<void>;
+  private closing = false;
+  private recovering = false;
+  private pending = new Map<string, { type: string; model?: string; resolve: (v: any) => void; reject: (e: any) => void }>();
+  private streamQueues = new Map<string, Array<(ev: StreamEvent) => void>>();
+  private progressListeners = new Map<string, (progress: DownloadProgress) => void>();
+  // What to replay after a reconnect.
+  private downloads = new Map<string, { source: DownloadSource; modelsDir?: string }>();
+  private loadedModels = new Set<string>();
+  private readonly scheduler: RequestScheduler;
+  private instrumentation: MlxInstrumentation[] = [];
+
+  constructor(opts: MlxClientOptions = {}) {
+    super();
+    this.hostPath = opts.hostPath;
+    this.socketPath = opts.socketPath ?? path.join(os.tmpdir(), `mlx-host-${process.pid}.sock`);
+    if (opts.shared) this.useShared(opts.shared === true ? {} : opts.shared);
+    this.authToken = opts.authToken;
+    this.inheritStdio = opts.inheritStdio ?? false;
+    this.device = opts.device;
+    this.requestTimeoutMs = opts.requestTimeoutMs;
+    this.maxCacheBytes = opts.maxCacheBytes;
+    this.maxFrameBytes = opts.maxFrameBytes ?? DEFAULT_MAX_FRAME_BYTES;
+    this.versionMismatch = opts.versionMismatch ?? "error";
+    this.scheduler = new RequestScheduler(opts.scheduler);
+    if (opts.instrumentation) this.instrumentation.push(opts.instrumentation);
+    if (opts.reconnect) {
+      const r = opts.reconnect === true ? {} : opts.reconnect;
+      this.reconnect = {
+        maxAttempts: r.maxAttempts,
+        initialDelayMs: r.initialDelayMs ?? 250,
+        maxDelayMs: r.maxDelayMs ?? 10_000,
+        restoreModels: r.restoreModels ?? true,
+      };
+    }
+  }
+
+  /** Version and capabilities from the last handshake; undefined until connected. */
+  get serverInfo(): ServerInfo | undefined {
+    return this.info;
+  }
+
+  /** Whether the host advertised `capability` (true while unknown: not connected, or no capabilities sent). */
+  supports(capability: keyof HostCapabilities & string): boolean {
+    const caps = this.info?.capabilities;
+    return !caps || caps[capability] === true;
+  }
+
+  /** Adds RPC hooks (see `MlxClientOptions.instrumentation`); the returned function removes them. */
+  instrument(hooks: MlxInstrumentation): () => void {
+    this.instrumentation.push(hooks);
+    return () => {
+      this.instrumentation = this.instrumentation.filter((h) => h !== hooks);
+    };
+  }
+
+  /** `{ shared: true }` switches this client to the shared daemon (see `MlxClientOptions.shared`). */
+  async connect(opts?: { shared?: boolean | SharedDaemonOptions }): Promise<void> {
+    if (opts?.shared && !this.shared) this.useShared(opts.shared === true ? {} : opts.shared);
+    if (this.sock?.readyState === "open") return;
+    // Concurrent callers (and the reconnect loop) share one attempt.
+    this.connecting ??= this.connectNow().finally(() => {
+      this.connecting = undefined;
+    });
+    return this.connecting;
+  }
+
+  private async connectNow(): Promise<void> {
+    this.closing = false;
+    let authToken = this.authToken;
+
+    if (this.shared) {
+      // Starts the daemon again if it went away (idle shutdown, crash).
+      const daemon = await startDaemon({ ...this.shared, hostPath: this.hostPath, device: this.device });
+      authToken = daemon.authToken;
+      this.daemonStarted = daemon.started;
+    } else if (this.hostPath && !this.proc) {
+      // Don't double-spawn if our host is still running (e.g. only the socket dropped).
+      const token = this.authToken ?? crypto.randomBytes(24).toString("hex");
+      this.spawnHost({ authToken: token });
+    }
+
+    const connectOnce = () =>
+      new Promise<void>((resolve, reject) => {
+        const sock = net.createConnection({ path: this.socketPath });
+
+        sock.once("error", reject);
+        sock.once("connect", () => {
+          sock.off("error", reject);
+          this.sock = sock;
+          resolve();
+        });
+
+        const decode = createFrameDecoder((msg) => this.onMessage(msg), {
+          maxFrameBytes: this.maxFrameBytes,
+          onProtocolError: (err) => {
+            this.emit("protocolError", err);
+            // Fails everything pending and, with `reconnect`, starts over on a fresh socket.
+            if (err.fatal) {
+              this.onClose(sock, err);
+              sock.destroy();
+            }
+          },
+        });
+        sock.on("data", (chunk) => decode(chunk));
+        sock.on("close", () => this.onClose(sock, new MlxConnectionError("connection to mlx-host closed")));
+        sock.on("error", (err) => this.onClose(sock, new MlxConnectionError(err.message, { cause: err })));
+      });
+
+    try {
+      // If we spawned the host, the socket may not exist yet. Retry briefly.
+      const deadline = Date.now() + (this.proc ? 3000 : 0);
+      while (true) {
+        try {
+          await connectOnce();
+          break;
+        } catch (err: any) {
+          const code = String(err?.code ?? "");
+          if (!this.proc) throw err;
+          if (Date.now() > deadline) throw err;
+          if (code === "ENOENT" || code === "ECONNREFUSED") {
+            await sleep(25);
+            continue;
+          }
+          throw err;
+        }
+      }
+
+      // A spawned host uses the generated token; hosts without auth accept any handshake.
+      await this.handshake(authToken ?? (this.proc ? this.spawnedAuthToken : undefined));
+    } catch (err) {
+      // If we spawned a daemon but failed to connect/handshake, don't leak it.
+      if (this.proc) {
+        const p = this.proc;
+        this.proc = undefined;
+        try {
+          p.kill();
+        } catch {}
+      }
+      const sock = this.sock;
+      this.sock = undefined;
+      sock?.destroy();
+      if (err instanceof MlxError) throw err;
+      throw new MlxConnectionError(`can't connect to mlx-host at ${this.socketPath}: ${(err as Error)?.message ?? err}`, { cause: err });
+    }
+
+    this.emit("connected");
+  }
+
+  async close(): Promise<void> {
+    this.closing = true;
+    const sock = this.sock;
+    if (sock) {
+      this.onClose(sock, new MlxConnectionError("client closed"));
+      sock.destroy();
+    }
+    if (this.proc) {
+      const p = this.proc;
+      this.proc = undefined;
+      p.kill();
+    }
+  }
+
+  async downloadModel(source: DownloadSource, opts?: DownloadOptions): Promise<{ model: string; localPath: string }> {
+    if (source.kind === "huggingface") this.requireCapability("download", "model downloads");
+    const id = crypto.randomUUID();
+    const onProgress = opts?.onProgress;
+    if (onProgress) this.progressListeners.set(id, onProgress);
+    try {
+      if (source.kind === "huggingface" && opts?.modelsDir && this.maxCacheBytes != null) {
+        await this.enforceCacheBudget(source.repo, opts.modelsDir, opts);
+      }
+      const res = await this.request("model.download", { source, modelsDir: opts?.modelsDir }, id, opts);
+      this.downloads.set(String(res.model), { source, modelsDir: opts?.modelsDir });
+      return { model: String(res.model), localPath: String(res.localPath) };
+    } finally {
+      this.progressListeners.delete(id);
+    }
+  }
+
+  /** `downloadModel` as an async iterable of progress events, ending with `done` (throws on failure). */
+  downloadModelEvents(source: DownloadSource, opts?: Omit<DownloadOptions, "onProgress">): AsyncIterable<DownloadEvent> {
+    const queue: DownloadEvent[] = [];
+    let wake: (() => void) | undefined;
+    let failed: { err: unknown } | undefined;
+    const push = (ev: DownloadEvent) => {
+      queue.push(ev);
+      wake?.();
+    };
+
+    const started = this.downloadModel(source, { ...opts, onProgress: (progress) => push({ type: "progress", progress }) });
+    started.then(
+      (res) => push({ type: "done", ...res }),
+      (err) => {
+        failed = { err };
+        wake?.();
+      }
+    );
+
+    return {
+      [Symbol.asyncIterator]: () => {
+        let finished = false;
+        return {
+          next: async () => {
+            while (!finished) {
+              const ev = queue.shift();
+              if (ev) {
+                if (ev.type === "done") finished = true;
+                return { value: ev, done: false };
+              }
+              if (failed) {
+                finished = true;
+                throw failed.err;
+              }
+              await new Promise<void>((resolve) => (wake = resolve));
+              wake = undefined;
+            }
+            return { value: undefined as any, done: true };
+          },
+        };
+      },
+    };
+  }
+
+  /**
+   * Loads a downloaded model. The use is recorded (for `maxCacheBytes` and `mlx-ts gc`) in
+   * `opts.modelsDir`, else wherever this client downloaded it or downloaded other models.
+   */
+  async loadModel(model: string, opts?: { modelsDir?: string } & RequestOptions): Promise<{ model: string; loaded: true }> {
+    const res = await this.request("model.load", { model }, undefined, opts);
+    this.loadedModels.add(model);
+    this.recordUse(model, opts?.modelsDir);
+    return { model: String(res.model), loaded: true };
+  }
+
+  async unloadModel(model: string, opts?: RequestOptions): Promise<{ model: string; loaded: false }> {
+    const res = await this.request("model.unload", { model }, undefined, opts);
+    this.loadedModels.delete(model);
+    return { model: String(res.model), loaded: false };
+  }
+
+  /**
+   * Deletes the model's files. Models this host process didn't download are found in
+   * `opts.modelsDir` (where `downloadModel` puts them).
+   */
+  async deleteModel(model: string, opts?: { modelsDir?: string } & RequestOptions): Promise<{ model: string; deleted: true }> {
+    const res = await this.request("model.delete", { model, modelsDir: opts?.modelsDir }, undefined, opts);
+    this.downloads.delete(model);
+    return { model: String(res.model), deleted: true };
+  }
+
+  async listModels(opts?: RequestOptions): Promise<{ cached: string[]; loaded: string[] }> {
+    const res = await this.request("model.list", {}, undefined, opts);
+    return { cached: (res.cached ?? []).map(String), loaded: (res.loaded ?? []).map(String) };
+  }
+
+  async generate(req: GenerateRequest, opts?: InferenceOptions): Promise<GenerateResponse> {
+    const unsupported = this.unsupportedBy(req);
+    if (unsupported) throw unsupported;
+    const id = opts?.requestId ?? crypto.randomUUID();
+    const timeoutMs = opts?.timeoutMs ?? this.requestTimeoutMs;
+    const slot = this.scheduler.acquire(req.model, opts?.priority);
+    const queuedAt = Date.now();
+    try {
+      await this.waitForSlot(slot, "inference.generate", id, { signal: opts?.signal, timeoutMs });
+      const queueMs = Date.now() - queuedAt;
+      // The deadline covers the time spent queued.
+      const remaining = timeoutMs ? Math.max(1, timeoutMs - queueMs) : timeoutMs;
+      const res: GenerateResponse = await this.request("inference.generate", req, id, { ...opts, timeoutMs: remaining, queueMs });
+      const filter = textFilterFor(req, opts);
+      if (filter) {
+        const head = filter.push(res.text);
+        const tail = head.sequence != null ? { text: "" } : filter.flush();
+        const sequence = head.sequence ?? tail.sequence;
+        res.text = head.text + tail.text;
+        if (sequence != null) Object.assign(res, { finishReason: "stop-sequence", stopSequence: sequence });
+      }
+      return { ...res, timings: { ...res.timings, queueMs } };
+    } finally {
+      slot.release();
+    }
+  }
+
+  /**
+   * Embeds `texts` with an embedding model (BERT/E5/BGE/Nomic style checkpoints). The host loads
+   * the model on first use; large inputs are split into `batchSize` texts per RPC (default 32).
+   */
+  async embed(
+    model: string,
+    texts: string[],
+    opts?: { pooling?: EmbedRequest["pooling"]; normalize?: boolean; batchSize?: number; modelsDir?: string } & RequestOptions
+  ): Promise<EmbedResponse> {
+    this.requireCapability("embeddings", "embeddings");
+    const batchSize = Math.max(1, opts?.batchSize ?? 32);
+    const embeddings: number[][] = [];
+    // Only reported when every batch reported it.
+    let promptTokens: number | undefined = 0;
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const req: EmbedRequest = {
+        model,
+        texts: texts.slice(i, i + batchSize),
+        pooling: opts?.pooling,
+        normalize: opts?.normalize,
+        modelsDir: opts?.modelsDir,
+      };
+      const res = await this.request("inference.embed", req, undefined, opts);
+      embeddings.push(...(res.embeddings ?? []));
+      const tokens = res.usage?.promptTokens;
+      promptTokens = promptTokens != null && tokens != null ? promptTokens + tokens : undefined;
+    }
+    return { model, embeddings, usage: promptTokens != null ? { promptTokens } : undefined };
+  }
+
+  /**
+   * Runs many independent requests with at most `concurrency` in flight (as `batch` priority),
+   * reporting each through `onResult` as it completes. With `checkpoint`, results go to a JSONL
+   * file and a re-run skips what already succeeded. Failures are results, not rejections.
+   */
+  generateBatch(requests: GenerateRequest[], opts?: BatchOptions): Promise<BatchOutput> {
+    return runBatch(this, requests, opts);
+  }
+
+  /**
+   * A multi-turn conversation with `model` whose requests share a `sessionId`, so the host only
+   * prefills what changed since the previous turn. Close it when done to free the cache.
+   */
+  session(model: string, opts?: { sessionId?: string }): MlxSession {
+    return new MlxSession(this, model, opts?.sessionId ?? crypto.randomUUID());
+  }
+
+  /** Drops the host's KV cache for `sessionId` (no-op if it has none). */
+  async sessionClose(sessionId: string, opts?: RequestOptions): Promise<void> {
+    this.requireCapability("sessions", "sessions");
+    await this.request("session.close", { sessionId }, undefined, opts);
+  }
+
+  /** Running/queued inference requests per model (see the `scheduler` option). */
+  queueStats(): QueueStats {
+    return this.scheduler.stats();
+  }
+
+  stream(req: GenerateRequest, opts?: InferenceOptions): AsyncIterable<StreamEvent> {
+    const id = opts?.requestId ?? crypto.randomUUID();
+    const queue: StreamEvent[] = [];
+    const waiters: Array<(ev: StreamEvent) => void> = [];
+    let finished = false;
+
+    const signal = opts?.signal;
+    const timeoutMs = opts?.timeoutMs ?? this.requestTimeoutMs;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const slot = this.scheduler.acquire(req.model, opts?.priority);
+    const queuedAt = Date.now();
+    let queueMs: number | undefined;
+    let started: MlxRequestStart | undefined;
+    let tokensEmitted = 0;
+
+    const cleanup = () => {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      slot.release();
+    };
+
+    const push = (ev: StreamEvent) => {
+      if (ev.type === "end" || ev.type === "error") cleanup();
+      if (ev.type === "end" && ev.final) ev = { ...ev, final: { ...ev.final, timings: { ...ev.final.timings, queueMs } } };
+      if (ev.type === "token") tokensEmitted++;
+      if (started && (ev.type === "end" || ev.type === "error")) {
+        const final = ev.type === "end" ? ev.final : undefined;
+        this.traceEnd(started, ev.type === "error" ? ev : undefined, inferenceMetrics(final, { streaming: true, queueMs, tokensEmitted }));
+        started = undefined;
+      }
+      const waiter = waiters.shift();
+      if (waiter) waiter(ev);
+      else queue.push(ev);
+    };
+
+    // Give up on the host: tell it to stop, stop routing its events here, and end the stream.
+    const fail = (err: MlxCancelledError | MlxTimeoutError) => {
+      if (!this.streamQueues.delete(id)) return;
+      this.cancelQuietly(id);
+      push({ type: "error", requestId: id, message: err.message, code: err.code });
+    };
+    const onAbort = () => fail(new MlxCancelledError("inference.stream", id));
+
+    // With `enforceStop`/`stripThinking`, host events pass through the text filter first.
+    const filter = textFilterFor(req, opts);
+    let sentAt = 0;
+    let ttftMs: number | undefined;
+    let hostTokens = 0;
+    let emitted = "";
+    const onHostEvent = (ev: StreamEvent) => {
+      if (!filter) return push(ev);
+      if (ev.type === "token") {
+        hostTokens++;
+        ttftMs ??= Date.now() - sentAt;
+        const { text, sequence } = filter.push(ev.text);
+        if (text) {
+          emitted += text;
+          push({ ...ev, text });
+        }
+        if (sequence == null) return;
+        // Matched: stop routing host events here and tell the host to stop generating.
+        this.streamQueues.delete(id);
+        this.cancelQuietly(id);
+        const totalMs = Date.now() - sentAt;
+        push({
+          type: "end",
+          requestId: ev.requestId,
+          final: {
+            requestId: ev.requestId,
+            text: emitted,
+            usage: { completionTokens: hostTokens },
+            timings: { ttftMs, totalMs, tokensPerSecond: totalMs > 0 ? (hostTokens / totalMs) * 1000 : undefined },
+            finishReason: "stop-sequence",
+            stopSequence: sequence,
+          },
+        });
+      } else if (ev.type === "end") {
+        const { text, sequence } = filter.flush();
+        // The host already cut at its own stop sequence; what we held back is the start of it.
+        if (text && !ev.final?.stopSequence?.startsWith(text)) {
+          emitted += text;
+          push({ type: "token", requestId: ev.requestId, text });
+        }
+        const stopped = sequence != null ? { finishReason: "stop-sequence" as const, stopSequence: sequence } : {};
+        push({ ...ev, final: { ...ev.final, text: emitted, ...stopped } });
+      } else {
+        push(ev);
+      }
+    };
+
+    this.streamQueues.set(id, [onHostEvent]);
+    const unsupported = this.unsupportedBy(req, { streaming: true });
+
+    if (signal?.aborted) {
+      this.streamQueues.delete(id);
+      push({ type: "error", requestId: id, message: new MlxCancelledError("inference.stream", id).message, code: "cancelled" });
+    } else if (unsupported) {
+      this.streamQueues.delete(id);
+      push({ type: "error", requestId: id, message: unsupported.message, code: unsupported.code });
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (timeoutMs) timer = setTimeout(() => fail(new MlxTimeoutError("inference.stream", id, timeoutMs)), timeoutMs);
+
+      slot.ready.then(
+        () => {
+          // Failed (aborted, timed out, disconnected) while queued.
+          if (!this.streamQueues.has(id)) return;
+          queueMs = Date.now() - queuedAt;
+          sentAt = Date.now();
+          started = this.traceStart("inference.stream", id, req.model);
+          this.sendOnly("inference.stream", req, id).catch((err: any) => {
+            if (!this.streamQueues.delete(id)) return;
+            push({ type: "error", requestId: id, message: String(err?.message ?? err), code: err?.code ?? "client_error" });
+          });
+        },
+        (err: any) => {
+          if (!this.streamQueues.delete(id)) return;
+          push({ type: "error", requestId: id, message: String(err?.message ?? err), code: err?.code ?? "client_error" });
+        }
+      );
+    }
+
+    const iter: AsyncIterable<StreamEvent> = {
+      [Symbol.asyncIterator]: () => ({
+        next: async () => {
+          if (finished) return { value: undefined as any, done: true };
+          const ev = queue.length > 0 ? queue.shift()! : await new Promise<StreamEvent>((resolve) => waiters.push(resolve));
+          if (ev.type === "end" || ev.type === "error") {
+            this.streamQueues.delete(id);
+            finished = true;
+          }
+          return { value: ev, done: false };
+        },
+        // The consumer stopped early (`break`, a disconnected HTTP client): cancel on the host
+        // and free the scheduler slot now rather than when the host finishes.
+        return: async () => {
+          if (!finished) {
+            finished = true;
+            fail(new MlxCancelledError("inference.stream", id));
+            cleanup();
+          }
+          return { value: undefined as any, done: true };
+        },
+      })
+    };
+    return iter;
+  }
+
+  async cancel(requestId: string, opts?: RequestOptions): Promise<void> {
+    await this.request("inference.cancel", { requestId }, undefined, opts);
+  }
+
+  async reset(opts?: { unloadAll?: boolean; clearCache?: boolean } & RequestOptions): Promise<void> {
+    const { signal, timeoutMs, ...payload } = opts ?? {};
+    await this.request("reset", payload, undefined, { signal, timeoutMs });
+    if (payload.unloadAll ?? true) this.loadedModels.clear();
+    if (payload.clearCache) this.downloads.clear();
+  }
+
+  // ---- private ----
+
+  private useShared(opts: SharedDaemonOptions) {
+    this.shared = opts;
+    this.socketPath = getDaemonPaths(opts.dir).socketPath;
+  }
+
+  private spawnHost(opts: { authToken: string }) {
+    const p = spawn(this.hostPath!, ["--socket", this.socketPath], {
+      env: {
+        ...process.env,
+        MLX_HOST_SOCKET_PATH: this.socketPath,
+        MLX_HOST_AUTH_TOKEN: opts.authToken,
+        ...(this.device ? { MLX_HOST_DEVICE: this.device } : {}),
+      },
+      stdio: this.inheritStdio ? "inherit" : "pipe"
+    });
+    p.on("exit", (code, signal) => {
+      // `proc` is cleared before every kill we issue ourselves.
+      const expected = this.proc !== p;
+      if (!expected) this.proc = undefined;
+      this.emit("hostExit", { code, signal, expected });
+    });
+    // Spawn failures (ENOENT, EACCES) surface as failed connects; don't crash the process.
+    p.on("error", () => {});
+    this.spawnedAuthToken = opts.authToken;
+    this.proc = p;
+  }
+
+  private async handshake(authToken: string | undefined): Promise<void> {
+    const res = await this.request("handshake", { authToken, protocolVersion: PROTOCOL_VERSION });
+    const info: ServerInfo = {
+      serverVersion: String(res.serverVersion ?? "unknown"),
+      protocolVersion: String(res.protocolVersion ?? "1.0"),
+      capabilities: res.capabilities && typeof res.capabilities === "object" ? res.capabilities : undefined,
+    };
+    if (majorVersion(info.protocolVersion) !== majorVersion(PROTOCOL_VERSION)) {
+      const message = `mlx-host speaks protocol ${info.protocolVersion} (server ${info.serverVersion}), this client ${PROTOCOL_VERSION}`;
+      if (this.versionMismatch === "error") throw new MlxProtocolError("incompatible_version", message, true);
+      process.emitWarning(`mlx-ts: ${message}`, { code: "MLX_TS_PROTOCOL_VERSION" });
+    }
+    this.info = info;
+  }
+
+  private requireCapability(capability: keyof HostCapabilities & string, feature: string) {
+    if (!this.supports(capability)) throw new MlxUnsupportedError(capability, feature);
+  }
+
+  /** The first capability `req` needs that the host doesn't advertise. */
+  private unsupportedBy(req: GenerateRequest, opts?: { streaming?: boolean }): MlxUnsupportedError | undefined {
+    const needs: Array<[keyof HostCapabilities & string, string, boolean]> = [
+      ["stream", "streaming", Boolean(opts?.streaming)],
+      ["images", "image inputs", req.messages.some((m) => Array.isArray(m.content) && m.content.some((p) => p.type === "image"))],
+      ["sessions", "sessions", req.sessionId != null],
+    ];
+    const missing = needs.find(([capability, , needed]) => needed && !this.supports(capability));
+    return missing && new MlxUnsupportedError(missing[0], missing[1]);
+  }
+
+  /** `queueMs` is the time an inference request spent in the scheduler, for its metrics. */
+  private request(
+    type: string,
+    payload: unknown,
+    id: string = crypto.randomUUID(),
+    opts: RequestOptions & { queueMs?: number } = {}
+  ): Promise<any> {
+    if (!this.sock) throw new MlxConnectionError("not connected to mlx-host");
+    const env: RPCEnvelope = { id, type, payload };
+
+    const { signal } = opts;
+    const timeoutMs = opts.timeoutMs ?? this.requestTimeoutMs;
+    if (signal?.aborted) return Promise.reject(new MlxCancelledError(type, id));
+
+    const model = modelOf(payload);
+    const started = this.traceStart(type, id, model);
+    const p = new Promise<any>((resolve, reject) => {
+      let timer: ReturnType<typeof setTimeout> | undefined;
+      const cleanup = () => {
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const fail = (err: Error) => {
+        if (!this.pending.delete(id)) return;
+        cleanup();
+        if (type === "inference.generate") this.cancelQuietly(id);
+        reject(err);
+      };
+      const onAbort = () => fail(new MlxCancelledError(type, id));
+
+      if (timeoutMs) timer = setTimeout(() => fail(new MlxTimeoutError(type, id, timeoutMs)), timeoutMs);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      this.pending.set(id, {
+        type,
+        model,
+        resolve: (v) => {
+          cleanup();
+          resolve(v);
+        },
+        reject: (e) => {
+          cleanup();
+          reject(e);
+        },
+      });
+      this.send(env).catch(fail);
+    });
+
+    // Registered before the caller's handlers, so hooks see the end first.
+    const inference = (res?: GenerateResponse) =>
+      type === "inference.generate" ? inferenceMetrics(res, { streaming: false, queueMs: opts.queueMs }) : undefined;
+    p.then(
+      (res) => this.traceEnd(started, undefined, inference(res)),
+      (err) => this.traceEnd(started, err, inference())
+    );
+    return p;
+  }
+
+  private traceStart(type: string, requestId: string, model: string | undefined): MlxRequestStart {
+    const ev: MlxRequestStart = { type, requestId, model, startTime: Date.now() };
+    for (const hooks of this.instrumentation) callHook(hooks, "onRequestStart", ev);
+    return ev;
+  }
+
+  private traceEnd(start: MlxRequestStart, err: { code?: unknown; message?: unknown } | undefined, inference?: MlxInferenceMetrics) {
+    const code = err ? String(err.code ?? "error") : undefined;
+    const ev: MlxRequestEnd = {
+      ...start,
+      durationMs: Date.now() - start.startTime,
+      outcome: err ? outcomeOf(code) : "ok",
+      ...(err ? { error: { code: code!, message: String(err.message ?? err) } } : {}),
+      ...(inference ? { inference } : {}),
+    };
+    for (const hooks of this.instrumentation) callHook(hooks, "onRequestEnd", ev);
+  }
+
+  private sendOnly(type: string, payload: unknown, id: string = crypto.randomUUID()): Promise<void> {
+    return this.send({ id, type, payload });
+  }
+
+  /**
+   * Writes once the socket is below its high-water mark, so a burst of requests waits here as
+   * objects instead of piling up as encoded frames in the socket's buffer. Order is kept.
+   */
+  private async send(env: RPCEnvelope): Promise<void> {
+    const sock = this.sock;
+    if (!sock) throw new MlxConnectionError("not connected to mlx-host");
+    while (sock.writableNeedDrain) {
+      await this.drained(sock);
+      if (this.sock !== sock) throw new MlxConnectionError("connection to mlx-host closed");
+    }
+    sock.write(encodeFrame(env, this.maxFrameBytes));
+  }
+
+  /** One shared wait per socket (rather than listeners per queued write). */
+  private drained(sock: net.Socket): Promise<void> {
+    this.drainWait ??= new Promise<void>((resolve) => {
+      const done = () => {
+        sock.off("drain", done);
+        sock.off("close", done);
+        this.drainWait = undefined;
+        resolve();
+      };
+      sock.on("drain", done);
+      sock.on("close", done);
+    });
+    return this.drainWait;
+  }
+
+  /** Waits for a scheduler slot, honoring the call's signal and timeout; gives the slot up on failure. */
+  private waitForSlot(slot: SchedulerSlot, type: string, id: string, opts: RequestOptions): Promise<void> {
+    const { signal, timeoutMs } = opts;
+    return new Promise<void>((resolve, reject) => {
+      let timer: ReturnType<typeof setTimeout> | undefined;
+      const settle = (err?: Error) => {
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        if (!err) return resolve();
+        slot.release();
+        reject(err);
+      };
+      const onAbort = () => settle(new MlxCancelledError(type, id));
+
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (timeoutMs) timer = setTimeout(() => settle(new MlxTimeoutError(type, id, timeoutMs)), timeoutMs);
+      slot.ready.then(() => settle(), (err) => settle(err));
+    });
+  }
+
+  /** Best-effort `inference.cancel`; the `.ok` reply has no pending entry and is dropped. */
+  private cancelQuietly(requestId: string) {
+    this.sendOnly("inference.cancel", { requestId }).catch(() => {});
+  }
+
+  private onMessage(msg: RPCEnvelope) {
+    const id = msg.id;
+
+    // Download progress: non-terminal, the `model.download` request stays pending.
+    if (id && msg.type === "model.download.progress") {
+      const payload: any = msg.payload ?? {};
+      const listener = this.progressListeners.get(id);
+      try {
+        listener?.({ ...payload, requestId: String(payload.requestId ?? id) } as DownloadProgress);
+      } catch {
+        // A throwing progress callback must not break frame decoding.
+      }
+      return;
+    }
+
+    // Stream events (identified by inference.stream.*)
+    if (id && typeof msg.type === "string" && msg.type.startsWith("inference.stream.")) {
+      const payload: any = msg.payload ?? {};
+      const requestId = String(payload.requestId ?? id);
+      const pushers = this.streamQueues.get(id) ?? this.streamQueues.get(requestId);
+      if (!pushers) return;
+
+      if (msg.type === "inference.stream.start") {
+        pushers.forEach((p) => p({ type: "start", requestId }));
+      } else if (msg.type === "inference.stream.token") {
+        pushers.forEach((p) => p({ type: "token", requestId, text: String(payload.text ?? "") }));
+      } else if (msg.type === "inference.stream.end") {
+        pushers.forEach((p) => p({ type: "end", requestId, final: payload.final as GenerateResponse }));
+      } else if (msg.type === "inference.stream.error") {
+        pushers.forEach((p) =>
+          p({ type: "error", requestId, message: String(payload.message ?? "error"), code: String(payload.code ?? "error") })
+        );
+      }
+      return;
+    }
+
+    if (!id) return;
+
+    // A stream request the host refused outright (bad payload, unknown type) gets a plain `error` reply.
+    if (msg.type === "error" && this.streamQueues.has(id)) {
+      const err = fromHostError(msg.payload ?? {}, "inference.stream");
+      this.streamQueues.get(id)!.forEach((p) => p({ type: "error", requestId: id, message: err.message, code: err.code }));
+      return;
+    }
+
+    // Normal request responses
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.pending.delete(id);
+
+    if (msg.type === "error") {
+      pending.reject(fromHostError(msg.payload ?? {}, pending.type, pending.model));
+      return;
+    }
+
+    pending.resolve(msg.payload ?? {});
+  }
+
+  private onClose(sock: net.Socket, err: Error) {
+    // Fires for both "error" and "close"; only the first one for the live socket counts.
+    if (this.sock !== sock) return;
+    this.sock = undefined;
+
+    for (const [, p] of this.pending) p.reject(err);
+    this.pending.clear();
+
+    // Stream consumers would otherwise wait forever.
+    const streams = [...this.streamQueues];
+    this.streamQueues.clear();
+    for (const [requestId, pushers] of streams) {
+      pushers.forEach((p) => p({ type: "error", requestId, message: err.message, code: "disconnected" }));
+    }
+
+    this.emit("disconnected", err);
+    if (this.reconnect && !this.closing) void this.recover();
+  }
+
+  private async recover() {
+    if (this.recovering || !this.reconnect) return;
+    this.recovering = true;
+    const { maxAttempts, initialDelayMs, maxDelayMs, restoreModels } = this.reconnect;
+    let lastErr: Error = new Error("reconnect failed");
+
+    try {
+      for (let attempt = 1; maxAttempts == null || attempt <= maxAttempts; attempt++) {
+        await sleep(Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs));
+        if (this.closing) return;
+
+        const respawning = !!this.hostPath && !this.proc && !this.shared;
+        try {
+          await this.connect();
+          const models = restoreModels ? await this.restoreModels() : [];
+          if (respawning || this.daemonStarted) this.emit("respawned", { attempt, models });
+          return;
+        } catch (err: any) {
+          lastErr = err instanceof Error ? err : new Error(String(err));
+        }
+      }
+      this.emit("reconnectFailed", lastErr);
+    } finally {
+      this.recovering = false;
+    }
+  }
+
+  private async restoreModels(): Promise<string[]> {
+    const models = [...this.loadedModels];
+    for (const model of models) {
+      // A fresh host has no record of models downloaded into a custom modelsDir.
+      const dl = this.downloads.get(model);
+      if (dl) await this.downloadModel(dl.source, { modelsDir: dl.modelsDir });
+      await this.loadModel(model);
+    }
+    return models;
+  }
+
+  /** LRU bookkeeping only: a failure here (bad id, unreadable cache) mustn't fail the load. */
+  private recordUse(model: string, modelsDir?: string) {
+    if (model.startsWith("local:")) return;
+    const known = modelsDir ?? this.downloads.get(model)?.modelsDir;
+    const dirs = known ? [known] : new Set([...this.downloads.values()].map((d) => d.modelsDir));
+    for (const dir of dirs) {
+      if (!dir) continue;
+      try {
+        new ModelCache(dir).recordUse(model);
+      } catch {
+        // Not a cache id (e.g. a path the host resolves itself).
+      }
+    }
+  }
+
+  /** `maxCacheBytes`: evicts (through the host, so it forgets them too) before `repo` is downloaded. */
+  private async enforceCacheBudget(repo: string, modelsDir: string, opts?: RequestOptions) {
+    const cache = new ModelCache(modelsDir);
+    if (cache.get(repo)?.integrity === "ok") return;
+    const keep = [repo, ...this.loadedModels];
+    for (const victim of cache.planEviction(this.maxCacheBytes ?? Infinity, { keep })) {
+      await this.deleteModel(victim.model, { modelsDir, signal: opts?.signal, timeoutMs: opts?.timeoutMs });
+      this.emit("evicted", { model: victim.model, sizeBytes: victim.sizeBytes, modelsDir });
+    }
+  }
+}
+
+
+/** The output filter `enforceStop` / `stripThinking` ask for, if any. */
+function textFilterFor(req: GenerateRequest, opts?: InferenceOptions): TextFilter | undefined {
+  const stop = opts?.enforceStop ? (req.stop ?? []).filter(Boolean) : [];
+  const thinkTags = opts?.stripThinking === true ? DEFAULT_THINK_TAGS : opts?.stripThinking || undefined;
+  if (stop.length === 0 && !thinkTags) return undefined;
+  return createTextFilter({ stop, thinkTags });
+}
+
+/** `"1.2"` -> 1; unparsable versions compare as 0. */
+function majorVersion(version: string): number {
+  return Number.parseInt(version, 10) || 0;
+}
+
+/** Metrics for an inference request from its response (if it got one). */
+function inferenceMetrics(
+  res: GenerateResponse | undefined,
+  extra: Pick<MlxInferenceMetrics, "streaming" | "queueMs" | "tokensEmitted">
+): MlxInferenceMetrics {
+  return {
+    ...extra,
+    ttftMs: res?.timings?.ttftMs,
+    totalMs: res?.timings?.totalMs,
+    tokensPerSecond: res?.timings?.tokensPerSecond,
+    promptTokens: res?.usage?.promptTokens,
+    completionTokens: res?.usage?.completionTokens,
+    finishReason: res?.finishReason,
+  };
+}
+
+/** The model a request is about (for error context), if its payload names one. */
+function modelOf(payload: any): string | undefined {
+  const model = payload?.model ?? payload?.source?.repo ?? payload?.source?.path;
+  return typeof model === "string" ? model : undefined;
+}
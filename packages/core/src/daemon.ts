@@ -0,0 +1,244 @@
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+/** Where the shared daemon's files live. */
+export type DaemonPaths = {
+  dir: string;
+  socketPath: string;
+  /** JSON `DaemonInfo`; exists while a daemon runs (or is starting). */
+  lockPath: string;
+  /** The daemon's auth token, readable by the user only. */
+  tokenPath: string;
+  /** The daemon's stdout/stderr. */
+  logPath: string;
+};
+
+export type DaemonInfo = {
+  pid: number;
+  socketPath: string;
+  startedAt: string;
+  hostPath?: string;
+  /** `starting` while the process that won the lock spawns the host (`pid` is that process). */
+  state: "starting" | "running";
+};
+
+export type DaemonStatus =
+  | { running: true; info: DaemonInfo }
+  /** `stale`: a lockfile or socket was left behind by a daemon that is gone (cleaned up by `startDaemon`). */
+  | { running: false; stale: boolean };
+
+export type StartDaemonOptions = {
+  /** `mlx-host` to start when no daemon is running. */
+  hostPath?: string;
+  device?: "cpu" | "gpu";
+  /** Exit after this long without connected clients. 0 = never. Default: 10 minutes. */
+  idleTimeoutMs?: number;
+  /** Default: `MLX_TS_DAEMON_DIR`, else a per-user runtime dir. */
+  dir?: string;
+  /** How long to wait for the socket to accept connections. Default: 15000. */
+  startTimeoutMs?: number;
+};
+
+export const DEFAULT_DAEMON_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Well-known per-user location: `MLX_TS_DAEMON_DIR`, `$XDG_RUNTIME_DIR/mlx-ts`, or
+ * `<tmpdir>/mlx-ts-<uid>` (short enough for the unix socket path limit).
+ */
+export function getDaemonPaths(dir?: string): DaemonPaths {
+  const uid = process.getuid?.() ?? os.userInfo().username;
+  const base =
+    dir?.trim() ||
+    process.env.MLX_TS_DAEMON_DIR?.trim() ||
+    (process.env.XDG_RUNTIME_DIR?.trim() ? path.join(process.env.XDG_RUNTIME_DIR, "mlx-ts") : path.join(os.tmpdir(), `mlx-ts-${uid}`));
+  return {
+    dir: base,
+    socketPath: path.join(base, "daemon.sock"),
+    lockPath: path.join(base, "daemon.lock"),
+    tokenPath: path.join(base, "daemon.token"),
+    logPath: path.join(base, "daemon.log"),
+  };
+}
+
+/** Running means the lockfile's process is alive and the socket accepts connections (or it is still starting). */
+export async function daemonStatus(dir?: string): Promise<DaemonStatus> {
+  const paths = getDaemonPaths(dir);
+  const info = readLock(paths.lockPath);
+  if (info && isAlive(info.pid) && (info.state === "starting" || (await canConnect(paths.socketPath)))) {
+    return { running: true, info };
+  }
+  return { running: false, stale: info != null || fs.existsSync(paths.socketPath) };
+}
+
+/**
+ * Attaches to the running daemon or starts one (detached, so it outlives this process).
+ * Concurrent callers race on an exclusive lockfile; the losers wait for the winner's socket.
+ */
+export async function startDaemon(opts: StartDaemonOptions = {}): Promise<{ info: DaemonInfo; authToken: string; started: boolean }> {
+  const paths = getDaemonPaths(opts.dir);
+  ensurePrivateDir(paths.dir);
+  const deadline = Date.now() + (opts.startTimeoutMs ?? 15_000);
+
+  while (true) {
+    const status = await daemonStatus(paths.dir);
+    if (status.running && status.info.state === "running") {
+      return { info: status.info, authToken: readToken(paths.tokenPath), started: false };
+    }
+    if (!status.running) {
+      if (status.stale) removeStaleDaemonFiles(paths);
+      const info = await tryStart(paths, opts, deadline);
+      if (info) return { info, authToken: readToken(paths.tokenPath), started: true };
+    }
+    // Another process is starting it.
+    if (Date.now() > deadline) throw new Error(`mlx-ts: timed out waiting for the daemon to start (see ${paths.logPath})`);
+    await sleep(50);
+  }
+}
+
+/** SIGTERMs the daemon (SIGKILL after `timeoutMs`) and removes its files. False if none was running. */
+export async function stopDaemon(opts: { dir?: string; timeoutMs?: number } = {}): Promise<boolean> {
+  const paths = getDaemonPaths(opts.dir);
+  const status = await daemonStatus(paths.dir);
+  if (!status.running) {
+    if (status.stale) removeStaleDaemonFiles(paths);
+    return false;
+  }
+  if (status.info.state === "starting") throw new Error("mlx-ts: the daemon is still starting; try again");
+  const { pid } = status.info;
+  process.kill(pid, "SIGTERM");
+  const deadline = Date.now() + (opts.timeoutMs ?? 5000);
+  while (isAlive(pid) && Date.now() < deadline) await sleep(50);
+  if (isAlive(pid)) process.kill(pid, "SIGKILL");
+  removeDaemonFiles(paths);
+  return true;
+}
+
+// ---- private ----
+
+/** Undefined if another process holds the lock. */
+async function tryStart(paths: DaemonPaths, opts: StartDaemonOptions, deadline: number): Promise<DaemonInfo | undefined> {
+  if (!opts.hostPath) throw new Error("mlx-ts: no shared daemon is running and no hostPath was given to start one.");
+  const startedAt = new Date().toISOString();
+  try {
+    const claim: DaemonInfo = { pid: process.pid, socketPath: paths.socketPath, startedAt, hostPath: opts.hostPath, state: "starting" };
+    fs.writeFileSync(paths.lockPath, JSON.stringify(claim), { flag: "wx", mode: 0o600 });
+  } catch (err: any) {
+    if (err?.code === "EEXIST") return undefined;
+    throw err;
+  }
+
+  try {
+    const authToken = crypto.randomBytes(24).toString("hex");
+    fs.rmSync(paths.tokenPath, { force: true });
+    fs.writeFileSync(paths.tokenPath, authToken, { flag: "wx", mode: 0o600 });
+
+    const idleTimeoutMs = opts.idleTimeoutMs ?? DEFAULT_DAEMON_IDLE_TIMEOUT_MS;
+    const log = fs.openSync(paths.logPath, "a", 0o600);
+    const proc = spawn(opts.hostPath, ["--socket", paths.socketPath], {
+      detached: true,
+      stdio: ["ignore", log, log],
+      env: {
+        ...process.env,
+        MLX_HOST_SOCKET_PATH: paths.socketPath,
+        MLX_HOST_AUTH_TOKEN: authToken,
+        MLX_HOST_IDLE_TIMEOUT_MS: String(idleTimeoutMs),
+        ...(opts.device ? { MLX_HOST_DEVICE: opts.device } : {}),
+      },
+    });
+    fs.closeSync(log);
+    let exited = false;
+    proc.once("exit", () => (exited = true));
+    proc.once("error", () => (exited = true));
+    proc.unref();
+    if (proc.pid == null) throw new Error(`mlx-ts: failed to start ${opts.hostPath}`);
+
+    while (!(await canConnect(paths.socketPath))) {
+      if (exited) throw new Error(`mlx-ts: the daemon exited during startup (see ${paths.logPath})`);
+      if (Date.now() > deadline) {
+        process.kill(proc.pid, "SIGKILL");
+        throw new Error(`mlx-ts: timed out waiting for the daemon to start (see ${paths.logPath})`);
+      }
+      await sleep(25);
+    }
+
+    const info: DaemonInfo = { pid: proc.pid, socketPath: paths.socketPath, startedAt, hostPath: opts.hostPath, state: "running" };
+    // Replaced in one step, so readers never see a half-written lock.
+    const tmp = `${paths.lockPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(info), { mode: 0o600 });
+    fs.renameSync(tmp, paths.lockPath);
+    return info;
+  } catch (err) {
+    removeDaemonFiles(paths);
+    throw err;
+  }
+}
+
+function ensurePrivateDir(dir: string) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const st = fs.statSync(dir);
+  // The token lives here: refuse a directory someone else controls.
+  if (process.getuid && st.uid !== process.getuid()) throw new Error(`mlx-ts: ${dir} is not owned by the current user`);
+  if ((st.mode & 0o077) !== 0) fs.chmodSync(dir, 0o700);
+}
+
+function readLock(file: string): DaemonInfo | undefined {
+  let text: string;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return undefined;
+  }
+  try {
+    const info = JSON.parse(text);
+    if (typeof info?.pid === "number") return info;
+  } catch {}
+  // Unreadable: a process that's writing it right now holds it; an old one is stale.
+  const st = fs.statSync(file, { throwIfNoEntry: false });
+  if (!st) return undefined;
+  const fresh = Date.now() - st.mtimeMs < 2000;
+  return fresh ? { pid: process.pid, socketPath: "", startedAt: "", state: "starting" } : undefined;
+}
+
+function readToken(file: string): string {
+  return fs.readFileSync(file, "utf8").trim();
+}
+
+function removeDaemonFiles(paths: DaemonPaths) {
+  for (const f of [paths.socketPath, paths.tokenPath, paths.lockPath]) fs.rmSync(f, { force: true });
+}
+
+/**
+ * Cleans up after a dead daemon, unless another starter has claimed the lock since it was
+ * found stale (deleting that starter's fresh lock and token would let a third one in).
+ */
+function removeStaleDaemonFiles(paths: DaemonPaths) {
+  const info = readLock(paths.lockPath);
+  if (info && isAlive(info.pid)) return;
+  removeDaemonFiles(paths);
+}
+
+function isAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err: any) {
+    return err?.code === "EPERM";
+  }
+}
+
+function canConnect(socketPath: string): Promise<boolean> {
+  return new Promise((resolve) => {
+    const sock = net.createConnection({ path: socketPath });
+    sock.once("connect", () => {
+      sock.destroy();
+      resolve(true);
+    });
+    sock.once("error", () => resolve(false));
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * Base class of the errors `MlxClient` throws. `code` is stable (host error codes pass through
+ * on `MlxHostError`); match on the subclass or `code`, not the message.
+ */
+export abstract class MlxError extends Error {
+  abstract readonly code: string;
+}
+
+/**
+ * The socket to mlx-host is unavailable: connecting failed, or it closed (host exit, `close()`)
+ * while the request was in flight. Streams report it as an error event with code `disconnected`.
+ */
+export class MlxConnectionError extends MlxError {
+  readonly code = "disconnected";
+
+  constructor(message: string, options?: ErrorOptions) {
+    super(`mlx-ts: ${message}`, options);
+    this.name = "MlxConnectionError";
+  }
+}
+
+/** The host rejected the `handshake` auth token (host code `unauthorized`). */
+export class MlxAuthError extends MlxError {
+  readonly code = "unauthorized";
+
+  constructor(message: string) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxAuthError";
+  }
+}
+
+/** The model isn't downloaded/registered, or not loaded for inference (host code `model_not_found`). */
+export class MlxModelNotFoundError extends MlxError {
+  readonly code = "model_not_found";
+
+  constructor(
+    readonly model: string | undefined,
+    message: string
+  ) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxModelNotFoundError";
+  }
+}
+
+/** `model.download` failed (host code `download_failed`): network, Hub or disk errors. */
+export class MlxDownloadError extends MlxError {
+  readonly code = "download_failed";
+
+  constructor(
+    readonly model: string | undefined,
+    message: string
+  ) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxDownloadError";
+  }
+}
+
+/** Any other `error` reply from the host (e.g. `bad_request`, `stream_error`); `code` is the host's. */
+export class MlxHostError extends MlxError {
+  constructor(
+    readonly code: string,
+    message: string,
+    readonly requestType: string
+  ) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxHostError";
+  }
+}
+
+/** Thrown when an RPC does not settle within its timeout (per-call `timeoutMs` or `requestTimeoutMs`). */
+export class MlxTimeoutError extends MlxError {
+  readonly code = "timeout";
+
+  constructor(
+    readonly requestType: string,
+    readonly requestId: string,
+    readonly timeoutMs: number
+  ) {
+    super(`mlx-ts: ${requestType} timed out after ${timeoutMs}ms`);
+    this.name = "MlxTimeoutError";
+  }
+}
+
+/** Thrown when an RPC is aborted through its `AbortSignal`. */
+export class MlxCancelledError extends MlxError {
+  readonly code = "cancelled";
+
+  constructor(
+    readonly requestType: string,
+    readonly requestId: string
+  ) {
+    super(`mlx-ts: ${requestType} was aborted`);
+    this.name = "MlxCancelledError";
+  }
+}
+
+/** Rejection when the scheduler queue for a model is at `maxQueueLength`. */
+export class MlxQueueFullError extends MlxError {
+  readonly code = "queue_full";
+
+  constructor(
+    readonly model: string,
+    readonly maxQueueLength: number
+  ) {
+    super(`mlx-ts: queue for ${model} is full (${maxQueueLength} waiting)`);
+    this.name = "MlxQueueFullError";
+  }
+}
+
+/**
+ * A frame that breaks the wire protocol: larger than `maxFrameBytes`, not JSON, or not an
+ * envelope. `fatal` errors leave the byte stream unusable, so the connection is dropped.
+ */
+export class MlxProtocolError extends MlxError {
+  readonly code = "protocol_error";
+
+  constructor(
+    readonly reason: "frame_too_large" | "invalid_json" | "invalid_envelope" | "incompatible_version",
+    message: string,
+    readonly fatal: boolean
+  ) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxProtocolError";
+  }
+}
+
+/** The connected host doesn't advertise the capability a call needs (see `MlxClient.serverInfo`). */
+export class MlxUnsupportedError extends MlxError {
+  readonly code = "unsupported";
+
+  constructor(
+    readonly capability: string,
+    readonly feature: string,
+    message = `the connected mlx-host doesn't support ${feature} (no "${capability}" capability)`
+  ) {
+    super(`mlx-ts: ${message}`);
+    this.name = "MlxUnsupportedError";
+  }
+}
+
+/**
+ * The typed error for a host `error` reply (or stream error event) to a `requestType` request.
+ * Hosts from before the specific codes report missing models as `bad_request`, so the message
+ * is checked too.
+ */
+export function fromHostError(payload: { code?: unknown; message?: unknown }, requestType: string, model?: string): MlxError {
+  const code = String(payload.code ?? "error");
+  const message = String(payload.message ?? "Unknown error");
+  switch (code) {
+    case "unauthorized":
+      return new MlxAuthError(message);
+    case "model_not_found":
+      return new MlxModelNotFoundError(model, message);
+    case "download_failed":
+      return new MlxDownloadError(model, message);
+    case "unknown_type":
+      return new MlxUnsupportedError(requestType, `${requestType} requests`, message);
+  }
+  if (/model not (found|loaded)/i.test(message)) return new MlxModelNotFoundError(model, message);
+  if (requestType === "model.download") return new MlxDownloadError(model, message);
+  return new MlxHostError(code, message, requestType);
+}
@@ -0,0 +1,101 @@
+import { MlxProtocolError } from "./errors.js";
+import type { RPCEnvelope } from "./wire.js";
+
+/** Default limit for one frame body, in bytes (images are sent base64 inside a frame). */
+export const DEFAULT_MAX_FRAME_BYTES = 64 * 1024 * 1024;
+
+export type FrameDecoderOptions = {
+  /** A length header above this is a fatal protocol error. Default: `DEFAULT_MAX_FRAME_BYTES`. */
+  maxFrameBytes?: number;
+  /**
+   * Malformed frames are skipped and reported here. After a fatal one (bad length header)
+   * the decoder ignores all further input.
+   */
+  onProtocolError?: (err: MlxProtocolError) => void;
+};
+
+export function encodeFrame(msg: RPCEnvelope, maxFrameBytes = DEFAULT_MAX_FRAME_BYTES): Buffer {
+  const body = Buffer.from(JSON.stringify(msg), "utf8");
+  if (body.length > maxFrameBytes) throw frameTooLarge(body.length, maxFrameBytes);
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Incremental decoder for uint32be-length-prefixed JSON frames. Chunks are kept in a list
+ * and each byte is copied at most once, however a frame is split across reads.
+ */
+export function createFrameDecoder(onMessage: (msg: RPCEnvelope) => void, opts: FrameDecoderOptions = {}) {
+  const maxFrameBytes = opts.maxFrameBytes ?? DEFAULT_MAX_FRAME_BYTES;
+  const chunks: Buffer[] = [];
+  let buffered = 0;
+  // Body length of the frame being read; -1 while waiting for its header.
+  let bodyLength = -1;
+  let broken = false;
+
+  const take = (n: number): Buffer => {
+    if (n === 0) return Buffer.alloc(0);
+    buffered -= n;
+    const first = chunks[0];
+    if (first.length >= n) {
+      if (first.length === n) chunks.shift();
+      else chunks[0] = first.subarray(n);
+      return first.subarray(0, n);
+    }
+    const out = Buffer.allocUnsafe(n);
+    for (let off = 0; off < n; ) {
+      const c = chunks[0];
+      const k = Math.min(c.length, n - off);
+      c.copy(out, off, 0, k);
+      off += k;
+      if (k === c.length) chunks.shift();
+      else chunks[0] = c.subarray(k);
+    }
+    return out;
+  };
+
+  return (chunk: Buffer) => {
+    if (broken) return;
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+      buffered += chunk.length;
+    }
+    while (true) {
+      if (bodyLength < 0) {
+        if (buffered < 4) return;
+        bodyLength = take(4).readUInt32BE(0);
+        if (bodyLength > maxFrameBytes) {
+          // The stream can't be re-synchronised after a bad header.
+          broken = true;
+          chunks.length = 0;
+          buffered = 0;
+          opts.onProtocolError?.(frameTooLarge(bodyLength, maxFrameBytes));
+          return;
+        }
+      }
+      if (buffered < bodyLength) return;
+      const body = take(bodyLength);
+      bodyLength = -1;
+
+      let msg: RPCEnvelope;
+      try {
+        msg = JSON.parse(body.toString("utf8"));
+      } catch (err: any) {
+        opts.onProtocolError?.(new MlxProtocolError("invalid_json", `malformed JSON frame (${err?.message ?? err})`, false));
+        continue;
+      }
+      if (!msg || typeof msg.type !== "string") {
+        opts.onProtocolError?.(new MlxProtocolError("invalid_envelope", "frame is not an envelope with a string `type`", false));
+        continue;
+      }
+      onMessage(msg);
+    }
+  };
+}
+
+// ---- private ----
+
+function frameTooLarge(size: number, maxFrameBytes: number): MlxProtocolError {
+  return new MlxProtocolError("frame_too_large", `frame of ${size} bytes exceeds maxFrameBytes (${maxFrameBytes})`, true);
+}
@@ -0,0 +1,149 @@
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+import type { ImagePart } from "./wire.js";
+
+/** Anything we can turn into an image part: URL (`file:`, `http(s):`, `data:`), file path, bytes or base64. */
+export type ImageInput = URL | string | Uint8Array | ArrayBuffer;
+
+export type NormalizeImageOptions = {
+  /** Reject images larger than this. Default: 20 MiB. */
+  maxBytes?: number;
+  /** Fallback when the bytes don't identify the format. */
+  mimeType?: string;
+  /** Allow fetching `http(s):` URLs. Default: true. */
+  allowRemote?: boolean;
+  /** Give up on an `http(s):` fetch (headers and body) after this long. Default: 30 s. */
+  fetchTimeoutMs?: number;
+};
+
+export const DEFAULT_MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_FETCH_TIMEOUT_MS = 30_000;
+
+/**
+ * Resolves an image to the base64 `{ type: "image" }` part the host expects: reads `file://`
+ * URLs and paths, fetches `http(s)` URLs, decodes data URLs / base64, enforces the size limit
+ * and sniffs the mime type from the bytes.
+ */
+export async function normalizeImage(input: ImageInput, opts: NormalizeImageOptions = {}): Promise<ImagePart> {
+  const maxBytes = opts.maxBytes ?? DEFAULT_MAX_IMAGE_BYTES;
+  let bytes: Uint8Array;
+  let declared = opts.mimeType;
+
+  if (input instanceof Uint8Array) {
+    bytes = input;
+  } else if (input instanceof ArrayBuffer) {
+    bytes = new Uint8Array(input);
+  } else {
+    const url = toUrl(input);
+    if (url?.protocol === "data:") {
+      const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url.href);
+      if (!m) throw new Error("mlx-ts: invalid data URL for image");
+      declared = m[1] || declared;
+      bytes = m[2] ? Buffer.from(m[3], "base64") : Buffer.from(decodeURIComponent(m[3]), "latin1");
+    } else if (url?.protocol === "file:") {
+      bytes = await readLimited(fileURLToPath(url), maxBytes);
+    } else if (url?.protocol === "http:" || url?.protocol === "https:") {
+      if (opts.allowRemote === false) throw new Error(`mlx-ts: remote images are disabled (${url.href})`);
+      const res = await fetchLimited(url, maxBytes, opts.fetchTimeoutMs ?? DEFAULT_FETCH_TIMEOUT_MS);
+      bytes = res.bytes;
+      declared ??= res.contentType;
+    } else if (url) {
+      throw new Error(`mlx-ts: unsupported image URL scheme '${url.protocol}'`);
+    } else if (typeof input === "string" && (await isFile(input))) {
+      bytes = await readLimited(input, maxBytes);
+    } else if (typeof input === "string" && /^[A-Za-z0-9+/_-]+={0,2}$/.test(input.replace(/\s+/g, ""))) {
+      bytes = Buffer.from(input, "base64");
+    } else {
+      throw new Error("mlx-ts: image must be a URL, an existing file path, bytes or base64");
+    }
+  }
+
+  if (bytes.byteLength === 0) throw new Error("mlx-ts: image is empty");
+  if (bytes.byteLength > maxBytes) throw tooLarge(bytes.byteLength, maxBytes);
+
+  const mimeType = sniffImageMimeType(bytes) ?? declared;
+  if (!mimeType?.startsWith("image/")) {
+    throw new Error(`mlx-ts: unsupported image format${mimeType ? ` (${mimeType})` : ""}`);
+  }
+  return { type: "image", data: Buffer.from(bytes).toString("base64"), mimeType };
+}
+
+/** Mime type from magic bytes (png, jpeg, gif, webp, bmp, heic/avif), or undefined. */
+export function sniffImageMimeType(bytes: Uint8Array): string | undefined {
+  const ascii = (start: number, end: number) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 2) === "BM") return "image/bmp";
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "avif" || brand === "avis") return "image/avif";
+    if (/^hei[cx]|^mif1|^msf1/.test(brand)) return "image/heic";
+  }
+  return undefined;
+}
+
+// ---- private ----
+
+function toUrl(input: URL | string): URL | undefined {
+  if (input instanceof URL) return input;
+  // Windows drive letters and bare paths aren't URLs.
+  if (!/^[a-z][a-z0-9+.-]+:/i.test(input) || /^[a-z]:[\\/]/i.test(input)) return undefined;
+  try {
+    return new URL(input);
+  } catch {
+    return undefined;
+  }
+}
+
+async function isFile(p: string): Promise<boolean> {
+  if (!p || p.length > 4096) return false;
+  try {
+    return (await fs.stat(p)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function readLimited(file: string, maxBytes: number): Promise<Uint8Array> {
+  const { size } = await fs.stat(file);
+  if (size > maxBytes) throw tooLarge(size, maxBytes);
+  return fs.readFile(file);
+}
+
+/** GETs `url`, aborting on timeout or as soon as the body (declared or received) passes `maxBytes`. */
+async function fetchLimited(url: URL, maxBytes: number, timeoutMs: number): Promise<{ bytes: Uint8Array; contentType?: string }> {
+  const abort = new AbortController();
+  const timer = setTimeout(() => abort.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { signal: abort.signal });
+    if (!res.ok) throw new Error(`mlx-ts: failed to fetch image ${url.href}: HTTP ${res.status}`);
+    const length = Number(res.headers.get("content-length") ?? 0);
+    if (length > maxBytes) throw tooLarge(length, maxBytes);
+
+    const chunks: Uint8Array[] = [];
+    let received = 0;
+    if (res.body) {
+      for await (const chunk of res.body) {
+        received += chunk.byteLength;
+        if (received > maxBytes) throw tooLarge(received, maxBytes);
+        chunks.push(chunk);
+      }
+    }
+    return { bytes: Buffer.concat(chunks), contentType: res.headers.get("content-type")?.split(";")[0] || undefined };
+  } catch (err) {
+    if (abort.signal.aborted) throw new Error(`mlx-ts: fetching image ${url.href} timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    // Stops the download if we bailed out mid-body.
+    abort.abort();
+  }
+}
+
+function tooLarge(size: number, maxBytes: number): Error {
+  return new Error(`mlx-ts: image is ${size} bytes, over the ${maxBytes} byte limit`);
+}
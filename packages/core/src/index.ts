@@ -0,0 +1,62 @@
+/**
+ * `MlxClient`, the wire protocol and the AI SDK adapter, shared by `mlx-ts` (which adds the
+ * host binary, `createMlxProvider`, the HTTP server and the mock host) and
+ * `@mlx-ts/ai-sdk-provider-mlx`.
+ */
+export { createMlxAiSdkProvider } from "./aiSdk.js";
+export type { MlxAiSdkProviderOptions, MlxEmbeddingSettings, MlxModelSettings } from "./aiSdk.js";
+export type { ToolCallFormat } from "./tools.js";
+export { MlxClient, PROTOCOL_VERSION } from "./client.js";
+export type {
+  DownloadEvent,
+  DownloadOptions,
+  DownloadSource,
+  InferenceOptions,
+  MlxClientEvents,
+  MlxClientOptions,
+  ReconnectOptions,
+  RequestOptions,
+  SharedDaemonOptions,
+} from "./client.js";
+export { combineInstrumentation, createLoggingInstrumentation } from "./instrumentation.js";
+export type {
+  LoggingInstrumentationOptions,
+  MlxInferenceMetrics,
+  MlxInstrumentation,
+  MlxRequestEnd,
+  MlxRequestLogRecord,
+  MlxRequestOutcome,
+  MlxRequestStart,
+} from "./instrumentation.js";
+export { createOpenTelemetryInstrumentation } from "./otel.js";
+export type { OtelSpan, OtelTracer } from "./otel.js";
+export { PROMETHEUS_CONTENT_TYPE, createPrometheusMetrics } from "./metrics.js";
+export type { PrometheusMetrics } from "./metrics.js";
+export { DEFAULT_DAEMON_IDLE_TIMEOUT_MS, daemonStatus, getDaemonPaths, startDaemon, stopDaemon } from "./daemon.js";
+export type { DaemonInfo, DaemonPaths, DaemonStatus, StartDaemonOptions } from "./daemon.js";
+export type { BatchOptions, BatchOutput, BatchResult, BatchStats, LatencyStats } from "./batch.js";
+export { ModelCache } from "./modelCache.js";
+export type { CachedModelInfo, EvictionOptions, ModelIntegrity } from "./modelCache.js";
+export { MlxSession } from "./session.js";
+export type { SessionRequest } from "./session.js";
+export {
+  MlxAuthError,
+  MlxCancelledError,
+  MlxConnectionError,
+  MlxDownloadError,
+  MlxError,
+  MlxHostError,
+  MlxModelNotFoundError,
+  MlxProtocolError,
+  MlxQueueFullError,
+  MlxTimeoutError,
+  MlxUnsupportedError,
+} from "./errors.js";
+export type { ModelQueueStats, QueueStats, RequestPriority, SchedulerOptions } from "./scheduler.js";
+export type * from "./wire.js";
+export { createStopMatcher, createThinkParser, truncateAtStop } from "./textFilters.js";
+export type { StopMatcher, ThinkParser, ThinkSegment, ThinkTags } from "./textFilters.js";
+export { normalizeImage } from "./images.js";
+export type { ImageInput, NormalizeImageOptions } from "./images.js";
+export { DEFAULT_MAX_FRAME_BYTES, createFrameDecoder, encodeFrame } from "./framing.js";
+export type { FrameDecoderOptions } from "./framing.js";
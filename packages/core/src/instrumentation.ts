@@ -0,0 +1,108 @@
+import type { FinishReason } from "./wire.js";
+
+/** An RPC as it is sent to the host (`type` is the wire type, e.g. `inference.generate`). */
+export type MlxRequestStart = {
+  type: string;
+  requestId: string;
+  /** The model the request is about, if its payload names one. */
+  model?: string;
+  /** `Date.now()` when it was sent (after any time queued in the scheduler). */
+  startTime: number;
+};
+
+export type MlxRequestOutcome = "ok" | "error" | "cancelled" | "timeout";
+
+/** Per-request numbers for `inference.generate` / `inference.stream`, mostly from `GenerateResponse`. */
+export type MlxInferenceMetrics = {
+  streaming: boolean;
+  ttftMs?: number;
+  totalMs?: number;
+  tokensPerSecond?: number;
+  queueMs?: number;
+  promptTokens?: number;
+  completionTokens?: number;
+  /** Token events handed to the caller (streams only; fewer than `completionTokens` when filtered). */
+  tokensEmitted?: number;
+  finishReason?: FinishReason;
+};
+
+export type MlxRequestEnd = MlxRequestStart & {
+  durationMs: number;
+  outcome: MlxRequestOutcome;
+  /** Why it failed (`code` as on the thrown error or stream error event). */
+  error?: { code: string; message: string };
+  /** Set for inference requests that got as far as the host. */
+  inference?: MlxInferenceMetrics;
+};
+
+/**
+ * Hooks `MlxClient` calls for every RPC it sends (see `MlxClientOptions.instrumentation` and
+ * `client.instrument()`). Every start gets exactly one end. Hooks run synchronously on the
+ * client's hot path and what they throw is ignored.
+ */
+export type MlxInstrumentation = {
+  onRequestStart?(ev: MlxRequestStart): void;
+  onRequestEnd?(ev: MlxRequestEnd): void;
+};
+
+/** A structured log line per finished RPC. */
+export type MlxRequestLogRecord = {
+  time: string;
+  level: "info" | "warn";
+  msg: string;
+} & Omit<MlxRequestEnd, "error" | "inference"> &
+  Partial<Omit<MlxInferenceMetrics, "streaming">> & { errorCode?: string; errorMessage?: string };
+
+export type LoggingInstrumentationOptions = {
+  /** Where records go. Default: one JSON line each on stderr. */
+  log?: (record: MlxRequestLogRecord) => void;
+  /** Only log failed requests (`warn`). Default: false. */
+  errorsOnly?: boolean;
+};
+
+/** Structured logging of every RPC (type, requestId, model, duration, outcome and inference numbers). */
+export function createLoggingInstrumentation(opts: LoggingInstrumentationOptions = {}): MlxInstrumentation {
+  const log = opts.log ?? ((record) => process.stderr.write(`${JSON.stringify(record)}\n`));
+  return {
+    onRequestEnd({ error, inference, ...ev }) {
+      const failed = ev.outcome !== "ok";
+      if (opts.errorsOnly && !failed) return;
+      const { streaming: _, ...metrics } = inference ?? { streaming: false };
+      log({
+        time: new Date().toISOString(),
+        level: failed ? "warn" : "info",
+        msg: `mlx-ts: ${ev.type} ${ev.outcome}`,
+        ...ev,
+        ...metrics,
+        ...(error ? { errorCode: error.code, errorMessage: error.message } : {}),
+      });
+    },
+  };
+}
+
+/** One instrumentation that calls each of `list` in order. */
+export function combineInstrumentation(...list: Array<MlxInstrumentation | undefined>): MlxInstrumentation {
+  const hooks = list.filter((h): h is MlxInstrumentation => h != null);
+  return {
+    onRequestStart: (ev) => hooks.forEach((h) => callHook(h, "onRequestStart", ev)),
+    onRequestEnd: (ev) => hooks.forEach((h) => callHook(h, "onRequestEnd", ev)),
+  };
+}
+
+/** Calls one hook; a throwing hook must not fail the request (or the hooks after it). */
+export function callHook<K extends keyof MlxInstrumentation>(
+  hooks: MlxInstrumentation,
+  name: K,
+  ev: Parameters<NonNullable<MlxInstrumentation[K]>>[0]
+) {
+  try {
+    (hooks[name] as ((ev: unknown) => void) | undefined)?.call(hooks, ev);
+  } catch {
+    // Ignored, as documented on `MlxInstrumentation`.
+  }
+}
+
+/** `outcome` for a failure, from the error's `code`. */
+export function outcomeOf(code: string | undefined): MlxRequestOutcome {
+  return code === "cancelled" || code === "timeout" ? code : "error";
+}
@@ -0,0 +1,242 @@
+/**
+ * JSON output helpers for `object-json` mode / `responseFormat: { type: "json" }`:
+ * prompt steering, extracting the JSON value from free-form model output, and a small
+ * JSON Schema validator (the subset that `zod-to-json-schema` and hand-written schemas use).
+ */
+
+export type JsonSchema = Record<string, any>;
+
+export type JsonOutputSpec = { schema?: JsonSchema; name?: string; description?: string };
+
+/** System prompt instruction asking for a bare JSON value. */
+export function renderJsonInstruction(spec: JsonOutputSpec): string {
+  let out = "Respond with a single valid JSON value only: no prose, no explanations and no Markdown code fences.";
+  if (spec.name) out += `\nThe value is "${spec.name}"${spec.description ? `: ${spec.description}` : "."}`;
+  else if (spec.description) out += `\nThe value is: ${spec.description}`;
+  if (spec.schema) out += `\nIt must conform to this JSON Schema:\n${JSON.stringify(spec.schema)}`;
+  return out;
+}
+
+/** Follow-up user turn after an invalid answer. */
+export function renderJsonRetry(errors: string[]): string {
+  return (
+    "Your previous response was not valid:\n" +
+    errors.map((e) => `- ${e}`).join("\n") +
+    "\nRespond again with only the corrected JSON value."
+  );
+}
+
+export type JsonExtraction =
+  | { ok: true; text: string; value: unknown }
+  | { ok: false; text: string; errors: string[] };
+
+/**
+ * Pulls the first complete JSON object/array out of `text` (ignoring code fences and any
+ * preamble/epilogue) and validates it against `schema` if given.
+ */
+export function extractJson(text: string, schema?: JsonSchema): JsonExtraction {
+  const raw = findJsonValue(text);
+  if (raw == null) return { ok: false, text, errors: ["no JSON object or array found in the response"] };
+
+  let value: unknown;
+  try {
+    value = JSON.parse(raw);
+  } catch (err: any) {
+    return { ok: false, text: raw, errors: [`invalid JSON: ${String(err?.message ?? err)}`] };
+  }
+
+  const errors = schema ? validateJsonSchema(value, schema) : [];
+  return errors.length > 0 ? { ok: false, text: raw, errors } : { ok: true, text: raw, value };
+}
+
+/** Returns a list of human-readable violations (empty when valid). */
+export function validateJsonSchema(
+  value: unknown,
+  schema: JsonSchema | boolean,
+  at = "$",
+  root: JsonSchema | boolean = schema
+): string[] {
+  return validate(value, schema, at, root, new Set());
+}
+
+/**
+ * Streaming counterpart of `extractJson`: drops everything before the first `{`/`[`
+ * and after the matching close, passing the JSON through as it arrives.
+ */
+export function createJsonStreamExtractor(): (text: string) => string {
+  let state: "before" | "inside" | "after" = "before";
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  return (text) => {
+    let out = "";
+    for (const ch of text) {
+      if (state === "after") break;
+      if (state === "before") {
+        if (ch !== "{" && ch !== "[") continue;
+        state = "inside";
+      }
+      out += ch;
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === "{" || ch === "[") depth++;
+      else if (ch === "}" || ch === "]") {
+        depth--;
+        if (depth === 0) state = "after";
+      }
+    }
+    return out;
+  };
+}
+
+// ---- private ----
+
+/**
+ * `refs` holds the `$ref`s being followed for this value: meeting one again (`{ "$ref": "#" }`,
+ * definitions that refer to each other) would check the same schema against the same value
+ * forever and adds nothing, so it's skipped. Descending into an item or property starts afresh.
+ */
+function validate(value: unknown, schema: JsonSchema | boolean, at: string, root: JsonSchema | boolean, refs: Set<string>): string[] {
+  if (schema === true || schema == null) return [];
+  if (schema === false) return [`${at}: no value is allowed here`];
+  if (typeof schema.$ref === "string") {
+    const ref = schema.$ref;
+    const target = typeof root === "object" ? resolveRef(root, ref) : undefined;
+    if (!target || refs.has(ref)) return [];
+    refs.add(ref);
+    try {
+      return validate(value, target, at, root, refs);
+    } finally {
+      refs.delete(ref);
+    }
+  }
+
+  const errors: string[] = [];
+
+  if (schema.anyOf && !schema.anyOf.some((s: JsonSchema) => validate(value, s, at, root, refs).length === 0)) {
+    errors.push(`${at}: does not match any of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((s: JsonSchema) => validate(value, s, at, root, refs).length === 0).length;
+    if (matches === 0) errors.push(`${at}: does not match any of the allowed schemas`);
+    else if (matches > 1) errors.push(`${at}: matches ${matches} of the oneOf schemas, expected exactly one`);
+  }
+  for (const s of schema.allOf ?? []) errors.push(...validate(value, s, at, root, refs));
+
+  if ("const" in schema && !deepEqual(value, schema.const)) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (Array.isArray(schema.enum) && !schema.enum.some((e: unknown) => deepEqual(value, e))) {
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.type != null) {
+    const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => hasType(value, t))) {
+      errors.push(`${at}: expected ${types.join(" | ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+    if (schema.pattern != null) {
+      const pattern = compilePattern(schema.pattern);
+      if (!pattern) errors.push(`${at}: schema pattern ${schema.pattern} is not a valid regular expression`);
+      else if (!pattern.test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`, root, new Set())));
+    }
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const obj = value as Record<string, unknown>;
+    const props: Record<string, JsonSchema> = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in obj)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(obj)) {
+      if (key in props) errors.push(...validate(v, props[key], `${at}.${key}`, root, new Set()));
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validate(v, schema.additionalProperties, `${at}.${key}`, root, new Set()));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function findJsonValue(text: string): string | undefined {
+  // Prefer the contents of a ```json fence when there is one.
+  const fence = /```(?:json)?\s*\n?([\s\S]*?)```/i.exec(text);
+  const candidates = fence ? [fence[1], text] : [text];
+  for (const c of candidates) {
+    const extract = createJsonStreamExtractor();
+    const raw = extract(c);
+    if (raw) return raw;
+  }
+  return undefined;
+}
+
+function compilePattern(pattern: string): RegExp | undefined {
+  try {
+    return new RegExp(pattern, "u");
+  } catch {
+    return undefined;
+  }
+}
+
+function resolveRef(root: JsonSchema, ref: string): JsonSchema | undefined {
+  if (!ref.startsWith("#")) return undefined;
+  let node: any = root;
+  for (const seg of ref.slice(1).split("/").filter(Boolean)) {
+    node = node?.[decodeURIComponent(seg.replace(/~1/g, "/").replace(/~0/g, "~"))];
+  }
+  return node;
+}
+
+function hasType(value: unknown, type: string): boolean {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return typeof value === "number" && Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function deepEqual(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,134 @@
+import type { MlxInstrumentation } from "./instrumentation.js";
+import type { QueueStats } from "./scheduler.js";
+
+/** Content type of `render()`'s output (Prometheus text exposition format). */
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Collects RPC and inference metrics from the client hooks; `render()` is what `/metrics` serves. */
+export type PrometheusMetrics = MlxInstrumentation & {
+  /** Current values; `queueStats` (from `client.queueStats()`) adds the scheduler gauges. */
+  render(opts?: { queueStats?: QueueStats }): string;
+};
+
+/**
+ * Prometheus metrics built on `MlxInstrumentation`: pass it as `instrumentation` (or to
+ * `client.instrument()`) and serve `render()`. Tracks requests by type and outcome, in-flight
+ * requests, RPC latency, and per-model TTFT, tokens per second and token counts.
+ */
+export function createPrometheusMetrics(): PrometheusMetrics {
+  const requests = new Totals("mlx_requests_total", "RPCs sent to mlx-host, by type and outcome.");
+  const inFlight = new Totals("mlx_requests_in_flight", "RPCs waiting for mlx-host to finish.", "gauge");
+  const duration = new Histogram("mlx_request_duration_seconds", "RPC latency, from sending to the last reply.", DURATION_BUCKETS);
+  const ttft = new Histogram("mlx_time_to_first_token_seconds", "Time to the first generated token.", TTFT_BUCKETS);
+  const speed = new Histogram("mlx_tokens_per_second", "Generation speed per inference request.", SPEED_BUCKETS);
+  const promptTokens = new Totals("mlx_prompt_tokens_total", "Prompt tokens processed.");
+  const completionTokens = new Totals("mlx_completion_tokens_total", "Tokens generated.");
+
+  return {
+    onRequestStart({ type }) {
+      inFlight.add({ type }, 1);
+    },
+
+    onRequestEnd({ type, model, durationMs, outcome, inference }) {
+      inFlight.add({ type }, -1);
+      requests.add({ type, outcome }, 1);
+      duration.observe({ type }, durationMs / 1000);
+      if (!inference || !model) return;
+      if (inference.ttftMs != null) ttft.observe({ model }, inference.ttftMs / 1000);
+      if (inference.tokensPerSecond != null) speed.observe({ model }, inference.tokensPerSecond);
+      if (inference.promptTokens != null) promptTokens.add({ model }, inference.promptTokens);
+      if (inference.completionTokens != null) completionTokens.add({ model }, inference.completionTokens);
+    },
+
+    render(opts) {
+      const metrics = [requests, inFlight, duration, ttft, speed, promptTokens, completionTokens].map((m) => m.render());
+      if (opts?.queueStats) metrics.push(...renderQueueStats(opts.queueStats));
+      return metrics.join("");
+    },
+  };
+}
+
+// ---- private ----
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const TTFT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+const SPEED_BUCKETS = [1, 5, 10, 20, 40, 60, 80, 100, 150, 200];
+
+type Labels = Record<string, string>;
+
+/** A counter or gauge, one value per label set. */
+class Totals {
+  private values = new Map<string, number>();
+
+  constructor(
+    private readonly name: string,
+    private readonly help: string,
+    private readonly kind: "counter" | "gauge" = "counter"
+  ) {}
+
+  add(labels: Labels, n: number) {
+    const key = labelString(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + n);
+  }
+
+  render(): string {
+    let out = header(this.name, this.help, this.kind);
+    for (const [labels, value] of this.values) out += `${this.name}${labels} ${value}\n`;
+    return out;
+  }
+}
+
+class Histogram {
+  private series = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+
+  constructor(
+    private readonly name: string,
+    private readonly help: string,
+    private readonly buckets: number[]
+  ) {}
+
+  observe(labels: Labels, value: number) {
+    const key = labelString(labels);
+    let s = this.series.get(key);
+    if (!s) this.series.set(key, (s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render(): string {
+    let out = header(this.name, this.help, "histogram");
+    for (const [key, s] of this.series) {
+      this.buckets.forEach((le, i) => {
+        out += `${this.name}_bucket${labelString({ ...s.labels, le: String(le) })} ${s.counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${labelString({ ...s.labels, le: "+Inf" })} ${s.count}\n`;
+      out += `${this.name}_sum${key} ${s.sum}\n`;
+      out += `${this.name}_count${key} ${s.count}\n`;
+    }
+    return out;
+  }
+}
+
+function renderQueueStats(stats: QueueStats): string[] {
+  const gauge = (name: string, help: string, pick: (s: QueueStats["models"][string]) => number) =>
+    header(name, help, "gauge") +
+    Object.entries(stats.models)
+      .map(([model, s]) => `${name}${labelString({ model })} ${pick(s)}\n`)
+      .join("");
+  return [
+    gauge("mlx_scheduler_running", "Inference requests running on the host, per model.", (s) => s.running),
+    gauge("mlx_scheduler_queued", "Inference requests waiting in the client-side queue, per model.", (s) => s.queued),
+  ];
+}
+
+function header(name: string, help: string, kind: string): string {
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${kind}\n`;
+}
+
+function labelString(labels: Labels): string {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${v.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
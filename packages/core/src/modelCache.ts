@@ -0,0 +1,241 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * `ok`: config and all weights present. `missing`: no config, no weights or a shard of the
+ * index is absent. `partial`: a download was interrupted (`.incomplete` file, or a weights
+ * file shorter than its header says).
+ */
+export type ModelIntegrity = "ok" | "missing" | "partial";
+
+export type CachedModelInfo = {
+  /** Hugging Face repo id. */
+  model: string;
+  /** Snapshot directory. */
+  path: string;
+  sizeBytes: number;
+  /** Commit the Hub client recorded for the snapshot, if known. */
+  revision?: string;
+  /** Last `recordUse()`, else `modifiedAt`. */
+  lastUsedAt: Date;
+  /** Newest file change in the snapshot (i.e. when it was downloaded). */
+  modifiedAt: Date;
+  integrity: ModelIntegrity;
+  /** What makes it `missing` / `partial` (file names relative to `path`). */
+  problems: string[];
+};
+
+export type EvictionOptions = {
+  /** Never evict these (e.g. loaded models, the model about to be downloaded). */
+  keep?: string[];
+  /** Broken snapshots changed more recently than this may still be downloading. Default: 10 minutes. */
+  graceMs?: number;
+};
+
+/**
+ * Inventory of the Hub snapshots `model.download` leaves under `<modelsDir>/models/<org>/<repo>`.
+ * Only reads and deletes files, so it works without the host (and against any directory tree
+ * of that shape).
+ */
+export class ModelCache {
+  constructor(readonly modelsDir: string) {}
+
+  list(): CachedModelInfo[] {
+    const root = path.join(this.modelsDir, "models");
+    const out: CachedModelInfo[] = [];
+    for (const org of subdirs(root)) {
+      const orgDir = path.join(root, org);
+      // Repo ids without an org live one level up.
+      if (fs.existsSync(path.join(orgDir, "config.json"))) out.push(inspect(org, orgDir));
+      else for (const repo of subdirs(orgDir)) out.push(inspect(`${org}/${repo}`, path.join(orgDir, repo)));
+    }
+    return out.sort((a, b) => a.model.localeCompare(b.model));
+  }
+
+  get(model: string): CachedModelInfo | undefined {
+    const dir = this.pathFor(model);
+    return isDir(dir) ? inspect(model, dir) : undefined;
+  }
+
+  totalBytes(): number {
+    return this.list().reduce((n, m) => n + m.sizeBytes, 0);
+  }
+
+  /** Marks `model` as just used (for LRU eviction). No-op if it isn't in the cache. */
+  recordUse(model: string, at: Date = new Date()): void {
+    const dir = this.pathFor(model);
+    if (!isDir(dir)) return;
+    try {
+      fs.writeFileSync(path.join(dir, LAST_USED_FILE), at.toISOString());
+    } catch {
+      // Read-only cache: eviction falls back to the download time.
+    }
+  }
+
+  /**
+   * What to delete so the cache fits in `maxBytes`: broken snapshots first (always, they can't
+   * be loaded), then complete ones, least recently used first.
+   */
+  planEviction(maxBytes: number, opts: EvictionOptions = {}): CachedModelInfo[] {
+    const keep = new Set(opts.keep ?? []);
+    const graceMs = opts.graceMs ?? 10 * 60 * 1000;
+    const models = this.list();
+    let total = models.reduce((n, m) => n + m.sizeBytes, 0);
+
+    const evictable = models.filter((m) => !keep.has(m.model));
+    const victims = evictable.filter((m) => m.integrity !== "ok" && Date.now() - m.modifiedAt.getTime() > graceMs);
+    for (const m of victims) total -= m.sizeBytes;
+    const byLastUse = evictable.filter((m) => m.integrity === "ok").sort((a, b) => a.lastUsedAt.getTime() - b.lastUsedAt.getTime());
+    for (const m of byLastUse) {
+      if (total <= maxBytes) break;
+      victims.push(m);
+      total -= m.sizeBytes;
+    }
+    return victims;
+  }
+
+  /** Deletes the snapshot from disk. Returns false if it wasn't there. */
+  remove(model: string): boolean {
+    const dir = this.pathFor(model);
+    if (!isDir(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  pathFor(model: string): string {
+    const parts = model.split("/");
+    if (parts.some((p) => !p || p === "." || p === "..")) throw new Error(`mlx-ts: invalid model id '${model}'`);
+    return path.join(this.modelsDir, "models", ...parts);
+  }
+}
+
+// ---- private ----
+
+const LAST_USED_FILE = ".mlx-ts-last-used";
+
+function inspect(model: string, dir: string): CachedModelInfo {
+  let sizeBytes = 0;
+  let modified = 0;
+  const weights: string[] = [];
+  const problems: string[] = [];
+  let partial = false;
+
+  for (const file of walkFiles(dir)) {
+    const rel = path.relative(dir, file);
+    const st = fs.statSync(file);
+    sizeBytes += st.size;
+    if (rel !== LAST_USED_FILE) modified = Math.max(modified, st.mtimeMs);
+    if (rel.endsWith(".incomplete")) {
+      partial = true;
+      problems.push(rel);
+    } else if (rel.endsWith(".safetensors")) {
+      weights.push(rel);
+      if (!safetensorsComplete(file, st.size)) {
+        partial = true;
+        problems.push(rel);
+      }
+    }
+  }
+
+  let missing = false;
+  if (!fs.existsSync(path.join(dir, "config.json"))) {
+    missing = true;
+    problems.push("config.json");
+  }
+  const shards = indexedShards(dir);
+  for (const shard of shards ?? []) {
+    if (!weights.includes(shard)) {
+      missing = true;
+      problems.push(shard);
+    }
+  }
+  if (weights.length === 0 && !shards) {
+    missing = true;
+    problems.push("*.safetensors");
+  }
+
+  const modifiedAt = new Date(modified);
+  const lastUsed = Date.parse(readText(path.join(dir, LAST_USED_FILE))?.trim() ?? "");
+  return {
+    model,
+    path: dir,
+    sizeBytes,
+    revision: readText(path.join(dir, ".cache", "huggingface", "download", "config.json.metadata"))?.split("\n")[0].trim() || undefined,
+    lastUsedAt: Number.isNaN(lastUsed) ? modifiedAt : new Date(lastUsed),
+    modifiedAt,
+    integrity: missing ? "missing" : partial ? "partial" : "ok",
+    problems,
+  };
+}
+
+/** Shard files named by `model.safetensors.index.json`, if there is one. */
+function indexedShards(dir: string): string[] | undefined {
+  const text = readText(path.join(dir, "model.safetensors.index.json"));
+  if (text == null) return undefined;
+  try {
+    return [...new Set(Object.values<string>(JSON.parse(text).weight_map ?? {}))];
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * A safetensors file is an 8-byte little-endian header length, a JSON header whose
+ * `data_offsets` locate every tensor, then the data: anything shorter was cut off.
+ */
+function safetensorsComplete(file: string, size: number): boolean {
+  if (size < 8) return false;
+  const fd = fs.openSync(file, "r");
+  try {
+    const prefix = Buffer.alloc(8);
+    fs.readSync(fd, prefix, 0, 8, 0);
+    const headerLength = Number(prefix.readBigUInt64LE());
+    if (8 + headerLength > size) return false;
+    const header = Buffer.alloc(headerLength);
+    fs.readSync(fd, header, 0, headerLength, 8);
+    let end = 0;
+    for (const [name, t] of Object.entries<any>(JSON.parse(header.toString("utf8")))) {
+      if (name !== "__metadata__") end = Math.max(end, Number(t?.data_offsets?.[1] ?? 0));
+    }
+    return size >= 8 + headerLength + end;
+  } catch {
+    return false;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readText(file: string): string | undefined {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch {
+    return undefined;
+  }
+}
+
+function isDir(p: string): boolean {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function subdirs(dir: string): string[] {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && !e.name.startsWith("."))
+      .map((e) => e.name);
+  } catch {
+    return [];
+  }
+}
+
+function* walkFiles(dir: string): Generator<string> {
+  for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) yield* walkFiles(p);
+    else if (e.isFile()) yield p;
+  }
+}
@@ -0,0 +1,79 @@
+import type { MlxInstrumentation, MlxRequestEnd } from "./instrumentation.js";
+
+type AttributeValue = string | number | boolean | string[];
+
+/** The parts of an `@opentelemetry/api` `Span` used here. */
+export type OtelSpan = {
+  setAttribute(key: string, value: AttributeValue): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  end(endTime?: number): void;
+};
+
+/** The parts of an `@opentelemetry/api` `Tracer` used here (e.g. `trace.getTracer("mlx-ts")`). */
+export type OtelTracer = {
+  startSpan(name: string, options?: { kind?: number; attributes?: Record<string, AttributeValue>; startTime?: number }): OtelSpan;
+};
+
+/**
+ * Spans for every RPC, named and attributed per the OpenTelemetry GenAI semantic conventions:
+ * `chat <model>` for generate/stream (usage, finish reason, TTFT), `embeddings <model>` for
+ * embeddings, and the wire type for everything else. Spans start as the request is sent, so
+ * they nest under whatever span is active then. Takes the tracer rather than importing
+ * `@opentelemetry/api`, so this package doesn't depend on it.
+ */
+export function createOpenTelemetryInstrumentation(tracer: OtelTracer): MlxInstrumentation {
+  const spans = new Map<string, OtelSpan>();
+
+  return {
+    onRequestStart({ type, requestId, model, startTime }) {
+      const operation = GEN_AI_OPERATIONS[type];
+      const attributes: Record<string, AttributeValue> = operation
+        ? { "gen_ai.system": "mlx", "gen_ai.operation.name": operation }
+        : { "rpc.system": "mlx-host", "rpc.method": type };
+      if (model) attributes[operation ? "gen_ai.request.model" : "mlx.model"] = model;
+      const name = operation ? `${operation}${model ? ` ${model}` : ""}` : type;
+      spans.set(requestId, tracer.startSpan(name, { kind: SPAN_KIND_CLIENT, attributes, startTime }));
+    },
+
+    onRequestEnd(ev) {
+      const span = spans.get(ev.requestId);
+      if (!span) return;
+      spans.delete(ev.requestId);
+      for (const [key, value] of Object.entries(endAttributes(ev))) {
+        if (value != null) span.setAttribute(key, value);
+      }
+      if (ev.error) span.setStatus({ code: SPAN_STATUS_ERROR, message: ev.error.message });
+      span.end(ev.startTime + ev.durationMs);
+    },
+  };
+}
+
+// ---- private ----
+
+/** `SpanKind.CLIENT` and `SpanStatusCode.ERROR` from `@opentelemetry/api`. */
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+const GEN_AI_OPERATIONS: Record<string, string | undefined> = {
+  "inference.generate": "chat",
+  "inference.stream": "chat",
+  "inference.embed": "embeddings",
+};
+
+function endAttributes({ requestId, outcome, error, inference }: MlxRequestEnd): Record<string, AttributeValue | undefined> {
+  return {
+    "mlx.request_id": requestId,
+    "mlx.outcome": outcome,
+    "error.type": error?.code,
+    ...(inference && {
+      "gen_ai.response.id": requestId,
+      "gen_ai.response.finish_reasons": inference.finishReason ? [inference.finishReason] : undefined,
+      "gen_ai.usage.input_tokens": inference.promptTokens,
+      "gen_ai.usage.output_tokens": inference.completionTokens,
+      "mlx.streaming": inference.streaming,
+      "mlx.ttft_ms": inference.ttftMs,
+      "mlx.tokens_per_second": inference.tokensPerSecond,
+      "mlx.queue_ms": inference.queueMs,
+    }),
+  };
+}
@@ -0,0 +1,112 @@
+import { MlxQueueFullError } from "./errors.js";
+
+export type RequestPriority = "interactive" | "batch";
+
+export type SchedulerOptions = {
+  /** Requests running on the host at once, per model. Default: unlimited. */
+  maxConcurrent?: number;
+  /** Requests allowed to wait, per model; more are rejected with `MlxQueueFullError`. Default: unlimited. */
+  maxQueueLength?: number;
+};
+
+export type ModelQueueStats = { running: number; queued: number; queuedInteractive: number; queuedBatch: number };
+
+export type QueueStats = ModelQueueStats & { models: Record<string, ModelQueueStats> };
+
+/** A place in line. `release()` frees the slot once running, or leaves the queue while waiting. */
+export type SchedulerSlot = { ready: Promise<void>; release(): void };
+
+type Waiter = { priority: RequestPriority; start: () => void; drop: () => void };
+
+/**
+ * Per-model admission control for inference requests: at most `maxConcurrent` run at once,
+ * the rest wait in a queue where `interactive` requests go before `batch` ones (FIFO within each).
+ */
+export class RequestScheduler {
+  private readonly maxConcurrent: number;
+  private readonly maxQueueLength: number;
+  private running = new Map<string, number>();
+  private queues = new Map<string, Waiter[]>();
+
+  constructor(opts: SchedulerOptions = {}) {
+    this.maxConcurrent = opts.maxConcurrent && opts.maxConcurrent > 0 ? opts.maxConcurrent : Infinity;
+    this.maxQueueLength = opts.maxQueueLength != null && opts.maxQueueLength >= 0 ? opts.maxQueueLength : Infinity;
+  }
+
+  acquire(model: string, priority: RequestPriority = "interactive"): SchedulerSlot {
+    let state: "queued" | "running" | "done" = "queued";
+    const release = () => {
+      if (state === "running") {
+        this.running.set(model, (this.running.get(model) ?? 1) - 1);
+        this.pump(model);
+      } else if (state === "queued") {
+        const q = this.queues.get(model) ?? [];
+        const i = q.indexOf(waiter);
+        if (i >= 0) q.splice(i, 1);
+        waiter.drop();
+      }
+      state = "done";
+    };
+
+    let waiter!: Waiter;
+    const ready = new Promise<void>((resolve, reject) => {
+      waiter = {
+        priority,
+        start: () => {
+          state = "running";
+          this.running.set(model, (this.running.get(model) ?? 0) + 1);
+          resolve();
+        },
+        drop: () => reject(new Error("mlx-ts: left the queue")),
+      };
+    });
+    // A dropped waiter's rejection is only interesting to whoever is still awaiting it.
+    ready.catch(() => {});
+
+    const q = this.queues.get(model) ?? [];
+    if ((this.running.get(model) ?? 0) < this.maxConcurrent && q.length === 0) {
+      waiter.start();
+    } else if (q.length >= this.maxQueueLength) {
+      state = "done";
+      const full = Promise.reject(new MlxQueueFullError(model, this.maxQueueLength));
+      // Callers that give up first (aborted, unsupported) never await it.
+      full.catch(() => {});
+      return { ready: full, release: () => {} };
+    } else {
+      // Interactive requests skip ahead of queued batch work.
+      const at = priority === "interactive" ? q.findIndex((w) => w.priority === "batch") : -1;
+      if (at >= 0) q.splice(at, 0, waiter);
+      else q.push(waiter);
+      this.queues.set(model, q);
+    }
+    return { ready, release };
+  }
+
+  stats(): QueueStats {
+    const models: Record<string, ModelQueueStats> = {};
+    for (const model of new Set([...this.running.keys(), ...this.queues.keys()])) {
+      const q = this.queues.get(model) ?? [];
+      const running = this.running.get(model) ?? 0;
+      if (running === 0 && q.length === 0) continue;
+      const queuedBatch = q.filter((w) => w.priority === "batch").length;
+      models[model] = { running, queued: q.length, queuedInteractive: q.length - queuedBatch, queuedBatch };
+    }
+    const total = { running: 0, queued: 0, queuedInteractive: 0, queuedBatch: 0 };
+    for (const s of Object.values(models)) {
+      total.running += s.running;
+      total.queued += s.queued;
+      total.queuedInteractive += s.queuedInteractive;
+      total.queuedBatch += s.queuedBatch;
+    }
+    return { ...total, models };
+  }
+
+  // ---- private ----
+
+  private pump(model: string) {
+    const q = this.queues.get(model) ?? [];
+    while (q.length > 0 && (this.running.get(model) ?? 0) < this.maxConcurrent) q.shift()!.start();
+    if (q.length === 0) this.queues.delete(model);
+    if ((this.running.get(model) ?? 0) === 0) this.running.delete(model);
+  }
+}
@@ -0,0 +1,31 @@
+import type { InferenceOptions, MlxClient, RequestOptions } from "./client.js";
+import type { GenerateRequest, GenerateResponse, StreamEvent } from "./wire.js";
+
+/** A request within a session: the model and `sessionId` come from the session. */
+export type SessionRequest = Omit<GenerateRequest, "model" | "sessionId">;
+
+/**
+ * One conversation with one model. Every request carries the session's `sessionId`, so the
+ * host keeps the KV cache of the prompt prefix the turns share (the full `messages` are still
+ * sent each time). `usage.cachedTokens` and a lower `timings.ttftMs` show the cache hits.
+ */
+export class MlxSession {
+  constructor(
+    private readonly client: MlxClient,
+    readonly model: string,
+    readonly id: string
+  ) {}
+
+  generate(req: SessionRequest, opts?: InferenceOptions): Promise<GenerateResponse> {
+    return this.client.generate({ ...req, model: this.model, sessionId: this.id }, opts);
+  }
+
+  stream(req: SessionRequest, opts?: InferenceOptions): AsyncIterable<StreamEvent> {
+    return this.client.stream({ ...req, model: this.model, sessionId: this.id }, opts);
+  }
+
+  /** Frees the host's cache for this session. Later requests start a fresh one. */
+  close(opts?: RequestOptions): Promise<void> {
+    return this.client.sessionClose(this.id, opts);
+  }
+}
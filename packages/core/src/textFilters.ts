@@ -0,0 +1,150 @@
+/**
+ * Streaming post-processing of generated text: stop sequences (never emitting a partial
+ * match, even when it spans token chunks) and splitting `<think>…</think>` reasoning blocks
+ * from the answer.
+ */
+
+export type ThinkTags = { open: string; close: string };
+
+export const DEFAULT_THINK_TAGS: ThinkTags = { open: "<think>", close: "</think>" };
+
+/** Cuts `text` before the earliest stop sequence; `sequence` is the one that matched. */
+export function truncateAtStop(text: string, stop: string[]): { text: string; sequence?: string } {
+  let cut = -1;
+  let sequence: string | undefined;
+  for (const s of stop) {
+    const i = s ? text.indexOf(s) : -1;
+    if (i >= 0 && (cut < 0 || i < cut)) {
+      cut = i;
+      sequence = s;
+    }
+  }
+  return cut < 0 ? { text } : { text: text.slice(0, cut), sequence };
+}
+
+export type StopMatcher = {
+  /** Text that can no longer be part of a stop sequence; `sequence` once one matched (drop the rest). */
+  push(text: string): { text: string; sequence?: string };
+  /** Held-back text at the end of the stream. */
+  flush(): string;
+};
+
+/** Streaming `truncateAtStop`: holds back only a tail that could still turn into a stop sequence. */
+export function createStopMatcher(stop: string[]): StopMatcher {
+  const sequences = stop.filter(Boolean);
+  let buf = "";
+  return {
+    push(text) {
+      buf += text;
+      const cut = truncateAtStop(buf, sequences);
+      if (cut.sequence != null) {
+        buf = "";
+        return cut;
+      }
+      const keep = partialMatchLength(buf, sequences);
+      const out = buf.slice(0, buf.length - keep);
+      buf = buf.slice(buf.length - keep);
+      return { text: out };
+    },
+    flush() {
+      const rest = buf;
+      buf = "";
+      return rest;
+    },
+  };
+}
+
+export type ThinkSegment = { type: "text" | "reasoning"; text: string };
+
+export type ThinkParser = {
+  push(text: string): ThinkSegment[];
+  flush(): ThinkSegment[];
+};
+
+/**
+ * Splits streamed text into answer (`text`) and `reasoning` segments by thinking tags,
+ * holding back partial tags. Whitespace right after a closing tag is dropped.
+ */
+export function createThinkParser(tags: ThinkTags = DEFAULT_THINK_TAGS): ThinkParser {
+  let buf = "";
+  let inside = false;
+  let afterClose = false;
+
+  const emit = (out: ThinkSegment[], type: ThinkSegment["type"], text: string) => {
+    if (type === "text" && afterClose) {
+      text = text.replace(/^\s+/, "");
+      if (text) afterClose = false;
+    }
+    if (!text) return;
+    const last = out[out.length - 1];
+    if (last?.type === type) last.text += text;
+    else out.push({ type, text });
+  };
+
+  return {
+    push(text) {
+      const out: ThinkSegment[] = [];
+      buf += text;
+      while (true) {
+        const tag = inside ? tags.close : tags.open;
+        const i = buf.indexOf(tag);
+        if (i < 0) break;
+        emit(out, inside ? "reasoning" : "text", buf.slice(0, i));
+        buf = buf.slice(i + tag.length);
+        afterClose = inside;
+        inside = !inside;
+      }
+      const keep = partialMatchLength(buf, [inside ? tags.close : tags.open]);
+      emit(out, inside ? "reasoning" : "text", buf.slice(0, buf.length - keep));
+      buf = buf.slice(buf.length - keep);
+      return out;
+    },
+    flush() {
+      const out: ThinkSegment[] = [];
+      emit(out, inside ? "reasoning" : "text", buf);
+      buf = "";
+      return out;
+    },
+  };
+}
+
+export type TextFilter = {
+  push(text: string): { text: string; sequence?: string };
+  flush(): { text: string; sequence?: string };
+};
+
+/** Thinking blocks are dropped first, then stop sequences are matched against the remaining answer. */
+export function createTextFilter(opts: { stop?: string[]; thinkTags?: ThinkTags }): TextFilter {
+  const stop = createStopMatcher(opts.stop ?? []);
+  const think = opts.thinkTags ? createThinkParser(opts.thinkTags) : undefined;
+  const answer = (segments: ThinkSegment[]) =>
+    segments
+      .filter((s) => s.type === "text")
+      .map((s) => s.text)
+      .join("");
+  return {
+    push(text) {
+      return stop.push(think ? answer(think.push(text)) : text);
+    },
+    flush() {
+      const last = stop.push(think ? answer(think.flush()) : "");
+      return last.sequence != null ? last : { text: last.text + stop.flush() };
+    },
+  };
+}
+
+// ---- private ----
+
+/** Length of the longest tail of `text` that is a proper prefix of one of `needles`. */
+function partialMatchLength(text: string, needles: string[]): number {
+  let best = 0;
+  for (const n of needles) {
+    for (let len = Math.min(text.length, n.length - 1); len > best; len--) {
+      if (text.endsWith(n.slice(0, len))) {
+        best = len;
+        break;
+      }
+    }
+  }
+  return best;
+}
@@ -0,0 +1,250 @@
+import type { LanguageModelV1CallOptions, LanguageModelV1Prompt } from "ai";
+
+// `ai` only re-exports the top-level spec types; derive the parts we need.
+type RegularMode = Extract<LanguageModelV1CallOptions["mode"], { type: "regular" }>;
+export type LanguageModelV1FunctionTool = Extract<NonNullable<RegularMode["tools"]>[number], { type: "function" }>;
+type LanguageModelV1ToolCallPart = Extract<
+  Extract<LanguageModelV1Prompt[number], { role: "assistant" }>["content"][number],
+  { type: "tool-call" }
+>;
+type LanguageModelV1ToolResultPart = Extract<LanguageModelV1Prompt[number], { role: "tool" }>["content"][number];
+
+/**
+ * How tool definitions, calls and results are spelled in the prompt/output.
+ *
+ * - `hermes`: `<tools>` / `<tool_call>` / `<tool_response>` tags (Qwen2.5/Qwen3, Hermes, most MLX chat models).
+ * - `llama`: bare `{"name": ..., "parameters": ...}` JSON (Llama 3.1+).
+ */
+export type ToolCallFormat = "hermes" | "llama";
+
+export type ParsedToolCall = { toolCallId: string; toolName: string; args: string };
+
+export type ToolParseEvent = { type: "text"; text: string } | { type: "tool-call"; call: ParsedToolCall };
+
+/** Incremental parser: feed generated text, get text and complete tool calls back. */
+export type ToolCallParser = {
+  push(text: string): ToolParseEvent[];
+  flush(): ToolParseEvent[];
+};
+
+export function resolveToolCallFormat(modelId: string, format: ToolCallFormat | "auto" = "auto"): ToolCallFormat {
+  if (format !== "auto") return format;
+  return /llama/i.test(modelId) ? "llama" : "hermes";
+}
+
+/** Tool definitions (plus an optional "you must call ..." instruction) for the system prompt. */
+export function renderToolsPrompt(
+  tools: LanguageModelV1FunctionTool[],
+  format: ToolCallFormat,
+  instruction?: string
+): string {
+  const defs = tools.map((t) => ({
+    type: "function",
+    function: { name: t.name, description: t.description, parameters: t.parameters },
+  }));
+
+  let out: string;
+  if (format === "llama") {
+    out =
+      "You have access to the following functions. To call a function, respond with only a JSON object of the form " +
+      '{"name": function name, "parameters": dictionary of argument name and its value}. Do not use variables.\n\n' +
+      defs.map((d) => JSON.stringify(d, null, 4)).join("\n\n");
+  } else {
+    out =
+      "# Tools\n\nYou may call one or more functions to assist with the user query.\n\n" +
+      "You are provided with function signatures within <tools></tools> XML tags:\n<tools>\n" +
+      defs.map((d) => JSON.stringify(d)).join("\n") +
+      "\n</tools>\n\n" +
+      "For each function call, return a json object with function name and arguments within <tool_call></tool_call> XML tags:\n" +
+      '<tool_call>\n{"name": <function-name>, "arguments": <args-json-object>}\n</tool_call>';
+  }
+  return instruction ? `${out}\n\n${instruction}` : out;
+}
+
+/** An assistant tool call from the history, as the model would have written it. */
+export function renderToolCall(part: LanguageModelV1ToolCallPart, format: ToolCallFormat): string {
+  if (format === "llama") return JSON.stringify({ name: part.toolName, parameters: part.args ?? {} });
+  return `<tool_call>\n${JSON.stringify({ name: part.toolName, arguments: part.args ?? {} })}\n</tool_call>`;
+}
+
+/** A tool result, rendered as (part of) the following user turn. */
+export function renderToolResult(part: LanguageModelV1ToolResultPart, format: ToolCallFormat): string {
+  let value: string;
+  if (part.content) {
+    value = part.content.map((c) => (c.type === "text" ? c.text : `[image: ${c.mimeType ?? "image"}]`)).join("\n");
+  } else {
+    value = typeof part.result === "string" ? part.result : JSON.stringify(part.result ?? null);
+  }
+  if (part.isError) value = `Error: ${value}`;
+
+  if (format === "llama") return `Result of ${part.toolName}:\n${value}`;
+  return `<tool_response>\n${value}\n</tool_response>`;
+}
+
+export function createToolCallParser(format: ToolCallFormat): ToolCallParser {
+  return format === "llama" ? createLlamaParser() : createHermesParser();
+}
+
+/** Parses a complete generation in one go. */
+export function parseToolCalls(text: string, format: ToolCallFormat): { text: string; toolCalls: ParsedToolCall[] } {
+  const parser = createToolCallParser(format);
+  const events = [...parser.push(text), ...parser.flush()];
+  let out = "";
+  const toolCalls: ParsedToolCall[] = [];
+  for (const ev of events) {
+    if (ev.type === "text") out += ev.text;
+    else toolCalls.push(ev.call);
+  }
+  return { text: toolCalls.length > 0 ? out.trim() : out, toolCalls };
+}
+
+// ---- private ----
+
+const OPEN = "<tool_call>";
+const CLOSE = "</tool_call>";
+
+function newToolCallId(): string {
+  return `call_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function argsToString(args: unknown): string {
+  if (args == null) return "{}";
+  if (typeof args === "string") {
+    // Some models double-encode the arguments.
+    try {
+      return JSON.stringify(JSON.parse(args));
+    } catch {
+      return JSON.stringify({ value: args });
+    }
+  }
+  return JSON.stringify(args);
+}
+
+/** `{"name": ..., "arguments"|"parameters": ...}` -> tool call, or undefined if it isn't one. */
+function jsonToCall(raw: string): ParsedToolCall | undefined {
+  try {
+    const obj = JSON.parse(raw.trim());
+    if (!obj || typeof obj !== "object" || typeof obj.name !== "string") return undefined;
+    return { toolCallId: newToolCallId(), toolName: obj.name, args: argsToString(obj.arguments ?? obj.parameters) };
+  } catch {
+    return undefined;
+  }
+}
+
+/** Qwen3-Coder style: `<function=name><parameter=key>value</parameter></function>`. */
+function xmlToCall(raw: string): ParsedToolCall | undefined {
+  const fn = /<function=([^>\s]+)>([\s\S]*?)(?:<\/function>|$)/.exec(raw);
+  if (!fn) return undefined;
+  const args: Record<string, unknown> = {};
+  for (const m of fn[2].matchAll(/<parameter=([^>\s]+)>\n?([\s\S]*?)\n?<\/parameter>/g)) {
+    try {
+      args[m[1]] = JSON.parse(m[2]);
+    } catch {
+      args[m[1]] = m[2];
+    }
+  }
+  return { toolCallId: newToolCallId(), toolName: fn[1], args: JSON.stringify(args) };
+}
+
+/** Length of the longest suffix of `s` that is a proper prefix of `tag`. */
+function partialTagLength(s: string, tag: string): number {
+  for (let n = Math.min(s.length, tag.length - 1); n > 0; n--) {
+    if (tag.startsWith(s.slice(s.length - n))) return n;
+  }
+  return 0;
+}
+
+function createHermesParser(): ToolCallParser {
+  let buf = "";
+  let inCall = false;
+
+  const drain = (): ToolParseEvent[] => {
+    const out: ToolParseEvent[] = [];
+    while (true) {
+      if (!inCall) {
+        const idx = buf.indexOf(OPEN);
+        if (idx >= 0) {
+          if (idx > 0) out.push({ type: "text", text: buf.slice(0, idx) });
+          buf = buf.slice(idx + OPEN.length);
+          inCall = true;
+          continue;
+        }
+        // Never emit a partially generated opening tag as text.
+        const keep = partialTagLength(buf, OPEN);
+        const text = buf.slice(0, buf.length - keep);
+        if (text) out.push({ type: "text", text });
+        buf = buf.slice(buf.length - keep);
+        return out;
+      }
+
+      const idx = buf.indexOf(CLOSE);
+      if (idx < 0) return out;
+      const body = buf.slice(0, idx);
+      buf = buf.slice(idx + CLOSE.length);
+      inCall = false;
+      const call = jsonToCall(body) ?? xmlToCall(body);
+      out.push(call ? { type: "tool-call", call } : { type: "text", text: `${OPEN}${body}${CLOSE}` });
+    }
+  };
+
+  return {
+    push(text) {
+      buf += text;
+      return drain();
+    },
+    flush() {
+      const rest = buf;
+      buf = "";
+      if (!inCall) return rest ? [{ type: "text", text: rest }] : [];
+      // Generation ended (EOS / maxTokens) before the closing tag.
+      inCall = false;
+      const call = jsonToCall(rest) ?? xmlToCall(rest);
+      return [call ? { type: "tool-call", call } : { type: "text", text: `${OPEN}${rest}` }];
+    },
+  };
+}
+
+function createLlamaParser(): ToolCallParser {
+  const PYTHON_TAG = "<|python_tag|>";
+  let buf = "";
+  let mode: "undecided" | "text" | "json" = "undecided";
+
+  const decide = (): ToolParseEvent[] => {
+    const trimmed = buf.trimStart();
+    if (!trimmed) return [];
+    if (trimmed.startsWith("{") || trimmed.startsWith(PYTHON_TAG)) {
+      mode = "json";
+      return [];
+    }
+    if (PYTHON_TAG.startsWith(trimmed)) return [];
+    mode = "text";
+    const text = buf;
+    buf = "";
+    return [{ type: "text", text }];
+  };
+
+  return {
+    push(text) {
+      if (mode === "text") return [{ type: "text", text }];
+      buf += text;
+      return mode === "undecided" ? decide() : [];
+    },
+    flush() {
+      const raw = buf;
+      buf = "";
+      if (!raw) return [];
+      if (mode !== "json") return [{ type: "text", text: raw }];
+
+      const body = raw.trim().replace(PYTHON_TAG, "").trim();
+      const whole = jsonToCall(body);
+      if (whole) return [{ type: "tool-call", call: whole }];
+      // Several calls, one per line or `;`-separated.
+      const parts = body.split(/;\s*|\n+/).filter((p) => p.trim());
+      const calls = parts.map(jsonToCall);
+      if (calls.length > 0 && calls.every(Boolean)) {
+        return calls.map((call) => ({ type: "tool-call", call: call! }));
+      }
+      return [{ type: "text", text: raw }];
+    },
+  };
+}
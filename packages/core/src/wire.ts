@@ -0,0 +1,132 @@
+export type RPCEnvelope = {
+  id?: string;
+  type: string;
+  payload?: unknown;
+};
+
+/** Feature flags from `handshake.ok`; a feature counts as supported only when its flag is `true`. */
+export type HostCapabilities = {
+  chatCompletions?: boolean;
+  stream?: boolean;
+  download?: boolean;
+  /** Image parts in user messages (vision-language models). */
+  images?: boolean;
+  embeddings?: boolean;
+  sessions?: boolean;
+  /**
+   * Informational: tool definitions are rendered into the prompt and tool calls parsed from the
+   * output client-side, so tool calling works whether or not the host sets this.
+   */
+  tools?: boolean;
+  [capability: string]: unknown;
+};
+
+/** What the host reported in `handshake.ok`. */
+export type ServerInfo = {
+  serverVersion: string;
+  /** `major.minor`; hosts from before version negotiation omit it (treated as `1.0`). */
+  protocolVersion: string;
+  /** Undefined if the host sent none (then nothing is gated). */
+  capabilities?: HostCapabilities;
+};
+
+export type TextPart = { type: "text"; text: string };
+
+/** Image bytes, base64-encoded. The host never fetches anything itself. */
+export type ImagePart = { type: "image"; data: string; mimeType: string };
+
+export type ContentPart = TextPart | ImagePart;
+
+/** User turns may mix text and images (for vision-language models); other roles are text. */
+export type ChatMessage =
+  | { role: "system" | "assistant"; content: string }
+  | { role: "user"; content: string | ContentPart[] };
+
+export type Sampling = {
+  temperature?: number;
+  topP?: number;
+  topK?: number;
+  repetitionPenalty?: number;
+  seed?: number;
+};
+
+/**
+ * Requested output format. The client always steers/validates JSON itself; a host that
+ * supports constrained decoding can additionally use `schema` as a grammar.
+ */
+export type ResponseFormat =
+  | { type: "text" }
+  | { type: "json"; schema?: Record<string, unknown>; name?: string; description?: string };
+
+export type GenerateRequest = {
+  model: string;
+  messages: ChatMessage[];
+  maxTokens?: number;
+  stop?: string[];
+  sampling?: Sampling;
+  responseFormat?: ResponseFormat;
+  /** Extra chat template variables, e.g. `{ enable_thinking: false }` for Qwen3. */
+  chatTemplateKwargs?: Record<string, unknown>;
+  /** Requests with the same id let the host reuse the KV cache of their common prompt prefix. */
+  sessionId?: string;
+};
+
+/** Why generation ended. Hosts that predate it leave `finishReason` unset. */
+export type FinishReason = "stop" | "length" | "stop-sequence" | "cancelled" | "error";
+
+export type GenerateResponse = {
+  requestId: string;
+  text: string;
+  /** `cachedTokens`: prompt tokens served from the session's KV cache instead of being re-processed. */
+  usage?: { promptTokens?: number; completionTokens?: number; totalTokens?: number; cachedTokens?: number };
+  /** `queueMs` is added by the client: time spent waiting in its scheduler queue. */
+  timings?: { ttftMs?: number; totalMs?: number; tokensPerSecond?: number; queueMs?: number };
+  finishReason?: FinishReason;
+  /** The stop sequence that ended generation (excluded from `text`), when `finishReason` is `stop-sequence`. */
+  stopSequence?: string;
+};
+
+/** How token vectors are reduced to one vector per text. */
+export type EmbeddingPooling = "mean" | "cls" | "last";
+
+export type EmbedRequest = {
+  model: string;
+  texts: string[];
+  /** Default: the model's own pooling config (mean when it has none). */
+  pooling?: EmbeddingPooling;
+  /** L2-normalize each embedding. Default: true. */
+  normalize?: boolean;
+  /** Where the host downloads the model if it isn't cached (as for `model.download`). */
+  modelsDir?: string;
+};
+
+export type EmbedResponse = {
+  model: string;
+  /** One vector per input text, in input order. */
+  embeddings: number[][];
+  usage?: { promptTokens?: number };
+};
+
+/**
+ * Payload of `model.download.progress` frames, sent with the `model.download` request id
+ * before its `model.download.ok`. Fields the host can't determine are omitted.
+ */
+export type DownloadProgress = {
+  requestId: string;
+  model: string;
+  completedBytes?: number;
+  totalBytes?: number;
+  /** File currently being fetched. */
+  currentFile?: string;
+  filesCompleted?: number;
+  totalFiles?: number;
+  /** Overall progress in [0, 1]. */
+  fraction?: number;
+};
+
+export type StreamEvent =
+  | { type: "start"; requestId: string }
+  | { type: "token"; requestId: string; text: string }
+  | { type: "end"; requestId: string; final: GenerateResponse }
+  | { type: "error"; requestId: string; message: string; code?: string };
+
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createFrameDecoder, encodeFrame } from "../dist/framing.js";
+
+// Seeded, so a failure reproduces: the seed is in the test name.
+function rng(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+}
+
+/** `buf` cut at random points (empty chunks included). */
+function split(buf, random) {
+  const out = [];
+  let off = 0;
+  while (off < buf.length) {
+    const n = Math.floor(random() * Math.min(64, buf.length - off + 1));
+    out.push(buf.subarray(off, off + n));
+    off += n;
+  }
+  return out;
+}
+
+function rawFrame(body) {
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+function decodeAll(chunks, opts) {
+  const messages = [];
+  const errors = [];
+  const decode = createFrameDecoder((m) => messages.push(m), { ...opts, onProtocolError: (e) => errors.push(e) });
+  for (const c of chunks) decode(c);
+  return { messages, errors };
+}
+
+for (const seed of [1, 2, 3, 42, 1234]) {
+  test(`decodes randomly split frames (seed ${seed})`, () => {
+    const random = rng(seed);
+    const sent = Array.from({ length: 50 }, (_, i) => ({
+      id: `r${i}`,
+      type: "inference.stream.token",
+      payload: { text: "é🙂x".repeat(Math.floor(random() * 40)) },
+    }));
+    const { messages, errors } = decodeAll(split(Buffer.concat(sent.map((m) => encodeFrame(m))), random));
+    assert.deepEqual(messages, sent);
+    assert.deepEqual(errors, []);
+  });
+
+  test(`skips invalid JSON frames and keeps decoding (seed ${seed})`, () => {
+    const random = rng(seed);
+    const frames = [];
+    const sent = [];
+    for (let i = 0; i < 30; i++) {
+      if (random() < 0.3) {
+        frames.push(rawFrame(Buffer.from(`{"id":"bad${i}","type":`)));
+      } else {
+        const msg = { id: `ok${i}`, type: "handshake.ok" };
+        sent.push(msg);
+        frames.push(encodeFrame(msg));
+      }
+    }
+    const { messages, errors } = decodeAll(split(Buffer.concat(frames), random));
+    assert.deepEqual(messages, sent);
+    assert.equal(errors.length, frames.length - sent.length);
+    for (const err of errors) {
+      assert.equal(err.reason, "invalid_json");
+      assert.equal(err.fatal, false);
+    }
+  });
+
+  test(`stops at an oversized frame (seed ${seed})`, () => {
+    const random = rng(seed);
+    const before = [{ id: "a", type: "handshake.ok" }, { id: "b", type: "model.list.ok" }];
+    const after = encodeFrame({ id: "c", type: "handshake.ok" });
+    const oversized = rawFrame(Buffer.alloc(200, 0x20));
+    const input = Buffer.concat([...before.map((m) => encodeFrame(m)), oversized, after]);
+    const { messages, errors } = decodeAll(split(input, random), { maxFrameBytes: 100 });
+    assert.deepEqual(messages, before);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].reason, "frame_too_large");
+    assert.equal(errors[0].fatal, true);
+  });
+}
+
+test("encodeFrame refuses bodies over maxFrameBytes", () => {
+  assert.throws(() => encodeFrame({ id: "x", type: "t", payload: "y".repeat(100) }, 50), { reason: "frame_too_large" });
+});
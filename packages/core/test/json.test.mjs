@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createJsonStreamExtractor, extractJson, validateJsonSchema } from "../dist/json.js";
+
+const person = {
+  type: "object",
+  properties: { name: { type: "string" }, age: { type: "integer", minimum: 0 } },
+  required: ["name"],
+  additionalProperties: false,
+};
+
+test("extractJson takes the value out of fences and surrounding prose", () => {
+  const res = extractJson('Sure! Here it is:\n```json\n{"name": "Ada", "age": 36}\n```\nAnything else?', person);
+  assert.deepEqual(res, { ok: true, text: '{"name": "Ada", "age": 36}', value: { name: "Ada", age: 36 } });
+
+  assert.deepEqual(extractJson('The list is [1, "]", {"a": [2]}] as requested.').value, [1, "]", { a: [2] }]);
+});
+
+test("extractJson reports missing, malformed and invalid values", () => {
+  assert.deepEqual(extractJson("no json here").errors, ["no JSON object or array found in the response"]);
+  assert.match(extractJson('{"name": }').errors[0], /^invalid JSON: /);
+
+  const res = extractJson('{"name": 1, "age": -1, "extra": true}', person);
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.errors, [
+    "$.name: expected string, got number",
+    "$.age: must be >= 0",
+    '$: unexpected property "extra"',
+  ]);
+});
+
+test("validateJsonSchema checks nested items, enums, consts and patterns", () => {
+  const schema = {
+    type: "array",
+    minItems: 1,
+    items: {
+      type: "object",
+      properties: {
+        kind: { enum: ["a", "b"] },
+        version: { const: 1 },
+        id: { type: "string", pattern: "^[a-z]+$" },
+      },
+    },
+  };
+  assert.deepEqual(validateJsonSchema([{ kind: "a", version: 1, id: "abc" }], schema), []);
+  assert.deepEqual(validateJsonSchema([{ kind: "c", version: 2, id: "ABC" }], schema), [
+    '$[0].kind: must be one of ["a","b"]',
+    "$[0].version: must be 1",
+    "$[0].id: does not match ^[a-z]+$",
+  ]);
+  assert.deepEqual(validateJsonSchema([], schema), ["$: needs at least 1 items"]);
+});
+
+test("validateJsonSchema reports an invalid pattern instead of throwing", () => {
+  assert.deepEqual(validateJsonSchema("x", { type: "string", pattern: "(" }), [
+    "$: schema pattern ( is not a valid regular expression",
+  ]);
+});
+
+test("validateJsonSchema follows $refs and stops at cycles", () => {
+  const tree = {
+    type: "object",
+    properties: { value: { type: "number" }, children: { type: "array", items: { $ref: "#" } } },
+    required: ["value"],
+  };
+  assert.deepEqual(validateJsonSchema({ value: 1, children: [{ value: 2, children: [] }] }, tree), []);
+  assert.deepEqual(validateJsonSchema({ value: 1, children: [{}] }, tree), ['$.children[0]: missing required property "value"']);
+
+  const loop = { $defs: { a: { $ref: "#/$defs/b" }, b: { $ref: "#/$defs/a" } }, $ref: "#/$defs/a" };
+  assert.deepEqual(validateJsonSchema(42, loop), []);
+  assert.deepEqual(validateJsonSchema(42, { $ref: "#" }), []);
+});
+
+test("validateJsonSchema: anyOf needs one match, oneOf exactly one", () => {
+  const options = [{ type: "number" }, { type: "integer" }];
+  assert.deepEqual(validateJsonSchema(1, { anyOf: options }), []);
+  assert.deepEqual(validateJsonSchema(1.5, { oneOf: options }), []);
+  assert.deepEqual(validateJsonSchema(1, { oneOf: options }), ["$: matches 2 of the oneOf schemas, expected exactly one"]);
+  assert.deepEqual(validateJsonSchema("1", { oneOf: options }), ["$: does not match any of the allowed schemas"]);
+  assert.deepEqual(validateJsonSchema("1", { anyOf: options }), ["$: does not match any of the allowed schemas"]);
+});
+
+test("createJsonStreamExtractor passes only the JSON through, across chunks", () => {
+  const extract = createJsonStreamExtractor();
+  const chunks = ["Here: ", '{"a": "}', '\\"{", "b"', ": [1, {}]}", " trailing {text}"];
+  assert.equal(chunks.map(extract).join(""), '{"a": "}\\"{", "b": [1, {}]}');
+  assert.equal(extract("{more}"), "");
+});
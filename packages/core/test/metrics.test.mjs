@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { PROMETHEUS_CONTENT_TYPE, createPrometheusMetrics } from "../dist/metrics.js";
+
+test("render() matches the Prometheus text format, escaping label values", () => {
+  const metrics = createPrometheusMetrics();
+  const generate = { type: "inference.generate", requestId: "r1", model: 'org/"m"\\n\n', startTime: 0 };
+  const load = { type: "model.load", requestId: "r2", model: "org/m", startTime: 0 };
+  metrics.onRequestStart(generate);
+  metrics.onRequestStart(load);
+  metrics.onRequestEnd({
+    ...generate,
+    durationMs: 300,
+    outcome: "ok",
+    inference: { streaming: false, ttftMs: 100, tokensPerSecond: 50, promptTokens: 7, completionTokens: 20 },
+  });
+  const running = { running: 1, queued: 2, queuedInteractive: 1, queuedBatch: 1 };
+
+  assert.equal(metrics.render({ queueStats: { ...running, models: { "org/m": running } } }), EXPECTED);
+  assert.equal(PROMETHEUS_CONTENT_TYPE, "text/plain; version=0.0.4; charset=utf-8");
+});
+
+test("failed and cancelled requests count by outcome without inference series", () => {
+  const metrics = createPrometheusMetrics();
+  for (const [requestId, outcome] of [
+    ["a", "error"],
+    ["b", "cancelled"],
+    ["c", "cancelled"],
+  ]) {
+    const ev = { type: "inference.stream", requestId, model: "m", startTime: 0 };
+    metrics.onRequestStart(ev);
+    metrics.onRequestEnd({ ...ev, durationMs: 5, outcome, error: { code: outcome, message: outcome } });
+  }
+  const text = metrics.render();
+  assert.match(text, /^mlx_requests_total\{type="inference.stream",outcome="error"\} 1$/m);
+  assert.match(text, /^mlx_requests_total\{type="inference.stream",outcome="cancelled"\} 2$/m);
+  assert.match(text, /^mlx_requests_in_flight\{type="inference.stream"\} 0$/m);
+  assert.match(text, /^mlx_request_duration_seconds_bucket\{type="inference.stream",le="0.005"\} 3$/m);
+  assert.match(text, /^mlx_request_duration_seconds_count\{type="inference.stream"\} 3$/m);
+  assert.doesNotMatch(text, /^mlx_(time_to_first_token|tokens_per_second|prompt_tokens|completion_tokens)\S*\{/m);
+  assert.doesNotMatch(text, /mlx_scheduler_/);
+});
+
+const EXPECTED = String.raw`# HELP mlx_requests_total RPCs sent to mlx-host, by type and outcome.
+# TYPE mlx_requests_total counter
+mlx_requests_total{type="inference.generate",outcome="ok"} 1
+# HELP mlx_requests_in_flight RPCs waiting for mlx-host to finish.
+# TYPE mlx_requests_in_flight gauge
+mlx_requests_in_flight{type="inference.generate"} 0
+mlx_requests_in_flight{type="model.load"} 1
+# HELP mlx_request_duration_seconds RPC latency, from sending to the last reply.
+# TYPE mlx_request_duration_seconds histogram
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.005"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.01"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.025"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.05"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.1"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.25"} 0
+mlx_request_duration_seconds_bucket{type="inference.generate",le="0.5"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="1"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="2.5"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="5"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="10"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="30"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="60"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="120"} 1
+mlx_request_duration_seconds_bucket{type="inference.generate",le="+Inf"} 1
+mlx_request_duration_seconds_sum{type="inference.generate"} 0.3
+mlx_request_duration_seconds_count{type="inference.generate"} 1
+# HELP mlx_time_to_first_token_seconds Time to the first generated token.
+# TYPE mlx_time_to_first_token_seconds histogram
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="0.05"} 0
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="0.1"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="0.25"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="0.5"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="1"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="2"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="5"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="10"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="30"} 1
+mlx_time_to_first_token_seconds_bucket{model="org/\"m\"\\n\n",le="+Inf"} 1
+mlx_time_to_first_token_seconds_sum{model="org/\"m\"\\n\n"} 0.1
+mlx_time_to_first_token_seconds_count{model="org/\"m\"\\n\n"} 1
+# HELP mlx_tokens_per_second Generation speed per inference request.
+# TYPE mlx_tokens_per_second histogram
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="1"} 0
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="5"} 0
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="10"} 0
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="20"} 0
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="40"} 0
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="60"} 1
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="80"} 1
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="100"} 1
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="150"} 1
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="200"} 1
+mlx_tokens_per_second_bucket{model="org/\"m\"\\n\n",le="+Inf"} 1
+mlx_tokens_per_second_sum{model="org/\"m\"\\n\n"} 50
+mlx_tokens_per_second_count{model="org/\"m\"\\n\n"} 1
+# HELP mlx_prompt_tokens_total Prompt tokens processed.
+# TYPE mlx_prompt_tokens_total counter
+mlx_prompt_tokens_total{model="org/\"m\"\\n\n"} 7
+# HELP mlx_completion_tokens_total Tokens generated.
+# TYPE mlx_completion_tokens_total counter
+mlx_completion_tokens_total{model="org/\"m\"\\n\n"} 20
+# HELP mlx_scheduler_running Inference requests running on the host, per model.
+# TYPE mlx_scheduler_running gauge
+mlx_scheduler_running{model="org/m"} 1
+# HELP mlx_scheduler_queued Inference requests waiting in the client-side queue, per model.
+# TYPE mlx_scheduler_queued gauge
+mlx_scheduler_queued{model="org/m"} 2
+`;
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+
+import { ModelCache } from "../dist/modelCache.js";
+
+/** A safetensors file with one tensor of `dataBytes` bytes, cut short by `missingBytes`. */
+function safetensors(dataBytes, missingBytes = 0) {
+  const tensor = { dtype: "U8", shape: [dataBytes], data_offsets: [0, dataBytes] };
+  const header = Buffer.from(JSON.stringify({ __metadata__: { format: "mlx" }, w: tensor }));
+  const prefix = Buffer.alloc(8);
+  prefix.writeBigUInt64LE(BigInt(header.length));
+  const file = Buffer.concat([prefix, header, Buffer.alloc(dataBytes)]);
+  return file.subarray(0, file.length - missingBytes);
+}
+
+// Whole seconds: file times don't round-trip sub-millisecond precision.
+const hoursAgo = (h) => new Date(Math.floor(Date.now() / 1000) * 1000 - h * 3_600_000);
+
+/** A fresh `<modelsDir>/models/...` tree: per model id, `files` (relative path -> contents) and their mtime. */
+function fakeCache(t, models) {
+  const modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-cache-"));
+  t.after(() => fs.rmSync(modelsDir, { recursive: true, force: true }));
+  for (const [model, { files, modifiedAt = hoursAgo(1) }] of Object.entries(models)) {
+    const dir = path.join(modelsDir, "models", ...model.split("/"));
+    for (const [name, contents] of Object.entries(files)) {
+      const file = path.join(dir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, contents);
+      fs.utimesSync(file, modifiedAt, modifiedAt);
+    }
+  }
+  return new ModelCache(modelsDir);
+}
+
+const complete = (extra = {}) => ({ files: { "config.json": "{}", "model.safetensors": safetensors(100), ...extra } });
+
+test("list() finds org/repo and org-less snapshots with their size and revision", (t) => {
+  const cache = fakeCache(t, {
+    "org/b": complete({ ".cache/huggingface/download/config.json.metadata": "abc123\netag\n" }),
+    "org/a": complete(),
+    solo: complete(),
+  });
+  const models = cache.list();
+  assert.deepEqual(
+    models.map((m) => [m.model, m.integrity, m.revision]),
+    [
+      ["org/a", "ok", undefined],
+      ["org/b", "ok", "abc123"],
+      ["solo", "ok", undefined],
+    ]
+  );
+  assert.equal(models[0].path, path.join(cache.modelsDir, "models", "org", "a"));
+  assert.equal(models[0].sizeBytes, 2 + safetensors(100).length);
+  assert.equal(cache.totalBytes(), models.reduce((n, m) => n + m.sizeBytes, 0));
+  assert.equal(cache.get("solo").model, "solo");
+  assert.equal(cache.get("org/missing"), undefined);
+});
+
+test("truncated safetensors and .incomplete files make a snapshot partial", (t) => {
+  const cache = fakeCache(t, {
+    "org/cut-data": complete({ "model.safetensors": safetensors(100, 1) }),
+    "org/cut-header": complete({ "model.safetensors": safetensors(100).subarray(0, 20) }),
+    "org/tiny": complete({ "model.safetensors": Buffer.alloc(4) }),
+    "org/downloading": complete({ ".cache/huggingface/download/model-2.safetensors.incomplete": "x" }),
+  });
+  assert.deepEqual(
+    cache.list().map((m) => [m.model, m.integrity, m.problems]),
+    [
+      ["org/cut-data", "partial", ["model.safetensors"]],
+      ["org/cut-header", "partial", ["model.safetensors"]],
+      ["org/downloading", "partial", [".cache/huggingface/download/model-2.safetensors.incomplete"]],
+      ["org/tiny", "partial", ["model.safetensors"]],
+    ]
+  );
+});
+
+test("sharded snapshots need every shard the index names", (t) => {
+  const index = JSON.stringify({ weight_map: { a: "model-00001-of-00002.safetensors", b: "model-00002-of-00002.safetensors" } });
+  const shard = safetensors(10);
+  const cache = fakeCache(t, {
+    "org/sharded": {
+      files: {
+        "config.json": "{}",
+        "model.safetensors.index.json": index,
+        "model-00001-of-00002.safetensors": shard,
+        "model-00002-of-00002.safetensors": shard,
+      },
+    },
+    "org/half": {
+      files: { "config.json": "{}", "model.safetensors.index.json": index, "model-00001-of-00002.safetensors": shard },
+    },
+    "org/no-weights": { files: { "config.json": "{}" } },
+    "org/no-config": { files: { "model.safetensors": shard } },
+  });
+  assert.deepEqual(
+    cache.list().map((m) => [m.model, m.integrity, m.problems]),
+    [
+      ["org/half", "missing", ["model-00002-of-00002.safetensors"]],
+      ["org/no-config", "missing", ["config.json"]],
+      ["org/no-weights", "missing", ["*.safetensors"]],
+      ["org/sharded", "ok", []],
+    ]
+  );
+});
+
+test("recordUse() sets lastUsedAt without changing modifiedAt", (t) => {
+  const downloaded = hoursAgo(5);
+  const cache = fakeCache(t, { "org/a": { ...complete(), modifiedAt: downloaded } });
+  assert.equal(cache.get("org/a").lastUsedAt.getTime(), downloaded.getTime());
+
+  const used = hoursAgo(1);
+  cache.recordUse("org/a", used);
+  cache.recordUse("org/not-cached", used);
+  const info = cache.get("org/a");
+  assert.equal(info.lastUsedAt.getTime(), used.getTime());
+  assert.equal(info.modifiedAt.getTime(), downloaded.getTime());
+  assert.equal(fs.readFileSync(path.join(info.path, ".mlx-ts-last-used"), "utf8"), used.toISOString());
+  assert.ok(!fs.existsSync(cache.pathFor("org/not-cached")));
+});
+
+test("planEviction() drops broken snapshots, then the least recently used", (t) => {
+  const cache = fakeCache(t, {
+    "org/old": complete(),
+    "org/mid": complete(),
+    "org/new": complete(),
+    "org/broken": complete({ "model.safetensors": safetensors(100, 10) }),
+    "org/downloading": { ...complete({ "x.incomplete": "" }), modifiedAt: new Date() },
+  });
+  cache.recordUse("org/old", hoursAgo(3));
+  cache.recordUse("org/mid", hoursAgo(2));
+  cache.recordUse("org/new", hoursAgo(1));
+  const size = cache.get("org/old").sizeBytes;
+  const plan = (maxBytes, opts) => cache.planEviction(maxBytes, opts).map((m) => m.model);
+
+  assert.deepEqual(plan(Infinity), ["org/broken"]);
+  // Room for two complete snapshots plus the one still downloading.
+  assert.deepEqual(plan(3 * size), ["org/broken", "org/old"]);
+  assert.deepEqual(plan(2 * size, { keep: ["org/old"] }), ["org/broken", "org/mid", "org/new"]);
+  assert.deepEqual(plan(0, { graceMs: -1 }), ["org/broken", "org/downloading", "org/old", "org/mid", "org/new"]);
+});
+
+test("remove() deletes a snapshot, and ids can't leave modelsDir", (t) => {
+  const cache = fakeCache(t, { "org/a": complete() });
+  assert.equal(cache.remove("org/a"), true);
+  assert.equal(cache.remove("org/a"), false);
+  assert.deepEqual(cache.list(), []);
+  for (const id of ["../a", "org/../../a", "/a", "org//a", "."]) {
+    assert.throws(() => cache.pathFor(id), /invalid model id/);
+  }
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createOpenTelemetryInstrumentation } from "../dist/otel.js";
+
+/** A tracer that records every span's name, options, attributes, status and end time. */
+function stubTracer() {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name, options) {
+      const span = { name, kind: options.kind, startTime: options.startTime, attributes: { ...options.attributes } };
+      spans.push(span);
+      return {
+        setAttribute: (key, value) => (span.attributes[key] = value),
+        setStatus: (status) => (span.status = status),
+        end: (endTime) => (span.endTime = endTime),
+      };
+    },
+  };
+}
+
+test("inference requests get GenAI chat spans with usage and timings", () => {
+  const tracer = stubTracer();
+  const otel = createOpenTelemetryInstrumentation(tracer);
+  const start = { type: "inference.stream", requestId: "r1", model: "org/m", startTime: 1000 };
+  otel.onRequestStart(start);
+  assert.equal(tracer.spans[0].endTime, undefined);
+  otel.onRequestEnd({
+    ...start,
+    durationMs: 250,
+    outcome: "ok",
+    inference: {
+      streaming: true,
+      ttftMs: 40,
+      tokensPerSecond: 80,
+      queueMs: 5,
+      promptTokens: 12,
+      completionTokens: 20,
+      finishReason: "stop",
+    },
+  });
+
+  assert.deepEqual(tracer.spans, [
+    {
+      name: "chat org/m",
+      kind: 2,
+      startTime: 1000,
+      endTime: 1250,
+      attributes: {
+        "gen_ai.system": "mlx",
+        "gen_ai.operation.name": "chat",
+        "gen_ai.request.model": "org/m",
+        "mlx.request_id": "r1",
+        "mlx.outcome": "ok",
+        "gen_ai.response.id": "r1",
+        "gen_ai.response.finish_reasons": ["stop"],
+        "gen_ai.usage.input_tokens": 12,
+        "gen_ai.usage.output_tokens": 20,
+        "mlx.streaming": true,
+        "mlx.ttft_ms": 40,
+        "mlx.tokens_per_second": 80,
+        "mlx.queue_ms": 5,
+      },
+    },
+  ]);
+});
+
+test("other RPCs get rpc spans, and failures set an error status", () => {
+  const tracer = stubTracer();
+  const otel = createOpenTelemetryInstrumentation(tracer);
+  const load = { type: "model.load", requestId: "r2", model: "org/m", startTime: 0 };
+  const embed = { type: "inference.embed", requestId: "r3", startTime: 0 };
+  otel.onRequestStart(load);
+  otel.onRequestStart(embed);
+  otel.onRequestEnd({ ...load, durationMs: 10, outcome: "error", error: { code: "model_not_found", message: "no such model" } });
+  otel.onRequestEnd({ ...embed, durationMs: 3, outcome: "ok" });
+  // An end without a start (or a second end) is ignored.
+  otel.onRequestEnd({ ...load, durationMs: 20, outcome: "ok" });
+
+  const [loadSpan, embedSpan] = tracer.spans;
+  assert.equal(tracer.spans.length, 2);
+  assert.equal(loadSpan.name, "model.load");
+  assert.deepEqual(loadSpan.attributes, {
+    "rpc.system": "mlx-host",
+    "rpc.method": "model.load",
+    "mlx.model": "org/m",
+    "mlx.request_id": "r2",
+    "mlx.outcome": "error",
+    "error.type": "model_not_found",
+  });
+  assert.deepEqual(loadSpan.status, { code: 2, message: "no such model" });
+  assert.equal(loadSpan.endTime, 10);
+
+  assert.equal(embedSpan.name, "embeddings");
+  assert.equal(embedSpan.attributes["gen_ai.operation.name"], "embeddings");
+  assert.equal(embedSpan.status, undefined);
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { MlxQueueFullError } from "../dist/errors.js";
+import { RequestScheduler } from "../dist/scheduler.js";
+
+/** The ids of the slots that have started so far, in start order (filled in as they start). */
+function track(slots) {
+  const started = [];
+  for (const [id, slot] of Object.entries(slots)) slot.ready.then(() => started.push(id), () => {});
+  return started;
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test("runs at most maxConcurrent requests per model", async () => {
+  const s = new RequestScheduler({ maxConcurrent: 2 });
+  const slots = { a: s.acquire("m"), b: s.acquire("m"), c: s.acquire("m"), other: s.acquire("n") };
+  const started = track(slots);
+  await tick();
+  assert.deepEqual(started, ["a", "b", "other"]);
+  assert.deepEqual(s.stats().models.m, { running: 2, queued: 1, queuedInteractive: 1, queuedBatch: 0 });
+  assert.deepEqual([s.stats().running, s.stats().queued], [3, 1]);
+
+  slots.a.release();
+  slots.a.release(); // releasing twice frees one slot only
+  await tick();
+  assert.deepEqual(started, ["a", "b", "other", "c"]);
+  assert.equal(s.stats().models.m.running, 2);
+
+  for (const slot of Object.values(slots)) slot.release();
+  assert.deepEqual(s.stats(), { running: 0, queued: 0, queuedInteractive: 0, queuedBatch: 0, models: {} });
+});
+
+test("interactive requests go before queued batch ones, FIFO within each", async () => {
+  const s = new RequestScheduler({ maxConcurrent: 1 });
+  const slots = {
+    running: s.acquire("m"),
+    batch1: s.acquire("m", "batch"),
+    batch2: s.acquire("m", "batch"),
+    chat1: s.acquire("m", "interactive"),
+    chat2: s.acquire("m"),
+  };
+  const started = track(slots);
+  assert.deepEqual(s.stats().models.m, { running: 1, queued: 4, queuedInteractive: 2, queuedBatch: 2 });
+
+  for (const id of ["running", "chat1", "chat2", "batch1"]) {
+    await tick();
+    slots[id].release();
+  }
+  await tick();
+  assert.deepEqual(started, ["running", "chat1", "chat2", "batch1", "batch2"]);
+});
+
+test("rejects with MlxQueueFullError once maxQueueLength are waiting", async () => {
+  const s = new RequestScheduler({ maxConcurrent: 1, maxQueueLength: 1 });
+  const running = s.acquire("m");
+  const queued = s.acquire("m");
+  const full = s.acquire("m");
+  await assert.rejects(full.ready, (err) => err instanceof MlxQueueFullError && err.code === "queue_full" && err.maxQueueLength === 1);
+  full.release();
+  assert.deepEqual([s.stats().running, s.stats().queued], [1, 1]);
+
+  // Other models have their own queue.
+  await s.acquire("n").ready;
+  running.release();
+  await queued.ready;
+});
+
+test("releasing a queued slot leaves the queue without taking a turn", async () => {
+  const s = new RequestScheduler({ maxConcurrent: 1 });
+  const slots = { running: s.acquire("m"), leaving: s.acquire("m"), next: s.acquire("m") };
+  const started = track(slots);
+  slots.leaving.release();
+  await assert.rejects(slots.leaving.ready, /left the queue/);
+  assert.equal(s.stats().queued, 1);
+
+  slots.running.release();
+  await tick();
+  assert.deepEqual(started, ["running", "next"]);
+  assert.equal(s.stats().models.m.running, 1);
+});
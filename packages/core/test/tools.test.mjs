@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createToolCallParser, parseToolCalls, resolveToolCallFormat } from "../dist/tools.js";
+
+/** Feeds `chunks` one at a time; events come back as text strings and `[toolName, args]` pairs. */
+function feed(format, chunks) {
+  const parser = createToolCallParser(format);
+  const pushed = chunks.map((c) => parser.push(c));
+  const events = [...pushed.flat(), ...parser.flush()];
+  for (const ev of events) if (ev.type === "tool-call") assert.match(ev.call.toolCallId, /^call_/);
+  return { pushed, events: events.map((ev) => (ev.type === "text" ? ev.text : [ev.call.toolName, JSON.parse(ev.call.args)])) };
+}
+
+test("hermes: a <tool_call> tag split across chunks is never emitted as text", () => {
+  const { pushed, events } = feed("hermes", [
+    "Let me check.<to",
+    "ol_ca",
+    'll>\n{"name": "weather", "arguments": {"city": "Paris"}}\n</tool',
+    "_call> Done.",
+  ]);
+  assert.deepEqual(pushed[0], [{ type: "text", text: "Let me check." }]);
+  assert.deepEqual(pushed[1], []);
+  assert.deepEqual(events, ["Let me check.", ["weather", { city: "Paris" }], " Done."]);
+});
+
+test("hermes: text that only looks like the start of a tag is released", () => {
+  const { events } = feed("hermes", ["a <t", "able> b <tool_c"]);
+  assert.deepEqual(events.join(""), "a <table> b <tool_c");
+});
+
+test("hermes: an unterminated call is parsed at flush, or kept as text if it isn't one", () => {
+  assert.deepEqual(feed("hermes", ['<tool_call>{"name": "search", "arguments": "{\\"q\\": 1}"}']).events, [["search", { q: 1 }]]);
+  assert.deepEqual(feed("hermes", ['<tool_call>{"name": "sea']).events, ['<tool_call>{"name": "sea']);
+  assert.deepEqual(feed("hermes", ["<tool_call>not json</tool_call>"]).events, ["<tool_call>not json</tool_call>"]);
+});
+
+test("hermes: the Qwen3-Coder <function=…> form", () => {
+  const text =
+    "<tool_call>\n<function=edit>\n<parameter=path>\nsrc/a.ts\n</parameter>\n" +
+    "<parameter=line>\n12\n</parameter>\n<parameter=opts>\n{\"dry\": true}\n</parameter>\n</function>\n</tool_call>";
+  const { events } = feed("hermes", [text.slice(0, 40), text.slice(40)]);
+  assert.deepEqual(events, [["edit", { path: "src/a.ts", line: 12, opts: { dry: true } }]]);
+
+  // Cut off before `</function>` and `</tool_call>`.
+  assert.deepEqual(feed("hermes", ["<tool_call><function=ls><parameter=dir>/tmp</parameter>"]).events, [["ls", { dir: "/tmp" }]]);
+});
+
+test("hermes: several calls in one generation", () => {
+  const { toolCalls, text } = parseToolCalls(
+    'Sure.\n<tool_call>{"name": "a", "arguments": {}}</tool_call>\n<tool_call>{"name": "b"}</tool_call>\n',
+    "hermes"
+  );
+  assert.equal(text, "Sure.");
+  assert.deepEqual(
+    toolCalls.map((c) => [c.toolName, c.args]),
+    [
+      ["a", "{}"],
+      ["b", "{}"],
+    ]
+  );
+  assert.notEqual(toolCalls[0].toolCallId, toolCalls[1].toolCallId);
+});
+
+test("llama: one or more JSON calls, separated by `;` or newlines", () => {
+  assert.deepEqual(feed("llama", ['  {"name": "a", ', '"parameters": {"x": 1}}']).events, [["a", { x: 1 }]]);
+  assert.deepEqual(feed("llama", ['<|python_tag|>{"name": "a", "parameters": {}}; {"name": "b", "parameters": {"y": 2}}']).events, [
+    ["a", {}],
+    ["b", { y: 2 }],
+  ]);
+  assert.deepEqual(feed("llama", ['{"name": "a", "parameters": {}}\n\n{"name": "b", "parameters": {}}']).events, [
+    ["a", {}],
+    ["b", {}],
+  ]);
+  assert.deepEqual(feed("llama", ['{"name": "a"}; not a call']).events, ['{"name": "a"}; not a call']);
+});
+
+test("llama: plain answers stream through as text", () => {
+  const { pushed, events } = feed("llama", ["<|py", "The answer", " is 4."]);
+  assert.deepEqual(pushed[0], []);
+  assert.deepEqual(pushed[2], [{ type: "text", text: " is 4." }]);
+  assert.equal(events.join(""), "<|pyThe answer is 4.");
+});
+
+test("resolveToolCallFormat picks llama for Llama models unless told otherwise", () => {
+  assert.equal(resolveToolCallFormat("mlx-community/Meta-Llama-3.1-8B-Instruct-4bit"), "llama");
+  assert.equal(resolveToolCallFormat("mlx-community/Qwen3-4B-4bit"), "hermes");
+  assert.equal(resolveToolCallFormat("mlx-community/Meta-Llama-3.1-8B-Instruct-4bit", "hermes"), "hermes");
+});
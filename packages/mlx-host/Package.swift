@@ -24,6 +24,10 @@ let package = Package(
                 .product(name: "MLXRandom", package: "mlx-swift"),
                 .product(name: "MLXLMCommon", package: "mlx-swift-lm"),
                 .product(name: "MLXLLM", package: "mlx-swift-lm"),
+                // Vision-language models (Qwen2-VL, Gemma 3, ...); picked up by loadModelContainer.
+                .product(name: "MLXVLM", package: "mlx-swift-lm"),
+                // Encoder models (BERT, ModernBERT, Nomic, ...) for inference.embed.
+                .product(name: "MLXEmbedders", package: "mlx-swift-lm"),
             ]
         )
     ]
@@ -1,25 +1,125 @@
+import CoreImage
 import Foundation
 import Hub
 import MLX
+import MLXEmbedders
 import MLXLMCommon
+import MLXVLM
 
 protocol LLMEngine {
-    func downloadModel(source: JSONValue?, modelsDir: String?) async throws -> (model: String, localPath: String)
+    func downloadModel(
+        source: JSONValue?,
+        modelsDir: String?,
+        onProgress: @escaping @Sendable (DownloadProgress) -> Void
+    ) async throws -> (model: String, localPath: String)
     func loadModel(model: String) async throws
     func unloadModel(model: String) async throws
-    func deleteModel(model: String) async throws
+    func deleteModel(model: String, modelsDir: String?) async throws
     func listModels() async -> (cached: [String], loaded: [String])
 
     func generate(requestId: String, request: GenerateRequest) async throws -> GenerateResponse
-    func stream(requestId: String, request: GenerateRequest) async -> AsyncThrowingStream<String, Error>
+    func stream(
+        requestId: String,
+        request: GenerateRequest
+    ) async -> AsyncThrowingStream<EngineEvent, Error>
+    func embed(request: EmbedRequest) async throws -> EmbedResponse
+    func closeSession(sessionId: String) async -> Bool
     func cancel(requestId: String) async
     func reset(unloadAll: Bool, clearCache: Bool) async
 }
 
+/// What `LLMEngine.stream` yields: text chunks, then exactly one `.finished`.
+enum EngineEvent {
+    case chunk(String)
+    case finished(GenerationSummary)
+}
+
+/// Token counts and why generation ended, as reported in the final `GenerateResponse`.
+struct GenerationSummary {
+    var promptTokens: Int?
+    var completionTokens: Int
+    var finishReason: FinishReason
+    var stopSequence: String?
+    var cachedTokens: Int? = nil
+
+    func response(
+        requestId: String,
+        text: String,
+        ttft: TimeInterval?,
+        total: TimeInterval
+    ) -> GenerateResponse {
+        GenerateResponse(
+            requestId: requestId,
+            text: text,
+            usage: .init(
+                promptTokens: promptTokens,
+                completionTokens: completionTokens,
+                totalTokens: promptTokens.map { $0 + completionTokens },
+                cachedTokens: cachedTokens
+            ),
+            timings: .init(
+                ttftMs: (ttft ?? total) * 1000.0,
+                totalMs: total * 1000.0,
+                tokensPerSecond: total > 0 ? Double(completionTokens) / total : nil
+            ),
+            finishReason: finishReason,
+            stopSequence: stopSequence
+        )
+    }
+}
+
+/// KV cache kept between the turns of a `sessionId`, and the prompt tokens it was built from.
+/// Only touched by one generation at a time (see `busy`).
+final class PromptSession: @unchecked Sendable {
+    let model: String
+    var busy = false
+    private var cache: [KVCache] = []
+    private var tokens: [Int] = []
+
+    init(model: String) {
+        self.model = model
+    }
+
+    /// Cache to generate with, and how many leading prompt tokens it already holds.
+    func prepare(
+        prompt: [Int],
+        context: ModelContext,
+        parameters: GenerateParameters,
+        reusable: Bool
+    ) -> (cache: [KVCache], cached: Int) {
+        // Feed at least one token so there are logits to sample from.
+        let common = min(zip(tokens, prompt).prefix { $0 == $1 }.count, prompt.count - 1)
+        if reusable, common > 0, !cache.isEmpty, canTrimPromptCache(cache) {
+            // The cache also holds the previous answer (and maybe a different tail);
+            // keep the shared prefix.
+            let offset = cache.first?.offset ?? 0
+            if offset > common { trimPromptCache(cache, numTokens: offset - common) }
+            return (cache, common)
+        }
+        cache = context.model.newCache(parameters: parameters)
+        tokens = []
+        return (cache, 0)
+    }
+
+    /// Image prompts aren't plain token sequences, so they never seed a reusable prefix.
+    func finish(prompt: [Int], reusable: Bool) {
+        tokens = reusable ? prompt : []
+    }
+
+    func invalidate() {
+        cache = []
+        tokens = []
+    }
+}
+
 actor MLXSwiftEngine: LLMEngine {
     private let device: Device
     private var cachedModels: [String: String] = [:] // model -> localPath
     private var containers: [String: ModelContainer] = [:] // model -> loaded container
+    // model -> loaded encoder (lazy)
+    private var embedders: [String: MLXEmbedders.ModelContainer] = [:]
+    private var sessions: [String: PromptSession] = [:] // sessionId -> cached prompt state
+    private var downloadBase: URL? // modelsDir of the last huggingface download
     private var cancelled: Set<String> = []
     private var activeTasks: [String: Task<Void, Never>] = [:]
     private var lastDownloadLogTime: TimeInterval = 0
@@ -38,7 +138,11 @@ actor MLXSwiftEngine: LLMEngine {
         self.device = device
     }
 
-    func downloadModel(source: JSONValue?, modelsDir: String?) async throws -> (model: String, localPath: String) {
+    func downloadModel(
+        source: JSONValue?,
+        modelsDir: String?,
+        onProgress: @escaping @Sendable (DownloadProgress) -> Void
+    ) async throws -> (model: String, localPath: String) {
         guard
             let source,
             case .object(let obj) = source,
@@ -65,47 +169,77 @@ actor MLXSwiftEngine: LLMEngine {
             }()
 
             let baseURL: URL? = modelsDir.map { URL(fileURLWithPath: $0, isDirectory: true) }
+            downloadBase = baseURL
             let hub = HubApi(downloadBase: baseURL)
             let repoObj = Hub.Repo(id: repo)
 
             // Keep download set small but sufficient for most MLX-community LLMs.
             let patterns = ["*.safetensors", "*.json", "tokenizer.*", "*.tiktoken", "*.model", "*.txt"]
             print("Downloading HF model \(repo) (rev \(revision)) to \(baseURL?.path ?? "(default cache)")")
-            let dir = try await hub.snapshot(
-                from: repoObj,
-                revision: revision,
-                matching: patterns,
-                progressHandler: { progress in
-                    // Throttle logs (Progress can be chatty). Note: this Progress typically advances
-                    // when individual files complete (so it can appear "stuck" on large files).
-                    let now = Date().timeIntervalSinceReferenceDate
-                    if now - self.lastDownloadLogTime < 0.5 { return }
-                    self.lastDownloadLogTime = now
-
-                    let completed = progress.completedUnitCount
-                    let total = progress.totalUnitCount
-
-                    // Only print when something changes, otherwise it looks like a hang.
-                    if completed != self.lastDownloadCompleted || total != self.lastDownloadTotal {
-                        self.lastDownloadCompleted = completed
-                        self.lastDownloadTotal = total
+            let dir: URL
+            do {
+                dir = try await hub.snapshot(
+                    from: repoObj,
+                    revision: revision,
+                    matching: patterns,
+                    progressHandler: { progress in
+                        // Throttle logs (Progress can be chatty). Note: this Progress
+                        // typically advances when individual files complete (so it can
+                        // appear "stuck" on large files).
+                        let now = Date().timeIntervalSinceReferenceDate
+                        if now - self.lastDownloadLogTime < 0.5 { return }
+                        self.lastDownloadLogTime = now
+
+                        let completed = progress.completedUnitCount
+                        let total = progress.totalUnitCount
+
+                        // Hub's snapshot progress counts files (with fractional progress
+                        // inside the current one); byte counts are only known when the
+                        // downloader reports them.
+                        onProgress(DownloadProgress(
+                            model: repo,
+                            completedBytes: nil,
+                            totalBytes: nil,
+                            currentFile: progress.fileURL?.lastPathComponent,
+                            filesCompleted: Int(completed),
+                            totalFiles: total > 0 ? Int(total) : nil,
+                            fraction: total > 0 ? progress.fractionCompleted : nil
+                        ))
+
+                        // Only print when something changes, otherwise it looks like a hang.
+                        let changed = completed != self.lastDownloadCompleted
+                            || total != self.lastDownloadTotal
+                        if changed {
+                            self.lastDownloadCompleted = completed
+                            self.lastDownloadTotal = total
+                            if total > 0 {
+                                let pct = (Double(completed) / Double(total)) * 100.0
+                                print(String(
+                                    format: "Download progress: %.1f%% (%lld/%lld)",
+                                    pct, completed, total
+                                ))
+                            } else {
+                                print("Download progress: \(completed)")
+                            }
+                            return
+                        }
+
+                        // Heartbeat if a single large file is taking a long time.
                         if total > 0 {
-                            let pct = (Double(completed) / Double(total)) * 100.0
-                            print(String(format: "Download progress: %.1f%% (%lld/%lld)", pct, completed, total))
+                            print(String(
+                                format: "...still downloading (%lld/%lld)", completed, total
+                            ))
                         } else {
-                            print("Download progress: \(completed)")
+                            print("...still downloading (\(completed))")
                         }
-                        return
                     }
-
-                    // Heartbeat if a single large file is taking a long time.
-                    if total > 0 {
-                        print(String(format: "...still downloading (%lld/%lld)", completed, total))
-                    } else {
-                        print("...still downloading (\(completed))")
-                    }
-                }
-            )
+                )
+            } catch {
+                throw HostError(
+                    code: "download_failed",
+                    message: "Download of \(repo) failed: \(error.localizedDescription)"
+                )
+            }
 
             let modelId = repo
             cachedModels[modelId] = dir.path
@@ -136,63 +270,73 @@ actor MLXSwiftEngine: LLMEngine {
 
     func unloadModel(model: String) async throws {
         containers.removeValue(forKey: model)
+        embedders.removeValue(forKey: model)
+        sessions = sessions.filter { $0.value.model != model }
     }
 
-    func deleteModel(model: String) async throws {
+    func deleteModel(model: String, modelsDir: String?) async throws {
         if let dir = cachedModels[model] {
             try? FileManager.default.removeItem(atPath: dir)
+        } else if let modelsDir, !model.hasPrefix("local:") {
+            // Downloaded by an earlier host process: find the snapshot where
+            // `model.download` puts it.
+            let hub = HubApi(downloadBase: URL(fileURLWithPath: modelsDir, isDirectory: true))
+            try? FileManager.default.removeItem(at: hub.localRepoLocation(Hub.Repo(id: model)))
         }
         cachedModels.removeValue(forKey: model)
     }
 
     func listModels() async -> (cached: [String], loaded: [String]) {
-        (Array(cachedModels.keys).sorted(), Array(containers.keys).sorted())
+        let loaded = Set(containers.keys).union(embedders.keys)
+        return (Array(cachedModels.keys).sorted(), Array(loaded).sorted())
     }
 
     func generate(requestId: String, request: GenerateRequest) async throws -> GenerateResponse {
         let start = Date()
         let streamed = await stream(requestId: requestId, request: request)
         var out = ""
-        var tokenCount = 0
         var ttft: TimeInterval?
+        var summary = GenerationSummary(
+            promptTokens: nil, completionTokens: 0, finishReason: .stop, stopSequence: nil
+        )
 
-        do {
-            for try await chunk in streamed {
+        for try await event in streamed {
+            switch event {
+            case .chunk(let text):
                 if ttft == nil { ttft = Date().timeIntervalSince(start) }
-                out += chunk
-                tokenCount += 1
+                out += text
+            case .finished(let s):
+                summary = s
             }
-        } catch {
-            throw error
         }
 
         let total = Date().timeIntervalSince(start)
-        let tps: Double? = total > 0 ? Double(tokenCount) / total : nil
-        return GenerateResponse(
-            requestId: requestId,
-            text: out,
-            usage: .init(promptTokens: nil, completionTokens: tokenCount, totalTokens: nil),
-            timings: .init(ttftMs: (ttft ?? total) * 1000.0, totalMs: total * 1000.0, tokensPerSecond: tps)
-        )
+        return summary.response(requestId: requestId, text: out, ttft: ttft, total: total)
     }
 
-    func stream(requestId: String, request: GenerateRequest) async -> AsyncThrowingStream<String, Error> {
+    func stream(
+        requestId: String,
+        request: GenerateRequest
+    ) async -> AsyncThrowingStream<EngineEvent, Error> {
         guard let container = containers[request.model] else {
             return AsyncThrowingStream { continuation in
-                continuation.finish(throwing: NSError(domain: "mlx-host", code: 400, userInfo: [NSLocalizedDescriptionKey: "Model not loaded: \(request.model)"]))
+                continuation.finish(throwing: HostError(
+                    code: "model_not_found",
+                    message: "Model not loaded: \(request.model)"
+                ))
             }
         }
 
-        // Split history: everything except the last user message is history; last user is the prompt.
-        let lastUserIdx = request.messages.lastIndex(where: { $0.role == .user })
-        let prompt = lastUserIdx.map { request.messages[$0].content } ?? ""
-        let history = request.messages.prefix(lastUserIdx ?? 0).map { msg -> Chat.Message in
+        let chat = request.messages.map { msg -> Chat.Message in
             switch msg.role {
             case .system: return .system(msg.content)
-            case .user: return .user(msg.content)
+            case .user: return .user(msg.content, images: Self.userImages(msg))
             case .assistant: return .assistant(msg.content)
             }
         }
+        let stops = (request.stop ?? []).filter { !$0.isEmpty }
+        let templateContext = request.chatTemplateKwargs?.anyValue as? [String: Any]
+        let session = request.sessionId.flatMap { claimSession(id: $0, model: request.model) }
 
         // Sampling
         var params = GenerateParameters()
@@ -204,19 +348,21 @@ actor MLXSwiftEngine: LLMEngine {
         }
         if let mt = request.maxTokens { params.maxTokens = mt }
 
-        let session = ChatSession(container, history: history, generateParameters: params)
-
         return AsyncThrowingStream { continuation in
             let device = self.device
             let modelId = request.model
-            let historyCount = history.count
-            let promptPreview = String(prompt.prefix(120)).replacingOccurrences(of: "\n", with: "\\n")
+            let lastUser = request.messages.last(where: { $0.role == .user })?.content ?? ""
+            let promptPreview = String(lastUser.prefix(120))
+                .replacingOccurrences(of: "\n", with: "\\n")
 
             // Run generation off the actor executor to avoid starving the actor during long compute.
             let task = Task.detached { [weak self] in
                 do {
                     let t0 = Date()
-                    print("Starting stream \(requestId) model=\(modelId) history=\(historyCount) promptChars=\(prompt.count) maxTokens=\(request.maxTokens ?? -1)")
+                    print(
+                        "Starting stream \(requestId) model=\(modelId) messages=\(chat.count) "
+                            + "promptChars=\(lastUser.count) maxTokens=\(request.maxTokens ?? -1)"
+                    )
                     print("Prompt preview: \(promptPreview)")
                     var firstTokenLogged = false
                     
@@ -231,28 +377,114 @@ actor MLXSwiftEngine: LLMEngine {
                     }
                     defer { heartbeat.cancel() }
 
-                    try await Device.withDefaultDevice(device) {
+                    let summary = try await Device.withDefaultDevice(device) {
                         try await Stream.withNewDefaultStream(device: device) {
-                            let underlying = session.streamResponse(to: prompt)
-                            for try await chunk in underlying {
-                                if !firstTokenLogged {
-                                    firstTokenLogged = true
-                                    let ttft = Date().timeIntervalSince(t0)
-                                    print("First token for \(requestId) after \(String(format: "%.2f", ttft))s")
+                            try await container.perform { context -> GenerationSummary in
+                                let input = try await context.processor.prepare(
+                                    input: UserInput(chat: chat, additionalContext: templateContext)
+                                )
+                                let promptTokens = input.text.tokens.asArray(Int.self)
+                                var summary = GenerationSummary(
+                                    promptTokens: promptTokens.count,
+                                    completionTokens: 0,
+                                    finishReason: .stop,
+                                    stopSequence: nil
+                                )
+
+                                // Session: only the tokens after the cached prefix
+                                // need prefilling.
+                                let reusable = input.image == nil && input.video == nil
+                                var generateInput = input
+                                var cache: [KVCache]?
+                                if let session {
+                                    let prepared = session.prepare(
+                                        prompt: promptTokens,
+                                        context: context,
+                                        parameters: params,
+                                        reusable: reusable
+                                    )
+                                    cache = prepared.cache
+                                    summary.cachedTokens = prepared.cached
+                                    if prepared.cached > 0 {
+                                        let rest = promptTokens[prepared.cached...]
+                                        generateInput = LMInput(
+                                            tokens: MLXArray(rest.map { Int32($0) })
+                                        )
+                                    }
+                                }
+
+                                // Generated text not yielded yet: a tail that could still
+                                // turn into a stop sequence waits for the next chunk.
+                                var held = ""
+                                // Leaving the loop early drops the stream, which stops
+                                // the generation task.
+                                generation: for await event in try MLXLMCommon.generate(
+                                    input: generateInput,
+                                    cache: cache,
+                                    parameters: params,
+                                    context: context
+                                ) {
+                                    switch event {
+                                    case .chunk(let chunk):
+                                        if !firstTokenLogged {
+                                            firstTokenLogged = true
+                                            let ttft = Date().timeIntervalSince(t0)
+                                            let secs = String(format: "%.2f", ttft)
+                                            print("First token for \(requestId) after \(secs)s")
+                                        }
+                                        summary.completionTokens += 1
+                                        if let self, await self.isCancelled(requestId) {
+                                            await self.clearCancelled(requestId)
+                                            summary.finishReason = .cancelled
+                                            break generation
+                                        }
+                                        // Stop sequences can span chunks. Yielded text never
+                                        // ends in a partial match, so a match starts in `held`.
+                                        held += chunk
+                                        if let (stop, range) = Self.firstStop(stops, in: held) {
+                                            if range.lowerBound > held.startIndex {
+                                                continuation.yield(.chunk(
+                                                    String(held[..<range.lowerBound])
+                                                ))
+                                            }
+                                            held = ""
+                                            summary.finishReason = .stopSequence
+                                            summary.stopSequence = stop
+                                            break generation
+                                        }
+                                        let keep = Self.partialStopLength(stops, in: held)
+                                        if keep < held.count {
+                                            let cut = held.index(held.endIndex, offsetBy: -keep)
+                                            continuation.yield(.chunk(String(held[..<cut])))
+                                            held = String(held[cut...])
+                                        }
+                                    case .info(let info):
+                                        summary.completionTokens = info.generationTokenCount
+                                    default:
+                                        break
+                                    }
                                 }
-                                if let self, await self.isCancelled(requestId) {
-                                    continuation.finish(throwing: NSError(domain: "mlx-host", code: 499, userInfo: [NSLocalizedDescriptionKey: "Cancelled"]))
-                                    await self.clearCancelled(requestId)
-                                    return
+                                if !held.isEmpty { continuation.yield(.chunk(held)) }
+                                if summary.finishReason == .stop,
+                                   let mt = request.maxTokens,
+                                   summary.completionTokens >= mt {
+                                    summary.finishReason = .length
                                 }
-                                continuation.yield(chunk)
+                                session?.finish(prompt: promptTokens, reusable: reusable)
+                                return summary
                             }
                         }
                     }
                     let dt = Date().timeIntervalSince(t0)
-                    print("Finished stream \(requestId) in \(String(format: "%.2f", dt))s")
+                    let secs = String(format: "%.2f", dt)
+                    let reason = summary.finishReason.rawValue
+                    print("Finished stream \(requestId) in \(secs)s (\(reason))")
+                    session?.busy = false
+                    continuation.yield(.finished(summary))
                     continuation.finish()
                 } catch {
+                    session?.invalidate()
+                    session?.busy = false
                     continuation.finish(throwing: error)
                 }
             }
@@ -264,6 +496,136 @@ actor MLXSwiftEngine: LLMEngine {
         }
     }
 
+    /// The session for `id`, marked busy; nil while another request is using it
+    /// (that one runs uncached).
+    private func claimSession(id: String, model: String) -> PromptSession? {
+        if let existing = sessions[id], existing.model == model {
+            if existing.busy { return nil }
+            existing.busy = true
+            return existing
+        }
+        let session = PromptSession(model: model)
+        session.busy = true
+        sessions[id] = session
+        return session
+    }
+
+    func closeSession(sessionId: String) async -> Bool {
+        sessions.removeValue(forKey: sessionId) != nil
+    }
+
+    /// Earliest match of any stop sequence in `text`.
+    private static func firstStop(
+        _ stops: [String],
+        in text: String
+    ) -> (String, Range<String.Index>)? {
+        stops
+            .compactMap { stop in text.range(of: stop).map { (stop, $0) } }
+            .min { $0.1.lowerBound < $1.1.lowerBound }
+    }
+
+    /// Length of the longest tail of `text` that is a proper prefix of one of `stops`.
+    private static func partialStopLength(_ stops: [String], in text: String) -> Int {
+        var best = 0
+        for stop in stops {
+            var len = min(text.count, stop.count - 1)
+            while len > best {
+                if text.hasSuffix(stop.prefix(len)) {
+                    best = len
+                    break
+                }
+                len -= 1
+            }
+        }
+        return best
+    }
+
+    func embed(request: EmbedRequest) async throws -> EmbedResponse {
+        let container = try await loadEmbedder(model: request.model, modelsDir: request.modelsDir)
+        let normalize = request.normalize ?? true
+        let strategy: Pooling.Strategy? = switch request.pooling {
+        case "mean": .mean
+        case "cls": .cls
+        case "last": .last
+        case nil: nil
+        case let other?:
+            throw NSError(
+                domain: "mlx-host",
+                code: 400,
+                userInfo: [NSLocalizedDescriptionKey: "Unknown pooling=\(other)"]
+            )
+        }
+
+        let device = self.device
+        let texts = request.texts
+        let (vectors, promptTokens) = try await Device.withDefaultDevice(device) {
+            try await Stream.withNewDefaultStream(device: device) {
+                await container.perform { model, tokenizer, modelPooling -> ([[Float]], Int) in
+                    let inputs = texts.map { tokenizer.encode(text: $0, addSpecialTokens: true) }
+                    let maxLength = inputs.map(\.count).max() ?? 0
+                    let pad = tokenizer.eosTokenId ?? 0
+                    // Right-pad to a rectangle and mask the padding out of the pooling.
+                    let padded = stacked(inputs.map {
+                        MLXArray($0 + Array(repeating: pad, count: maxLength - $0.count))
+                    })
+                    let mask = stacked(inputs.map {
+                        MLXArray(
+                            Array(repeating: true, count: $0.count)
+                                + Array(repeating: false, count: maxLength - $0.count)
+                        )
+                    })
+                    let output = model(
+                        padded,
+                        positionIds: nil,
+                        tokenTypeIds: MLXArray.zeros(like: padded),
+                        attentionMask: mask
+                    )
+                    let pooling = strategy.map { Pooling(strategy: $0) } ?? modelPooling
+                    let pooled = pooling(
+                        output, mask: mask, normalize: normalize, applyLayerNorm: true
+                    )
+                    pooled.eval()
+                    let vectors = (0 ..< inputs.count).map { pooled[$0].asArray(Float.self) }
+                    return (vectors, inputs.reduce(0) { $0 + $1.count })
+                }
+            }
+        }
+        return EmbedResponse(
+            model: request.model,
+            embeddings: vectors,
+            usage: .init(promptTokens: promptTokens)
+        )
+    }
+
+    /// Encoder models are loaded on first use (there's no generation session to prepare).
+    /// Uncached models are downloaded to `modelsDir` (default: the last `model.download`'s).
+    private func loadEmbedder(
+        model: String,
+        modelsDir: String?
+    ) async throws -> MLXEmbedders.ModelContainer {
+        if let container = embedders[model] { return container }
+        let t0 = Date()
+        print("Loading embedding model \(model) on \(device == .cpu ? "cpu" : "gpu")...")
+        let configuration: MLXEmbedders.ModelConfiguration = cachedModels[model].map {
+            .init(directory: URL(fileURLWithPath: $0, isDirectory: true))
+        } ?? .init(id: model)
+        let base = modelsDir.map { URL(fileURLWithPath: $0, isDirectory: true) } ?? downloadBase
+        let container = try await MLXEmbedders.loadModelContainer(
+            hub: HubApi(downloadBase: base),
+            configuration: configuration
+        )
+        embedders[model] = container
+        let dt = Date().timeIntervalSince(t0)
+        print("Loaded embedding model \(model) in \(String(format: "%.2f", dt))s")
+        return container
+    }
+
+    /// Image parts of a user message; undecodable images are dropped (text-only
+    /// models ignore them anyway).
+    private static func userImages(_ msg: ChatMessage) -> [UserInput.Image] {
+        msg.images.compactMap { CIImage(data: $0).map { UserInput.Image.ciImage($0) } }
+    }
+
     func cancel(requestId: String) async {
         cancelled.insert(requestId)
         activeTasks[requestId]?.cancel()
@@ -271,13 +633,17 @@ actor MLXSwiftEngine: LLMEngine {
     }
 
     func reset(unloadAll: Bool, clearCache: Bool) async {
-        if unloadAll { containers.removeAll() }
+        if unloadAll {
+            containers.removeAll()
+            embedders.removeAll()
+        }
         if clearCache {
             for (_, dir) in cachedModels {
                 try? FileManager.default.removeItem(atPath: dir)
             }
             cachedModels.removeAll()
         }
+        sessions.removeAll()
         cancelled.removeAll()
         activeTasks.removeAll()
     }
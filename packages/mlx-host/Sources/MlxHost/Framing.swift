@@ -9,7 +9,17 @@ final class FramedJSONConnection {
     private let decoder = JSONDecoder()
 
     private var readBuffer = Data()
+    /// Start of the unread bytes in `readBuffer` (compacted once per read, not per frame).
+    private var readOffset = 0
     private var isClosed = false
+    /// Matches the client's default `maxFrameBytes`; `MLX_HOST_MAX_FRAME_BYTES` overrides it.
+    static let maxFrameBytes: Int = {
+        if let raw = ProcessInfo.processInfo.environment["MLX_HOST_MAX_FRAME_BYTES"],
+           let n = Int(raw), n > 0 {
+            return n
+        }
+        return 64 * 1024 * 1024
+    }()
     private let writeQueue = DispatchQueue(label: "mlx-host.socket.write")
 
     var onMessage: ((RPCEnvelope) -> Void)?
@@ -64,22 +74,46 @@ final class FramedJSONConnection {
     }
 
     private func drainFrames() {
+        defer {
+            if readOffset > 0 {
+                readBuffer.removeSubrange(
+                    readBuffer.startIndex..<(readBuffer.startIndex + readOffset)
+                )
+                readOffset = 0
+            }
+        }
         while true {
-            if readBuffer.count < 4 { return }
-            let lenData = readBuffer.prefix(4)
-            let length = lenData.withUnsafeBytes { ptr -> UInt32 in
-                ptr.load(as: UInt32.self).bigEndian
+            let start = readBuffer.startIndex + readOffset
+            if readBuffer.count - readOffset < 4 { return }
+            let length = readBuffer[start..<(start + 4)]
+                .reduce(UInt32(0)) { ($0 << 8) | UInt32($1) }
+            if Int(length) > FramedJSONConnection.maxFrameBytes {
+                // A corrupt header: the stream can't be re-synchronised.
+                let limit = FramedJSONConnection.maxFrameBytes
+                fputs(
+                    "mlx-host: frame of \(length) bytes exceeds the \(limit) byte limit, "
+                        + "closing connection\n",
+                    stderr
+                )
+                readBuffer = Data()
+                readOffset = 0
+                stop()
+                onClose?(nil)
+                return
             }
             let total = 4 + Int(length)
-            if readBuffer.count < total { return }
-            let body = readBuffer.subdata(in: 4..<total)
-            readBuffer.removeSubrange(0..<total)
+            if readBuffer.count - readOffset < total { return }
+            let body = readBuffer.subdata(in: (start + 4)..<(start + total))
+            readOffset += total
 
             do {
                 let msg = try decoder.decode(RPCEnvelope.self, from: body)
                 onMessage?(msg)
             } catch {
-                // Ignore malformed frames.
+                fputs(
+                    "mlx-host: skipping malformed frame (\(body.count) bytes): \(error)\n",
+                    stderr
+                )
             }
         }
     }
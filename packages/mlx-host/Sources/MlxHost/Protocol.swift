@@ -2,6 +2,18 @@ import Foundation
 
 // MARK: - Wire protocol (framed JSON messages)
 
+/// Sent in `handshake.ok`; clients refuse hosts with a different major version.
+let protocolVersion = "1.0"
+
+/// A failure with its own wire `code` (`model_not_found`, `download_failed`, ...);
+/// other errors are sent as `bad_request`.
+struct HostError: LocalizedError {
+    let code: String
+    let message: String
+
+    var errorDescription: String? { message }
+}
+
 struct RPCEnvelope: Codable {
     let id: String?
     let type: String
@@ -42,6 +54,20 @@ enum JSONValue: Codable {
     }
 }
 
+extension JSONValue {
+    /// Plain Foundation value (for APIs that take `[String: Any]`).
+    var anyValue: Any {
+        switch self {
+        case .null: return NSNull()
+        case .bool(let b): return b
+        case .number(let n): return n == n.rounded() && abs(n) < 1e15 ? Int(n) as Any : n
+        case .string(let s): return s
+        case .array(let a): return a.map(\.anyValue)
+        case .object(let o): return o.mapValues(\.anyValue)
+        }
+    }
+}
+
 // MARK: - Higher-level request/response payloads (typed internally)
 
 struct ChatMessage: Codable {
@@ -52,7 +78,48 @@ struct ChatMessage: Codable {
     }
 
     let role: Role
+    /// Text of the message (text parts joined when `content` is an array of parts).
     let content: String
+    /// Decoded `{ type: "image", data: <base64>, mimeType }` parts, in order.
+    let images: [Data]
+
+    private enum CodingKeys: String, CodingKey {
+        case role
+        case content
+    }
+
+    private struct Part: Codable {
+        let type: String
+        let text: String?
+        let data: String?
+        let mimeType: String?
+    }
+
+    init(from decoder: Decoder) throws {
+        let c = try decoder.container(keyedBy: CodingKeys.self)
+        role = try c.decode(Role.self, forKey: .role)
+        if let text = try? c.decode(String.self, forKey: .content) {
+            content = text
+            images = []
+            return
+        }
+        let parts = try c.decode([Part].self, forKey: .content)
+        content = parts.compactMap { $0.type == "text" ? $0.text : nil }.joined()
+        images = try parts.filter { $0.type == "image" }.map { part in
+            guard let b64 = part.data, let data = Data(base64Encoded: b64) else {
+                throw DecodingError.dataCorruptedError(
+                    forKey: .content, in: c, debugDescription: "Invalid base64 image data"
+                )
+            }
+            return data
+        }
+    }
+
+    func encode(to encoder: Encoder) throws {
+        var c = encoder.container(keyedBy: CodingKeys.self)
+        try c.encode(role, forKey: .role)
+        try c.encode(content, forKey: .content)
+    }
 }
 
 struct Sampling: Codable {
@@ -69,6 +136,56 @@ struct GenerateRequest: Codable {
     let maxTokens: Int?
     let stop: [String]?
     let sampling: Sampling?
+    /// `{ type: "text" | "json", schema?, name?, description? }`. Clients steer and validate JSON
+    /// themselves; this is here so a constrained-decoding engine can use the schema.
+    let responseFormat: JSONValue?
+    /// Extra chat template variables (e.g. `enable_thinking`), passed to the template as-is.
+    let chatTemplateKwargs: JSONValue?
+    /// Requests with the same id reuse the KV cache of their common prompt prefix.
+    let sessionId: String?
+}
+
+struct EmbedRequest: Codable {
+    let model: String
+    let texts: [String]
+    /// "mean" | "cls" | "last"; defaults to the model's own pooling config.
+    let pooling: String?
+    /// L2-normalise each vector. Default: true.
+    let normalize: Bool?
+    /// Where to download the model if it isn't cached (as for `model.download`).
+    let modelsDir: String?
+}
+
+struct EmbedResponse: Codable {
+    struct Usage: Codable {
+        var promptTokens: Int?
+    }
+
+    let model: String
+    let embeddings: [[Float]]
+    let usage: Usage?
+}
+
+/// Payload of `model.download.progress` frames (sent with the `model.download` request id
+/// before the final `model.download.ok`; the server adds `requestId`). Fields are omitted when
+/// the downloader doesn't know them.
+struct DownloadProgress: Codable {
+    let model: String
+    let completedBytes: Int64?
+    let totalBytes: Int64?
+    let currentFile: String?
+    let filesCompleted: Int?
+    let totalFiles: Int?
+    let fraction: Double?
+}
+
+/// Why generation ended. `stop-sequence` comes with `GenerateResponse.stopSequence`.
+enum FinishReason: String, Codable {
+    case stop
+    case length
+    case stopSequence = "stop-sequence"
+    case cancelled
+    case error
 }
 
 struct GenerateResponse: Codable {
@@ -76,11 +193,15 @@ struct GenerateResponse: Codable {
     let text: String
     let usage: Usage?
     let timings: Timings?
+    let finishReason: FinishReason?
+    let stopSequence: String?
 
     struct Usage: Codable {
         let promptTokens: Int?
         let completionTokens: Int?
         let totalTokens: Int?
+        /// Prompt tokens served from the session's KV cache instead of being re-processed.
+        let cachedTokens: Int?
     }
 
     struct Timings: Codable {
@@ -10,6 +10,13 @@ final class MlxHostServer {
     private var listenerFD: Int32 = -1
     private var acceptSource: DispatchSourceRead?
 
+    /// Called once no client has been connected for `idleTimeout` (the shared daemon exits then).
+    var idleTimeout: TimeInterval?
+    var onIdle: (() -> Void)?
+    private let clientsLock = NSLock()
+    private var clientCount = 0
+    private var idleWork: DispatchWorkItem?
+
     private final class ConnectionContext {
         var isAuthed: Bool
         init(isAuthed: Bool) { self.isAuthed = isAuthed }
@@ -65,6 +72,7 @@ final class MlxHostServer {
             if fd >= 0 { close(fd) }
         }
         acceptSource?.resume()
+        updateClientCount(by: 0)
     }
 
     func stop() {
@@ -89,9 +97,18 @@ final class MlxHostServer {
     private func handleNewConnection(_ fd: Int32) {
         let conn = FramedJSONConnection(socketFD: fd)
         let ctx = ConnectionContext(isAuthed: authToken == nil)
+        updateClientCount(by: 1)
 
-        conn.onClose = { _ in
+        let closed = NSLock()
+        var counted = true
+        conn.onClose = { [weak self] _ in
             conn.stop()
+            closed.lock()
+            defer { closed.unlock() }
+            if counted {
+                counted = false
+                self?.updateClientCount(by: -1)
+            }
         }
 
         conn.onMessage = { [weak self] envelope in
@@ -117,6 +134,25 @@ final class MlxHostServer {
         conn.start()
     }
 
+    /// Reference count of connected clients; arms the idle timer whenever it drops to zero.
+    private func updateClientCount(by delta: Int) {
+        clientsLock.lock()
+        defer { clientsLock.unlock() }
+        clientCount += delta
+        idleWork?.cancel()
+        idleWork = nil
+        guard clientCount == 0, let idleTimeout, idleTimeout > 0, let onIdle else { return }
+        let work = DispatchWorkItem { [weak self] in
+            guard let self else { return }
+            self.clientsLock.lock()
+            let idle = self.clientCount == 0
+            self.clientsLock.unlock()
+            if idle { onIdle() }
+        }
+        idleWork = work
+        DispatchQueue.global().asyncAfter(deadline: .now() + idleTimeout, execute: work)
+    }
+
     private func handleMessage(_ envelope: RPCEnvelope, conn: FramedJSONConnection, ctx: ConnectionContext) async {
         let requestId = envelope.id ?? UUID().uuidString
 
@@ -145,10 +181,15 @@ final class MlxHostServer {
                 ctx.isAuthed = true
                 conn.send(.init(id: requestId, type: "handshake.ok", payload: .object([
                     "serverVersion": .string("0.1.0"),
+                    "protocolVersion": .string(protocolVersion),
                     "capabilities": .object([
                         "chatCompletions": .bool(true),
                         "stream": .bool(true),
-                        "download": .bool(true)
+                        "download": .bool(true),
+                        "images": .bool(true),
+                        "embeddings": .bool(true),
+                        "sessions": .bool(true),
+                        "tools": .bool(true)
                     ])
                 ])))
 
@@ -162,7 +203,18 @@ final class MlxHostServer {
                     guard let payload = envelope.payload, case .object(let obj) = payload else { return nil }
                     return obj["source"]
                 }()
-                let out = try await engine.downloadModel(source: source, modelsDir: modelsDir)
+                let out = try await engine.downloadModel(
+                    source: source,
+                    modelsDir: modelsDir
+                ) { progress in
+                    guard case .object(var obj)? = try? self.encodePayload(progress) else { return }
+                    obj["requestId"] = .string(requestId)
+                    conn.send(.init(
+                        id: requestId,
+                        type: "model.download.progress",
+                        payload: .object(obj)
+                    ))
+                }
                 conn.send(.init(id: requestId, type: "model.download.ok", payload: .object([
                     "model": .string(out.model),
                     "localPath": .string(out.localPath)
@@ -186,7 +238,12 @@ final class MlxHostServer {
 
             case "model.delete":
                 let model = try requireString(envelope.payload, key: "model")
-                try await engine.deleteModel(model: model)
+                let modelsDir: String? = {
+                    guard let payload = envelope.payload, case .object(let obj) = payload else { return nil }
+                    guard case .string(let dir)? = obj["modelsDir"] else { return nil }
+                    return dir
+                }()
+                try await engine.deleteModel(model: model, modelsDir: modelsDir)
                 conn.send(.init(id: requestId, type: "model.delete.ok", payload: .object([
                     "model": .string(model),
                     "deleted": .bool(true)
@@ -204,6 +261,15 @@ final class MlxHostServer {
                 let res = try await engine.generate(requestId: requestId, request: req)
                 conn.send(.init(id: requestId, type: "inference.generate.ok", payload: try encodePayload(res)))
 
+            case "inference.embed":
+                let req = try decodePayload(EmbedRequest.self, from: envelope.payload)
+                let res = try await engine.embed(request: req)
+                conn.send(.init(
+                    id: requestId,
+                    type: "inference.embed.ok",
+                    payload: try encodePayload(res)
+                ))
+
             case "inference.stream":
                 let req = try decodePayload(GenerateRequest.self, from: envelope.payload)
                 conn.send(.init(id: requestId, type: "inference.stream.start", payload: .object(["requestId": .string(requestId)])))
@@ -211,24 +277,32 @@ final class MlxHostServer {
                     let start = Date()
                     var ttft: TimeInterval?
                     var out = ""
-                    var chunkCount = 0
+                    var summary = GenerationSummary(
+                        promptTokens: nil, completionTokens: 0, finishReason: .stop, stopSequence: nil
+                    )
                     let stream = await engine.stream(requestId: requestId, request: req)
-                    for try await chunk in stream {
-                        if ttft == nil { ttft = Date().timeIntervalSince(start) }
-                        out += chunk
-                        chunkCount += 1
-                        conn.send(.init(id: requestId, type: "inference.stream.token", payload: .object([
-                            "requestId": .string(requestId),
-                            "text": .string(chunk)
-                        ])))
+                    for try await event in stream {
+                        switch event {
+                        case .chunk(let chunk):
+                            if ttft == nil { ttft = Date().timeIntervalSince(start) }
+                            out += chunk
+                            conn.send(.init(
+                                id: requestId,
+                                type: "inference.stream.token",
+                                payload: .object([
+                                    "requestId": .string(requestId),
+                                    "text": .string(chunk)
+                                ])
+                            ))
+                        case .finished(let s):
+                            summary = s
+                        }
                     }
-                    let total = Date().timeIntervalSince(start)
-                    let tps: Double? = total > 0 ? Double(chunkCount) / total : nil
-                    let final = GenerateResponse(
+                    let final = summary.response(
                         requestId: requestId,
                         text: out,
-                        usage: .init(promptTokens: nil, completionTokens: chunkCount, totalTokens: nil),
-                        timings: .init(ttftMs: (ttft ?? total) * 1000.0, totalMs: total * 1000.0, tokensPerSecond: tps)
+                        ttft: ttft,
+                        total: Date().timeIntervalSince(start)
                     )
                     conn.send(.init(id: requestId, type: "inference.stream.end", payload: .object([
                         "requestId": .string(requestId),
@@ -238,10 +312,18 @@ final class MlxHostServer {
                     conn.send(.init(id: requestId, type: "inference.stream.error", payload: .object([
                         "requestId": .string(requestId),
                         "message": .string(error.localizedDescription),
-                        "code": .string("stream_error")
+                        "code": .string((error as? HostError)?.code ?? "stream_error")
                     ])))
                 }
 
+            case "session.close":
+                let id = try requireString(envelope.payload, key: "sessionId")
+                let closed = await engine.closeSession(sessionId: id)
+                conn.send(.init(id: requestId, type: "session.close.ok", payload: .object([
+                    "sessionId": .string(id),
+                    "closed": .bool(closed)
+                ])))
+
             case "inference.cancel":
                 let id = try requireString(envelope.payload, key: "requestId")
                 await engine.cancel(requestId: id)
@@ -259,6 +341,8 @@ final class MlxHostServer {
             default:
                 sendError("unknown_type", "Unknown message type: \(envelope.type)")
             }
+        } catch let error as HostError {
+            sendError(error.code, error.message)
         } catch {
             sendError("bad_request", error.localizedDescription)
         }
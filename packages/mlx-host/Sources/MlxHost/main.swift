@@ -22,6 +22,26 @@ print("mlx-host device: \(devicePref == "cpu" ? "cpu" : "gpu")")
 
 let server = MlxHostServer(socketPath: socketPath, authToken: authToken, engine: MLXSwiftEngine(device: device))
 
+// Shared daemon mode: exit once no client has been connected for this long.
+if let raw = ProcessInfo.processInfo.environment["MLX_HOST_IDLE_TIMEOUT_MS"],
+   let ms = Double(raw), ms > 0 {
+    server.idleTimeout = ms / 1000
+    server.onIdle = {
+        print("mlx-host idle for \(Int(ms))ms without clients, exiting")
+        server.stop()
+        exit(0)
+    }
+}
+
+// Remove the socket on `kill` / `mlx-ts daemon stop`.
+signal(SIGTERM, SIG_IGN)
+let sigterm = DispatchSource.makeSignalSource(signal: SIGTERM, queue: .main)
+sigterm.setEventHandler {
+    server.stop()
+    exit(0)
+}
+sigterm.resume()
+
 do {
     try server.start()
     print("mlx-host listening on \(socketPath)")
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+// Wrapper entrypoint so npm doesn't strip the bin mapping.
+import "../scripts/mock-host.mjs";
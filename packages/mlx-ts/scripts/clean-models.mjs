@@ -55,6 +55,7 @@ Notes:
     - default OS cache dir (current mlx-ts default)
     - legacy temp dir (older versions)
   - Set MLX_MODELS_DIR to control where models are cached.
+  - To delete single models, use \`mlx-ts rm <model>\` or \`mlx-ts gc\`.
 `);
 }
 
@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import readline from "node:readline";
+
+import {
+  MlxClient,
+  ModelCache,
+  createOpenAICompatibleServer,
+  daemonStatus,
+  getBundledMlxHostPath,
+  getDaemonPaths,
+  getDefaultModelsDir,
+  startDaemon,
+  stopDaemon,
+} from "../dist/index.js";
+
+// Flags that never take a value, so `--json <model>` doesn't swallow the model.
+const SWITCHES = new Set(["json", "quiet", "verbose", "help", "dry-run", "shared"]);
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args._.push(a);
+      continue;
+    }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--") || SWITCHES.has(key)) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.log(`mlx-ts
+
+Usage:
+  mlx-ts pull <repo> [--revision <rev>]
+  mlx-ts ls
+  mlx-ts rm <model>
+  mlx-ts run <model> [prompt] [--system <prompt>] [--maxTokens <n>] [--temperature <t>]
+  mlx-ts chat <model> [--system <prompt>] [--maxTokens <n>] [--temperature <t>]
+  mlx-ts gc [--maxSize <size, e.g. 40GB>] [--dry-run]
+  mlx-ts serve [--port 3755] [--host 127.0.0.1] [--model <default model>] [--allowRemoteImages]
+  mlx-ts batch --model <model> [--in prompts.jsonl] [--out results.jsonl] [--concurrency 4]
+               [--maxTokens <n>] [--temperature <t>] [--system <prompt>]
+  mlx-ts daemon start [--idleTimeout <ms>] | stop | status
+
+Common options: [--modelsDir <dir>] [--hostPath <mlx-host>] [--shared] [--json] [--quiet] [--verbose]
+
+Commands:
+  pull    Download a Hugging Face model into the models dir
+  ls      Downloaded models (size on disk, revision, last use, broken downloads) and the ones
+          loaded in the host
+  rm      Delete a downloaded model (model.delete)
+  run     Stream one completion for the prompt (read from stdin when omitted)
+  chat    Interactive chat; the conversation reuses the host's prompt cache. /reset, /exit
+  gc      Delete broken downloads, then least recently used models until the models
+          dir fits in --maxSize. Models loaded in the shared daemon are kept; doesn't
+          start the host.
+  serve   OpenAI-compatible HTTP server (/v1/chat/completions, /v1/completions, /v1/embeddings,
+          /v1/models) with the Anthropic Messages API at /v1/messages
+  batch   Run JSONL prompts (one per line: "text", { "prompt" } or { "messages" }, optionally
+          with "model", "maxTokens", "stop", "sampling") and write one JSONL result per line
+          ({ index, ok, response | error }). Reads stdin without --in, writes stdout without
+          --out. Re-running with the same --out resumes: succeeded lines are skipped.
+  daemon  Shared mlx-host for all processes of this user (loaded models are shared too).
+          It stops after --idleTimeout ms without clients (default 10 minutes, 0 = never).
+
+  --shared makes a command use the shared daemon (starting it if needed) instead of its
+  own mlx-host, e.g. so \`mlx-ts run --shared\` doesn't reload a model another tool has loaded.
+
+  --json prints machine-readable output (pull, ls, rm, run, gc). mlx-host logs are only shown
+  by serve and batch (unless --quiet), and by the other commands with --verbose.
+
+Environment:
+  MLX_HOST_BIN     mlx-host binary (default: bundled)
+  MLX_MODELS_DIR   models cache (default: per-user OS cache dir)
+  MLX_MODEL        default model for requests without "model"
+`);
+}
+
+function createClient(args, { inheritStdio = !args.quiet } = {}) {
+  const hostPath = args.hostPath ?? process.env.MLX_HOST_BIN ?? getBundledMlxHostPath();
+  if (!hostPath) {
+    throw new Error("mlx-ts: mlx-host binary not found. Pass --hostPath or set MLX_HOST_BIN.");
+  }
+  return new MlxClient({ hostPath, inheritStdio, reconnect: true, shared: Boolean(args.shared) });
+}
+
+/** For the model management commands: host logs would mix with their output. */
+function createQuietClient(args) {
+  return createClient(args, { inheritStdio: Boolean(args.verbose) });
+}
+
+function modelsDirFrom(args) {
+  return String(args.modelsDir ?? process.env.MLX_MODELS_DIR ?? "").trim() || getDefaultModelsDir();
+}
+
+async function serve(args) {
+  const port = Number(args.port ?? process.env.PORT ?? "3755");
+  const host = String(args.host ?? "127.0.0.1");
+  const defaultModel = String(args.model ?? process.env.MLX_MODEL ?? "").trim() || undefined;
+
+  const client = createClient(args);
+  const server = createOpenAICompatibleServer({
+    client,
+    modelsDir: modelsDirFrom(args),
+    defaultModel,
+    allowRemoteImages: Boolean(args.allowRemoteImages),
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  console.log(`mlx-ts serving OpenAI-compatible API on http://${host}:${port}/v1`);
+  if (defaultModel) console.log(`Default model: ${defaultModel}`);
+
+  const shutdown = () => {
+    server.close();
+    void client.close().finally(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+async function readJsonl(file) {
+  const input = file && file !== "-" ? fs.createReadStream(file) : process.stdin;
+  const rows = [];
+  let n = 0;
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    n++;
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`${file ?? "stdin"}:${n}: invalid JSON (${err.message})`);
+    }
+  }
+  return rows;
+}
+
+function toBatchRequest(row, args) {
+  const messages =
+    typeof row === "string"
+      ? [{ role: "user", content: row }]
+      : (row.messages ?? [{ role: "user", content: String(row.prompt ?? "") }]);
+  if (args.system && messages[0]?.role !== "system") messages.unshift({ role: "system", content: String(args.system) });
+  const model = row.model ?? args.model ?? process.env.MLX_MODEL;
+  if (!model) throw new Error('mlx-ts batch: no model (pass --model or set "model" per line)');
+  const temperature = args.temperature != null ? Number(args.temperature) : undefined;
+  return {
+    model,
+    messages,
+    maxTokens: row.maxTokens ?? (args.maxTokens != null ? Number(args.maxTokens) : undefined),
+    stop: row.stop,
+    sampling: { ...(temperature != null ? { temperature } : {}), ...row.sampling },
+  };
+}
+
+async function batch(args) {
+  const requests = (await readJsonl(args.in)).map((row) => toBatchRequest(row, args));
+  const client = createClient(args);
+  const abort = new AbortController();
+  process.on("SIGINT", () => abort.abort());
+
+  try {
+    await client.connect();
+    for (const model of new Set(requests.map((r) => r.model))) await prepare(client, args, model);
+
+    let done = 0;
+    const { stats } = await client.generateBatch(requests, {
+      concurrency: Number(args.concurrency ?? 4),
+      checkpoint: args.out,
+      signal: abort.signal,
+      onResult(result) {
+        if (!args.out) process.stdout.write(JSON.stringify(result) + "\n");
+        done++;
+        if (!args.quiet) process.stderr.write(`\r${done} done`);
+      },
+    });
+    if (!args.quiet) process.stderr.write("\n");
+    console.error(JSON.stringify(stats, null, 2));
+    if (stats.failed > 0) process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+/** Downloads (a no-op when cached) and loads `model`; loading records the use for `gc`. */
+async function prepare(client, args, model) {
+  await client.downloadModel({ kind: "huggingface", repo: model }, { modelsDir: modelsDirFrom(args) });
+  await client.loadModel(model, { modelsDir: modelsDirFrom(args) });
+}
+
+async function pull(args) {
+  const repo = args._[1];
+  if (!repo) throw new Error("mlx-ts pull: missing <repo>");
+  const source = { kind: "huggingface", repo, ...(args.revision ? { revision: String(args.revision) } : {}) };
+  const client = createQuietClient(args);
+  try {
+    await client.connect();
+    for await (const ev of client.downloadModelEvents(source, { modelsDir: modelsDirFrom(args) })) {
+      if (ev.type === "progress") {
+        if (!args.quiet && !args.json) process.stderr.write(`\r${formatProgress(ev.progress)}`);
+        continue;
+      }
+      if (args.json) console.log(JSON.stringify({ model: ev.model, localPath: ev.localPath }));
+      else console.log(`${args.quiet ? "" : "\n"}${ev.model} -> ${ev.localPath}`);
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+async function ls(args) {
+  const client = createQuietClient(args);
+  let listed;
+  try {
+    await client.connect();
+    listed = await client.listModels();
+  } finally {
+    await client.close();
+  }
+
+  const onDisk = new ModelCache(modelsDirFrom(args)).list();
+  const byModel = new Map(onDisk.map((s) => [s.model, s]));
+  // `local:` models and models downloaded to another dir are only known to the host.
+  for (const model of [...listed.cached, ...listed.loaded]) {
+    if (!byModel.has(model)) byModel.set(model, { model });
+  }
+  const rows = [...byModel.values()]
+    .sort((a, b) => a.model.localeCompare(b.model))
+    .map((s) => ({ ...s, loaded: listed.loaded.includes(s.model) }));
+
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log(`No models in ${modelsDirFrom(args)}`);
+    return;
+  }
+  printTable(
+    ["MODEL", "SIZE", "REVISION", "LAST USED", "STATUS"],
+    rows.map((r) => [
+      r.model,
+      r.sizeBytes != null ? formatBytes(r.sizeBytes) : "-",
+      r.revision?.slice(0, 12) ?? "-",
+      r.lastUsedAt?.toISOString().slice(0, 19).replace("T", " ") ?? "-",
+      [r.loaded && "loaded", r.integrity && r.integrity !== "ok" && r.integrity].filter(Boolean).join(", ") || "cached",
+    ])
+  );
+}
+
+async function rm(args) {
+  const model = args._[1];
+  if (!model) throw new Error("mlx-ts rm: missing <model>");
+  const client = createQuietClient(args);
+  try {
+    await client.connect();
+    const res = await client.deleteModel(model, { modelsDir: modelsDirFrom(args) });
+    console.log(args.json ? JSON.stringify(res) : `Deleted ${model}`);
+  } finally {
+    await client.close();
+  }
+}
+
+/** `system`, `maxTokens` and `temperature` flags as request fields. */
+function requestOptions(args) {
+  const temperature = args.temperature != null ? Number(args.temperature) : undefined;
+  return {
+    maxTokens: args.maxTokens != null ? Number(args.maxTokens) : undefined,
+    sampling: temperature != null ? { temperature } : undefined,
+  };
+}
+
+function systemMessages(args) {
+  return args.system ? [{ role: "system", content: String(args.system) }] : [];
+}
+
+async function readStdin() {
+  let text = "";
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+async function run(args) {
+  const model = args._[1];
+  if (!model) throw new Error("mlx-ts run: missing <model>");
+  const prompt = args._.slice(2).join(" ") || (process.stdin.isTTY ? "" : await readStdin());
+  if (!prompt.trim()) throw new Error("mlx-ts run: missing prompt (pass it after the model or on stdin)");
+
+  const req = { model, messages: [...systemMessages(args), { role: "user", content: prompt }], ...requestOptions(args) };
+  const client = createQuietClient(args);
+  const abort = new AbortController();
+  process.on("SIGINT", () => abort.abort());
+
+  try {
+    await client.connect();
+    await prepare(client, args, model);
+    if (args.json) {
+      console.log(JSON.stringify(await client.generate(req, { signal: abort.signal }), null, 2));
+      return;
+    }
+    for await (const ev of client.stream(req, { signal: abort.signal })) {
+      if (ev.type === "token") process.stdout.write(ev.text);
+      if (ev.type === "end") process.stdout.write("\n");
+      // Ctrl-C ends the stream with a `cancelled` error; that's not a failure.
+      if (ev.type === "error" && !abort.signal.aborted) throw streamError(ev);
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+async function chat(args) {
+  const model = args._[1];
+  if (!model) throw new Error("mlx-ts chat: missing <model>");
+  const client = createQuietClient(args);
+
+  try {
+    await client.connect();
+    await prepare(client, args, model);
+    const session = client.session(model);
+    let messages = systemMessages(args);
+    let turn;
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "> " });
+    // Ctrl-C stops the reply being generated; at the prompt it exits.
+    rl.on("SIGINT", () => (turn ? turn.abort() : rl.close()));
+    console.log(`Chatting with ${model}. /reset starts over, /exit quits.`);
+    rl.prompt();
+
+    for await (const line of rl) {
+      const text = line.trim();
+      if (text === "/exit" || text === "/quit") break;
+      if (text === "/reset") {
+        messages = systemMessages(args);
+        await session.close();
+      } else if (text) {
+        messages.push({ role: "user", content: text });
+        turn = new AbortController();
+        let reply = "";
+        try {
+          for await (const ev of session.stream({ messages, ...requestOptions(args) }, { signal: turn.signal })) {
+            if (ev.type === "error") throw streamError(ev);
+            if (ev.type !== "token") continue;
+            reply += ev.text;
+            process.stdout.write(ev.text);
+          }
+        } catch (err) {
+          if (!turn.signal.aborted) {
+            console.error(`\nerror: ${err?.message ?? err}`);
+            process.exitCode = 1;
+          }
+        }
+        turn = undefined;
+        process.stdout.write("\n");
+        // An interrupted reply is kept: the model sees what the user saw.
+        if (reply) messages.push({ role: "assistant", content: reply });
+        else messages.pop();
+      }
+      rl.prompt();
+    }
+    rl.close();
+  } finally {
+    await client.close();
+  }
+}
+
+/** A stream's `error` event as an error (`client.stream` reports failures as events). */
+function streamError(ev) {
+  return Object.assign(new Error(ev.message), { code: ev.code });
+}
+
+async function gc(args) {
+  const cache = new ModelCache(modelsDirFrom(args));
+  const maxBytes = args.maxSize != null ? parseSize(String(args.maxSize)) : Infinity;
+  const victims = cache.planEviction(maxBytes, { keep: await sharedDaemonLoadedModels(args) });
+  const freedBytes = victims.reduce((n, v) => n + v.sizeBytes, 0);
+  const remainingBytes = cache.totalBytes() - freedBytes;
+  const reasonOf = (v) => (v.integrity === "ok" ? "lru" : v.integrity);
+
+  for (const v of victims) {
+    if (!args["dry-run"]) cache.remove(v.model);
+    if (!args.json) {
+      console.log(`${args["dry-run"] ? "would delete" : "deleted"} ${v.model} (${formatBytes(v.sizeBytes)}, ${reasonOf(v)})`);
+    }
+  }
+  if (args.json) {
+    const removed = victims.map((v) => ({ model: v.model, path: v.path, sizeBytes: v.sizeBytes, reason: reasonOf(v) }));
+    console.log(JSON.stringify({ dryRun: Boolean(args["dry-run"]), removed, freedBytes, remainingBytes }, null, 2));
+  } else {
+    console.log(`${formatBytes(freedBytes)} freed, ${formatBytes(remainingBytes)} left in ${cache.modelsDir}`);
+  }
+}
+
+/** Models loaded in the shared daemon, which outlives commands; without one nothing is loaded. */
+async function sharedDaemonLoadedModels(args) {
+  if (!(await daemonStatus()).running) return [];
+  const client = createQuietClient({ ...args, shared: true });
+  try {
+    await client.connect();
+    return (await client.listModels()).loaded;
+  } finally {
+    await client.close();
+  }
+}
+
+const UNITS = ["B", "KB", "MB", "GB", "TB"];
+
+async function daemon(args) {
+  const action = args._[1] ?? "status";
+  const paths = getDaemonPaths();
+
+  if (action === "start") {
+    const hostPath = args.hostPath ?? process.env.MLX_HOST_BIN ?? getBundledMlxHostPath();
+    const idleTimeoutMs = args.idleTimeout != null ? Number(args.idleTimeout) : undefined;
+    const { info, started } = await startDaemon({ hostPath, idleTimeoutMs });
+    if (args.json) console.log(JSON.stringify({ ...info, started }));
+    else console.log(`${started ? "Started" : "Already running:"} mlx-host daemon (pid ${info.pid}) on ${info.socketPath}`);
+    return;
+  }
+  if (action === "stop") {
+    const stopped = await stopDaemon();
+    if (args.json) console.log(JSON.stringify({ stopped }));
+    else console.log(stopped ? "Stopped the mlx-host daemon" : "No mlx-host daemon running");
+    return;
+  }
+  if (action === "status") {
+    const status = await daemonStatus();
+    if (args.json) console.log(JSON.stringify({ ...status, logPath: paths.logPath }));
+    else if (status.running) console.log(`Running (pid ${status.info.pid}, since ${status.info.startedAt}) on ${status.info.socketPath}\nLog: ${paths.logPath}`);
+    else console.log(`Not running${status.stale ? " (stale lockfile/socket left behind; cleaned up on next start)" : ""}`);
+    if (!status.running) process.exitCode = 3;
+    return;
+  }
+  throw new Error(`mlx-ts daemon: unknown action '${action}' (start, stop or status)`);
+}
+
+function formatBytes(n) {
+  let i = 0;
+  while (n >= 1024 && i < UNITS.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${i === 0 ? n : n.toFixed(1)} ${UNITS[i]}`;
+}
+
+/** "40GB", "512 MiB", "1.5t" or plain bytes; units are powers of 1024. */
+function parseSize(text) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?\s*$/i.exec(text);
+  if (!m) throw new Error(`mlx-ts: invalid size '${text}' (e.g. 40GB)`);
+  return Math.floor(Number(m[1]) * 1024 ** " kmgt".indexOf(m[2].toLowerCase() || " "));
+}
+
+function formatProgress(p) {
+  const pct = p.fraction != null ? `${(p.fraction * 100).toFixed(1)}%` : "";
+  const files = p.totalFiles != null ? `${p.filesCompleted ?? 0}/${p.totalFiles} files` : "";
+  return [`Downloading ${p.model}`, pct, files, p.currentFile ?? ""].filter(Boolean).join("  ");
+}
+
+function printTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => String(r[i]).length)));
+  for (const r of [header, ...rows]) console.log(r.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd());
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command] = args._;
+
+  if (!command || args.help || command === "help") {
+    usage();
+    return;
+  }
+
+  switch (command) {
+    case "pull":
+      return pull(args);
+    case "ls":
+      return ls(args);
+    case "rm":
+      return rm(args);
+    case "run":
+      return run(args);
+    case "chat":
+      return chat(args);
+    case "gc":
+      return gc(args);
+    case "daemon":
+      return daemon(args);
+    case "serve":
+      return serve(args);
+    case "batch":
+      return batch(args);
+    default:
+      console.error(`Unknown command: ${command}`);
+      usage();
+      process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error("mlx-ts failed:", err?.message ?? err);
+  process.exit(1);
+});
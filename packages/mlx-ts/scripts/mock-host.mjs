@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Drop-in stand-in for the Swift `mlx-host` binary (usable as `hostPath`).
+//
+// Accepts the same `--socket` / MLX_HOST_SOCKET_PATH / MLX_HOST_AUTH_TOKEN /
+// MLX_HOST_IDLE_TIMEOUT_MS inputs as the real host. Scripted behaviour (replies, latency, injected errors, ...) comes from
+// `--config <file>` or MLX_MOCK_HOST_CONFIG (inline JSON or a path to a JSON file) and
+// maps onto `MockMlxHostOptions`.
+import fs from "node:fs";
+
+import { MockMlxHost } from "../dist/index.js";
+
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const idx = args.indexOf(name);
+  return idx >= 0 && idx + 1 < args.length ? args[idx + 1] : undefined;
+}
+
+function loadConfig() {
+  const raw = getArg("--config") ?? process.env.MLX_MOCK_HOST_CONFIG;
+  if (!raw || !raw.trim()) return {};
+  const text = raw.trim().startsWith("{") ? raw : fs.readFileSync(raw, "utf8");
+  return JSON.parse(text);
+}
+
+async function main() {
+  const socketPath =
+    getArg("--socket") ??
+    process.env.MLX_HOST_SOCKET_PATH ??
+    "/tmp/mlx-host.sock";
+  const authToken = process.env.MLX_HOST_AUTH_TOKEN;
+  const idleTimeoutMs = Number(process.env.MLX_HOST_IDLE_TIMEOUT_MS ?? 0);
+
+  const shutdown = () => {
+    host.close().finally(() => process.exit(0));
+  };
+
+  const host = new MockMlxHost({
+    ...loadConfig(),
+    socketPath,
+    ...(authToken ? { authToken } : {}),
+    ...(idleTimeoutMs > 0 ? { idleTimeoutMs, onIdle: shutdown } : {}),
+  });
+
+  await host.start();
+  console.log(`mlx-host (mock) listening on ${socketPath}`);
+
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+}
+
+main().catch((err) => {
+  console.error("mlx-host (mock) failed:", err);
+  process.exit(1);
+});
@@ -1,9 +1,10 @@
 #!/usr/bin/env node
-import http from "node:http";
-import { URL } from "node:url";
-
-import { generateText, streamText } from "ai";
-import { createMlxProvider } from "../dist/index.js";
+import {
+  MlxClient,
+  createOpenAICompatibleServer,
+  getBundledMlxHostPath,
+  getDefaultModelsDir,
+} from "../dist/index.js";
 
 function parseArgs(argv) {
   const args = {};
@@ -22,48 +23,6 @@ function parseArgs(argv) {
   return args;
 }
 
-function json(res, status, obj) {
-  const body = JSON.stringify(obj);
-  res.writeHead(status, {
-    "content-type": "application/json; charset=utf-8",
-    "content-length": Buffer.byteLength(body),
-  });
-  res.end(body);
-}
-
-function readJson(req) {
-  return new Promise((resolve, reject) => {
-    let buf = "";
-    req.setEncoding("utf8");
-    req.on("data", (chunk) => (buf += chunk));
-    req.on("end", () => {
-      if (!buf) return resolve({});
-      try {
-        resolve(JSON.parse(buf));
-      } catch (e) {
-        reject(e);
-      }
-    });
-    req.on("error", reject);
-  });
-}
-
-function sseHeaders(res) {
-  res.writeHead(200, {
-    "content-type": "text/event-stream; charset=utf-8",
-    "cache-control": "no-cache",
-    connection: "keep-alive",
-  });
-}
-
-function sseWrite(res, data) {
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
-}
-
-function nowUnix() {
-  return Math.floor(Date.now() / 1000);
-}
-
 async function main() {
   const args = parseArgs(process.argv.slice(2));
 
@@ -107,119 +66,18 @@ async function main() {
     return;
   }
 
-  const mlx = createMlxProvider({
-    model: modelId,
-    modelsDir: modelsDir || undefined,
-    hostPath: hostPath || undefined,
-  });
-  const model = mlx.languageModel(modelId);
-
-  const server = http.createServer(async (req, res) => {
-    try {
-      const url = new URL(req.url ?? "/", "http://127.0.0.1");
-      // Basic CORS (harmless; helps if a UI ever hits this).
-      res.setHeader("access-control-allow-origin", "*");
-      res.setHeader("access-control-allow-methods", "GET,POST,OPTIONS");
-      res.setHeader(
-        "access-control-allow-headers",
-        "content-type,authorization"
-      );
-      if (req.method === "OPTIONS") return res.end();
-
-      if (req.method === "GET" && url.pathname === "/health") {
-        return json(res, 200, { ok: true, modelId });
-      }
-
-      if (req.method === "GET" && url.pathname === "/v1/models") {
-        return json(res, 200, {
-          object: "list",
-          data: [
-            {
-              id: modelId,
-              object: "model",
-              created: nowUnix(),
-              owned_by: "mlx-ts",
-            },
-          ],
-        });
-      }
-
-      if (req.method === "POST" && url.pathname === "/v1/chat/completions") {
-        const body = await readJson(req);
-        const {
-          messages = [],
-          stream = false,
-          model: reqModel,
-          temperature,
-          top_p,
-          max_tokens,
-        } = body ?? {};
-
-        // Enforce single-model server to avoid surprise reinitializations.
-        if (reqModel && reqModel !== modelId) {
-          return json(res, 400, {
-            error: {
-              message: `mlx-ts-opencode: server is configured for model '${modelId}', got '${reqModel}'`,
-              type: "invalid_request_error",
-            },
-          });
-        }
-
-        if (!stream) {
-          const out = await generateText({
-            model,
-            messages,
-            temperature,
-            topP: top_p,
-            maxTokens: max_tokens,
-          });
-
-          return json(res, 200, {
-            id: `mlx_${Date.now()}`,
-            object: "chat.completion",
-            created: nowUnix(),
-            model: modelId,
-            choices: [
-              {
-                index: 0,
-                message: { role: "assistant", content: out.text },
-                finish_reason: "stop",
-              },
-            ],
-          });
-        }
-
-        sseHeaders(res);
-        const s = await streamText({
-          model,
-          messages,
-          temperature,
-          topP: top_p,
-          maxTokens: max_tokens,
-        });
-
-        for await (const chunk of s.textStream) {
-          sseWrite(res, {
-            id: `mlx_${Date.now()}`,
-            object: "chat.completion.chunk",
-            created: nowUnix(),
-            model: modelId,
-            choices: [
-              { index: 0, delta: { content: chunk }, finish_reason: null },
-            ],
-          });
-        }
-
-        res.write("data: [DONE]\n\n");
-        return res.end();
-      }
-
-      return json(res, 404, { error: { message: "not found" } });
-    } catch (err) {
-      return json(res, 500, {
-        error: { message: err?.message ?? String(err), type: "internal_error" },
-      });
-    }
+  const resolvedHostPath = hostPath || getBundledMlxHostPath();
+  if (!resolvedHostPath) {
+    throw new Error("mlx-host binary not found. Pass --hostPath or set MLX_HOST_BIN.");
+  }
+  const client = new MlxClient({ hostPath: resolvedHostPath, inheritStdio: true, reconnect: true });
+
+  // OpenCode sends the config's model key; map it (and requests without a model) to the MLX repo.
+  const server = createOpenAICompatibleServer({
+    client,
+    modelsDir: modelsDir || getDefaultModelsDir(),
+    defaultModel: modelId,
+    modelAliases: { [modelKey]: modelId },
   });
 
   server.listen(PORT, "127.0.0.1", () => {
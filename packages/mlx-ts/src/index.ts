@@ -2,13 +2,22 @@ import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 
-import { createMlxAiSdkProvider } from "./aiSdk.js";
+import { createMlxAiSdkProvider } from "@mlx-ts/core";
+import type { DownloadProgress, MlxClientOptions, MlxEmbeddingSettings, MlxModelSettings } from "@mlx-ts/core";
+
+export * from "@mlx-ts/core";
+export { createOpenAICompatibleServer } from "./openaiServer.js";
+export type { OpenAICompatibleServerOptions } from "./openaiServer.js";
+export { MockMlxHost, getMockMlxHostPath } from "./mockHost.js";
+export type { MockError, MockMlxHostOptions, MockReply, MockReplyFn } from "./mockHost.js";
 
 export type CreateMlxProviderOptions = {
   /**
-   * Hugging Face repo id (e.g. "mlx-community/Llama-3.2-3B-Instruct-4bit")
+   * Hugging Face repo id (e.g. "mlx-community/Llama-3.2-3B-Instruct-4bit") used when
+   * `languageModel()` is called without one. Any other model id works too; all models
+   * share one mlx-host.
    */
-  model: string;
+  model?: string;
 
   /**
    * Where to download/cache models.
@@ -33,6 +42,51 @@ export type CreateMlxProviderOptions = {
    * Default: true (matches your UX requirement).
    */
   inheritStdio?: boolean;
+
+  /**
+   * Structured download progress for first-use model downloads (e.g. to drive a progress bar
+   * with `inheritStdio: false`).
+   */
+  onDownloadProgress?: (progress: DownloadProgress) => void;
+
+  /**
+   * Default timeout (ms) for every mlx-host RPC. Unset = wait forever.
+   * Note this also bounds the first-run model download.
+   */
+  requestTimeoutMs?: number;
+
+  /**
+   * Respawn mlx-host (and re-load the model) if it crashes.
+   * Subscribe to `provider.client.on("hostExit" | "respawned" | ...)` to log it.
+   */
+  reconnect?: MlxClientOptions["reconnect"];
+
+  /**
+   * Keep at most this many models in memory; the least recently used idle one is unloaded
+   * before another is loaded. Default: unlimited.
+   */
+  maxLoadedModels?: number;
+
+  /** Per-model concurrency limit and queue (see `MlxClientOptions.scheduler`). */
+  scheduler?: MlxClientOptions["scheduler"];
+
+  /**
+   * Keep `modelsDir` under this many bytes by deleting the least recently used models before
+   * a new one is downloaded (see `MlxClientOptions.maxCacheBytes`). Default: unlimited.
+   */
+  maxCacheBytes?: number;
+
+  /**
+   * Share one long-lived mlx-host (and its loaded models) with other processes of this user
+   * instead of spawning a private one (see `MlxClientOptions.shared`).
+   */
+  shared?: MlxClientOptions["shared"];
+
+  /**
+   * RPC hooks for logging, tracing or metrics, e.g. `createOpenTelemetryInstrumentation(tracer)`
+   * (see `MlxClientOptions.instrumentation`).
+   */
+  instrumentation?: MlxClientOptions["instrumentation"];
 };
 
 export function getBundledMlxHostPath(): string | undefined {
@@ -42,7 +96,8 @@ export function getBundledMlxHostPath(): string | undefined {
   return fs.existsSync(p) ? p : undefined;
 }
 
-function defaultModelsDir(): string {
+/** Persistent per-user models cache used when neither `modelsDir` nor `MLX_MODELS_DIR` is set. */
+export function getDefaultModelsDir(): string {
   const home = os.homedir() || os.tmpdir();
 
   if (process.platform === "darwin") {
@@ -68,7 +123,7 @@ function resolveModelsDir(opts: CreateMlxProviderOptions): string {
   const fromEnv = process.env.MLX_MODELS_DIR?.trim();
   if (fromEnv) return fromEnv;
 
-  return defaultModelsDir();
+  return getDefaultModelsDir();
 }
 
 /**
@@ -76,7 +131,7 @@ function resolveModelsDir(opts: CreateMlxProviderOptions): string {
  *   const mlx = createMlxProvider({ model: "mlx-community/..." })
  *   const model = mlx.languageModel("mlx-community/...")
  *
- * Note: AI SDK expects the provider to be a factory of models. We scope it to one modelId.
+ * Every model id shares the same host; models are downloaded + loaded on first use.
  */
 export function createMlxProvider(opts: CreateMlxProviderOptions) {
   const modelsDir = resolveModelsDir(opts);
@@ -93,22 +148,29 @@ export function createMlxProvider(opts: CreateMlxProviderOptions) {
   const provider = createMlxAiSdkProvider({
     hostPath,
     inheritStdio: opts.inheritStdio ?? true,
+    requestTimeoutMs: opts.requestTimeoutMs,
+    reconnect: opts.reconnect,
+    scheduler: opts.scheduler,
+    maxLoadedModels: opts.maxLoadedModels,
+    maxCacheBytes: opts.maxCacheBytes,
+    shared: opts.shared,
+    instrumentation: opts.instrumentation,
+    onDownloadProgress: opts.onDownloadProgress,
     modelsDir,
     autoPrepareModel: true,
   });
 
-  // We return a ProviderV1 that only supports this one modelId.
   return {
-    languageModel(modelId: string) {
-      if (modelId !== opts.model) {
-        throw new Error(
-          `mlx-ts: this provider instance is configured for model '${opts.model}', got '${modelId}'.`
-        );
+    client: provider.client,
+    languageModel(modelId?: string, settings?: MlxModelSettings) {
+      const id = modelId?.trim() || opts.model;
+      if (!id) {
+        throw new Error("mlx-ts: no model id given and no default { model } configured.");
       }
-      return provider.languageModel(modelId);
+      return provider.languageModel(id, settings);
     },
-    textEmbeddingModel() {
-      throw new Error("mlx-ts: embeddings not supported");
+    textEmbeddingModel(modelId: string, settings?: MlxEmbeddingSettings) {
+      return provider.textEmbeddingModel(modelId, settings);
     },
   };
 }
@@ -0,0 +1,551 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+
+import { PROTOCOL_VERSION, createFrameDecoder, encodeFrame } from "@mlx-ts/core";
+import type { ChatMessage, FinishReason, GenerateRequest, GenerateResponse, RPCEnvelope } from "@mlx-ts/core";
+
+export type MockError = { code: string; message: string };
+
+export type MockReply = {
+  text: string;
+  usage?: GenerateResponse["usage"];
+  /** Fail the request with this error instead of answering. */
+  error?: MockError;
+  /** Emit this many token chunks, then fail the stream/generation with `stream_error`. */
+  failAfterTokens?: number;
+};
+
+export type MockReplyFn = (req: GenerateRequest) => string | MockReply | Promise<string | MockReply>;
+
+export type MockMlxHostOptions = {
+  /** Unix socket to listen on. */
+  socketPath: string;
+  /** When set, clients must `handshake` with this token first (same as `MLX_HOST_AUTH_TOKEN`). */
+  authToken?: string;
+  serverVersion?: string;
+  /** Sent in `handshake.ok`. Default: `PROTOCOL_VERSION`. */
+  protocolVersion?: string;
+  /** Replaces the advertised capabilities (default: everything); set a flag to `false` to test feature gating. */
+  capabilities?: Record<string, unknown>;
+  /** Models that are already "downloaded" when the host starts. */
+  cachedModels?: string[];
+  /** If set, `model.download`/`model.load` fail for any model not in this list. */
+  availableModels?: string[];
+  /**
+   * What inference requests answer with. A function wins over `replies[model]`,
+   * which wins over a plain string. Default: echo the last user message.
+   */
+  reply?: string | MockReplyFn;
+  replies?: Record<string, string | MockReply>;
+  /** Delay before answering any RPC. */
+  latencyMs?: number;
+  /** Delay between token chunks. */
+  tokenLatencyMs?: number;
+  /** Delay per prompt token that isn't in the session cache, before the first chunk (simulated prefill). */
+  prefillLatencyMs?: number;
+  /**
+   * Files a Hugging Face `model.download` of an uncached model "fetches"; each produces
+   * `model.download.progress` frames. Default: a config, tokenizer and one weights file.
+   */
+  downloadFiles?: Array<{ name: string; bytes: number }>;
+  /** Length of the deterministic (text-hash based) vectors `inference.embed` returns. Default: 8. */
+  embeddingDimensions?: number;
+  /** Delay between download progress frames. */
+  downloadLatencyMs?: number;
+  /** Fixed chunk width in characters. Default: one chunk per word (whitespace kept). */
+  chunkSize?: number;
+  /** Custom tokenizer; overrides `chunkSize`. */
+  chunk?: (text: string) => string[];
+  /** Fail every request of a given `type` (e.g. `"model.download"`) with this error. */
+  errors?: Partial<Record<string, MockError>>;
+  /** Call `onIdle` once no client has been connected for this long (`MLX_HOST_IDLE_TIMEOUT_MS`). */
+  idleTimeoutMs?: number;
+  onIdle?: () => void;
+};
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+const DEFAULT_DOWNLOAD_FILES = [
+  { name: "config.json", bytes: 1_024 },
+  { name: "tokenizer.json", bytes: 2_048 },
+  { name: "model.safetensors", bytes: 1_048_576 },
+];
+
+function defaultChunk(text: string): string[] {
+  return text.match(/\s*\S+\s*|\s+/g) ?? [];
+}
+
+/**
+ * Node implementation of the `mlx-host` side of the wire protocol.
+ *
+ * Speaks the same framed JSON over a unix socket as the Swift host, so `MlxClient`
+ * (and everything built on it) can be exercised on machines without MLX.
+ */
+export class MockMlxHost {
+  readonly socketPath: string;
+  /** Every envelope received, in order (handy for assertions). */
+  readonly received: RPCEnvelope[] = [];
+
+  private readonly opts: MockMlxHostOptions;
+  private server?: net.Server;
+  private sockets = new Set<net.Socket>();
+  private idleTimer?: ReturnType<typeof setTimeout>;
+  private cached = new Map<string, string>();
+  private loaded = new Set<string>();
+  private cancelled = new Set<string>();
+  private sessions = new Map<string, { model: string; tokens: string[] }>();
+
+  constructor(opts: MockMlxHostOptions) {
+    this.opts = opts;
+    this.socketPath = opts.socketPath;
+    for (const m of opts.cachedModels ?? []) this.cached.set(m, this.localPathFor(m));
+  }
+
+  get loadedModels(): string[] {
+    return [...this.loaded].sort();
+  }
+
+  get cachedModels(): string[] {
+    return [...this.cached.keys()].sort();
+  }
+
+  async start(): Promise<void> {
+    // Remove stale socket.
+    try {
+      fs.unlinkSync(this.socketPath);
+    } catch {}
+
+    const server = net.createServer((sock) => this.onConnection(sock));
+    this.server = server;
+    await new Promise<void>((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(this.socketPath, () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+    this.armIdleTimer();
+  }
+
+  async close(): Promise<void> {
+    clearTimeout(this.idleTimer);
+    for (const s of this.sockets) s.destroy();
+    this.sockets.clear();
+    const server = this.server;
+    this.server = undefined;
+    if (server) await new Promise<void>((resolve) => server.close(() => resolve()));
+    try {
+      fs.unlinkSync(this.socketPath);
+    } catch {}
+  }
+
+  // ---- private ----
+
+  private onConnection(sock: net.Socket) {
+    this.sockets.add(sock);
+    clearTimeout(this.idleTimer);
+    const ctx = { isAuthed: this.opts.authToken == null };
+
+    const decode = createFrameDecoder(
+      (msg) => {
+        this.received.push(msg);
+
+        // Require handshake if token configured.
+        if (!ctx.isAuthed && msg.type !== "handshake") {
+          this.send(sock, { id: msg.id, type: "error", payload: { code: "unauthorized", message: "Handshake required" } });
+          sock.end();
+          return;
+        }
+
+        void this.handleMessage(msg, sock, ctx);
+      },
+      {
+        // Like mlx-host: a bad length header ends the connection, malformed frames are skipped.
+        onProtocolError: (err) => {
+          if (err.fatal) sock.destroy();
+        },
+      }
+    );
+
+    sock.on("data", (chunk) => decode(chunk));
+    sock.on("close", () => {
+      this.sockets.delete(sock);
+      this.armIdleTimer();
+    });
+    sock.on("error", () => sock.destroy());
+  }
+
+  private armIdleTimer() {
+    const { idleTimeoutMs, onIdle } = this.opts;
+    if (!idleTimeoutMs || !onIdle || this.sockets.size > 0 || !this.server) return;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(onIdle, idleTimeoutMs);
+  }
+
+  private send(sock: net.Socket, env: RPCEnvelope) {
+    if (!sock.destroyed && sock.writable) sock.write(encodeFrame(env));
+  }
+
+  private async handleMessage(env: RPCEnvelope, sock: net.Socket, ctx: { isAuthed: boolean }) {
+    const requestId = env.id ?? crypto.randomUUID();
+    const payload: any = env.payload ?? {};
+
+    const sendError = (e: MockError) => this.send(sock, { id: requestId, type: "error", payload: e });
+    const ok = (body: unknown) => this.send(sock, { id: requestId, type: `${env.type}.ok`, payload: body });
+
+    if (this.opts.latencyMs) await sleep(this.opts.latencyMs);
+
+    const injected = this.opts.errors?.[env.type];
+    if (injected) {
+      if (env.type === "inference.stream") {
+        this.send(sock, { id: requestId, type: "inference.stream.error", payload: { requestId, ...injected } });
+      } else {
+        sendError(injected);
+      }
+      return;
+    }
+
+    try {
+      switch (env.type) {
+        case "handshake": {
+          if (this.opts.authToken != null && payload.authToken !== this.opts.authToken) {
+            sendError({ code: "unauthorized", message: "Invalid auth token" });
+            sock.end();
+            return;
+          }
+          ctx.isAuthed = true;
+          ok({
+            serverVersion: this.opts.serverVersion ?? "0.1.0",
+            protocolVersion: this.opts.protocolVersion ?? PROTOCOL_VERSION,
+            capabilities: this.opts.capabilities ?? {
+              chatCompletions: true,
+              stream: true,
+              download: true,
+              images: true,
+              embeddings: true,
+              sessions: true,
+              tools: true,
+            },
+          });
+          return;
+        }
+
+        case "model.download": {
+          const source = payload.source ?? {};
+          if (source.kind === "localPath") {
+            const p = String(source.path ?? "");
+            if (!p) throw new Error("Missing localPath.path");
+            const model = `local:${p}`;
+            this.cached.set(model, p);
+            ok({ model, localPath: p });
+            return;
+          }
+          if (source.kind !== "huggingface") throw new Error(`Unknown source.kind=${source.kind}`);
+          const repo = String(source.repo ?? "");
+          if (!repo) throw new Error("Missing huggingface.repo");
+          this.requireAvailable(repo);
+          if (!this.cached.has(repo)) await this.fakeDownload(sock, requestId, repo);
+          const localPath = this.localPathFor(repo, payload.modelsDir);
+          this.cached.set(repo, localPath);
+          ok({ model: repo, localPath });
+          return;
+        }
+
+        case "model.load": {
+          const model = requireString(payload, "model");
+          this.requireAvailable(model);
+          this.loaded.add(model);
+          ok({ model, loaded: true });
+          return;
+        }
+
+        case "model.unload": {
+          const model = requireString(payload, "model");
+          this.loaded.delete(model);
+          for (const [id, s] of this.sessions) if (s.model === model) this.sessions.delete(id);
+          ok({ model, loaded: false });
+          return;
+        }
+
+        case "model.delete": {
+          const model = requireString(payload, "model");
+          // Like mlx-host: a model downloaded by an earlier process is found under modelsDir.
+          if (!this.cached.has(model) && payload.modelsDir && !model.startsWith("local:")) {
+            // Same rule as `ModelCache.pathFor`: no id may point outside modelsDir.
+            if (model.split("/").some((p) => !p || p === "." || p === "..")) throw new Error(`Invalid model id: ${model}`);
+            fs.rmSync(this.localPathFor(model, String(payload.modelsDir)), { recursive: true, force: true });
+          }
+          this.cached.delete(model);
+          ok({ model, deleted: true });
+          return;
+        }
+
+        case "model.list":
+          ok({ cached: this.cachedModels, loaded: this.loadedModels });
+          return;
+
+        case "inference.generate": {
+          const final = await this.run(requestId, payload as GenerateRequest, () => {});
+          ok(final);
+          return;
+        }
+
+        case "inference.stream": {
+          this.send(sock, { id: requestId, type: "inference.stream.start", payload: { requestId } });
+          try {
+            const final = await this.run(requestId, payload as GenerateRequest, (text) =>
+              this.send(sock, { id: requestId, type: "inference.stream.token", payload: { requestId, text } })
+            );
+            this.send(sock, { id: requestId, type: "inference.stream.end", payload: { requestId, final } });
+          } catch (err: any) {
+            this.send(sock, {
+              id: requestId,
+              type: "inference.stream.error",
+              payload: { requestId, message: String(err?.message ?? err), code: err?.code ?? "stream_error" },
+            });
+          }
+          return;
+        }
+
+        case "inference.embed": {
+          const model = requireString(payload, "model");
+          this.requireAvailable(model);
+          if (!Array.isArray(payload.texts)) throw new Error("Missing array field 'texts'");
+          const texts: string[] = payload.texts.map(String);
+          // Like the real host, embedding models are loaded on first use.
+          this.loaded.add(model);
+          ok({
+            model,
+            embeddings: texts.map((t) => this.embed(t, payload.normalize ?? true)),
+            usage: { promptTokens: texts.reduce((n, t) => n + defaultChunk(t).length, 0) },
+          });
+          return;
+        }
+
+        case "session.close": {
+          const sessionId = requireString(payload, "sessionId");
+          ok({ sessionId, closed: this.sessions.delete(sessionId) });
+          return;
+        }
+
+        case "inference.cancel": {
+          const id = requireString(payload, "requestId");
+          this.cancelled.add(id);
+          ok({ requestId: id, cancelled: true });
+          return;
+        }
+
+        case "reset": {
+          if (payload.unloadAll ?? true) this.loaded.clear();
+          this.sessions.clear();
+          if (payload.clearCache ?? false) this.cached.clear();
+          this.cancelled.clear();
+          ok({ ok: true });
+          return;
+        }
+
+        default:
+          sendError({ code: "unknown_type", message: `Unknown message type: ${env.type}` });
+      }
+    } catch (err: any) {
+      sendError({ code: err?.code ?? "bad_request", message: String(err?.message ?? err) });
+    }
+  }
+
+  /** Emits `model.download.progress` frames: one halfway through and one at the end of every file. */
+  private async fakeDownload(sock: net.Socket, requestId: string, model: string) {
+    const files = this.opts.downloadFiles ?? DEFAULT_DOWNLOAD_FILES;
+    const totalBytes = files.reduce((n, f) => n + f.bytes, 0);
+    let doneBytes = 0;
+    for (const [i, file] of files.entries()) {
+      for (const part of [Math.floor(file.bytes / 2), file.bytes]) {
+        if (this.opts.downloadLatencyMs) await sleep(this.opts.downloadLatencyMs);
+        const completedBytes = doneBytes + part;
+        this.send(sock, {
+          id: requestId,
+          type: "model.download.progress",
+          payload: {
+            requestId,
+            model,
+            completedBytes,
+            totalBytes,
+            currentFile: file.name,
+            filesCompleted: part === file.bytes ? i + 1 : i,
+            totalFiles: files.length,
+            fraction: totalBytes > 0 ? completedBytes / totalBytes : 1,
+          },
+        });
+      }
+      doneBytes += file.bytes;
+    }
+  }
+
+  /** Produces the scripted reply as token chunks; shared by generate and stream. */
+  private async run(requestId: string, req: GenerateRequest, onToken: (text: string) => void): Promise<GenerateResponse> {
+    if (!this.loaded.has(req.model)) throw codedError({ code: "model_not_found", message: `Model not loaded: ${req.model}` });
+
+    const reply = await this.resolveReply(req);
+    if (reply.error) throw codedError(reply.error);
+
+    const start = Date.now();
+    const promptTokens = req.messages.flatMap((m) => defaultChunk(messageText(m.content)));
+    const cachedTokens = req.sessionId != null ? this.cachedPrefix(req.sessionId, req.model, promptTokens) : undefined;
+    if (this.opts.prefillLatencyMs) await sleep(this.opts.prefillLatencyMs * (promptTokens.length - (cachedTokens ?? 0)));
+    const stops = (req.stop ?? []).filter(Boolean);
+    let ttft: number | undefined;
+    let out = "";
+    let emitted = 0;
+    let count = 0;
+    let finishReason: FinishReason = "stop";
+    let stopSequence: string | undefined;
+    for (const chunk of this.chunk(reply.text)) {
+      if (req.maxTokens != null && count >= req.maxTokens) {
+        finishReason = "length";
+        break;
+      }
+      if (this.opts.tokenLatencyMs) await sleep(this.opts.tokenLatencyMs);
+      if (this.cancelled.delete(requestId)) {
+        finishReason = "cancelled";
+        break;
+      }
+      if (reply.failAfterTokens != null && count >= reply.failAfterTokens) {
+        throw codedError({ code: "stream_error", message: "Injected stream failure" });
+      }
+      ttft ??= Date.now() - start;
+      count += 1;
+      // Like the real host: stop sequences can span chunks, so a tail that could still turn
+      // into one is held back until the next chunk decides.
+      out += chunk;
+      const hit = firstStop(out, stops);
+      if (hit) {
+        out = out.slice(0, hit.index);
+        if (out.length > emitted) onToken(out.slice(emitted));
+        finishReason = "stop-sequence";
+        stopSequence = hit.sequence;
+        break;
+      }
+      const safe = out.length - partialStopLength(out, stops);
+      if (safe > emitted) {
+        onToken(out.slice(emitted, safe));
+        emitted = safe;
+      }
+    }
+    if (finishReason !== "stop-sequence" && out.length > emitted) onToken(out.slice(emitted));
+    this.cancelled.delete(requestId);
+
+    const totalMs = Date.now() - start;
+    const prompt = promptTokens.length;
+    return {
+      requestId,
+      text: out,
+      usage: reply.usage ?? { promptTokens: prompt, completionTokens: count, totalTokens: prompt + count, cachedTokens },
+      timings: { ttftMs: ttft ?? totalMs, totalMs, tokensPerSecond: totalMs > 0 ? (count / totalMs) * 1000 : undefined },
+      finishReason,
+      stopSequence,
+    };
+  }
+
+  /** Prompt tokens shared with the session's previous prompt (at least one is always "prefilled"). */
+  private cachedPrefix(sessionId: string, model: string, tokens: string[]): number {
+    const prev = this.sessions.get(sessionId);
+    this.sessions.set(sessionId, { model, tokens });
+    if (!prev || prev.model !== model) return 0;
+    let n = 0;
+    while (n < prev.tokens.length && n < tokens.length - 1 && prev.tokens[n] === tokens[n]) n++;
+    return n;
+  }
+
+  private embed(text: string, normalize: boolean): number[] {
+    const dims = this.opts.embeddingDimensions ?? 8;
+    const v: number[] = [];
+    for (let i = 0; i < dims; i++) {
+      const h = crypto.createHash("sha256").update(`${i}:${text}`).digest();
+      v.push(h.readUInt32BE(0) / 0xffffffff - 0.5);
+    }
+    if (!normalize) return v;
+    const norm = Math.hypot(...v) || 1;
+    return v.map((x) => x / norm);
+  }
+
+  private async resolveReply(req: GenerateRequest): Promise<MockReply> {
+    const { reply, replies } = this.opts;
+    let r: string | MockReply | undefined;
+    if (typeof reply === "function") r = await reply(req);
+    else r = replies?.[req.model] ?? reply;
+
+    if (r == null) {
+      const lastUser = [...req.messages].reverse().find((m) => m.role === "user");
+      r = messageText(lastUser?.content ?? "");
+    }
+    return typeof r === "string" ? { text: r } : r;
+  }
+
+  private chunk(text: string): string[] {
+    if (this.opts.chunk) return this.opts.chunk(text);
+    const size = this.opts.chunkSize;
+    if (!size || size <= 0) return defaultChunk(text);
+    const out: string[] = [];
+    for (let i = 0; i < text.length; i += size) out.push(text.slice(i, i + size));
+    return out;
+  }
+
+  private requireAvailable(model: string) {
+    const available = this.opts.availableModels;
+    if (available && !available.includes(model)) {
+      throw codedError({ code: "model_not_found", message: `Model not found: ${model}` });
+    }
+  }
+
+  private localPathFor(model: string, modelsDir?: string): string {
+    return path.join(modelsDir ?? path.join(os.tmpdir(), "mlx-ts-mock-models"), "models", model);
+  }
+}
+
+function messageText(content: ChatMessage["content"]): string {
+  return typeof content === "string"
+    ? content
+    : content.map((p) => (p.type === "text" ? p.text : `[image ${p.mimeType}]`)).join("");
+}
+
+function firstStop(text: string, stops: string[]): { index: number; sequence: string } | undefined {
+  let best: { index: number; sequence: string } | undefined;
+  for (const sequence of stops) {
+    const index = text.indexOf(sequence);
+    if (index >= 0 && (!best || index < best.index)) best = { index, sequence };
+  }
+  return best;
+}
+
+/** Length of the longest tail of `text` that is a proper prefix of one of `stops`. */
+function partialStopLength(text: string, stops: string[]): number {
+  let best = 0;
+  for (const stop of stops) {
+    for (let len = Math.min(text.length, stop.length - 1); len > best; len--) {
+      if (text.endsWith(stop.slice(0, len))) {
+        best = len;
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+function requireString(payload: any, key: string): string {
+  const v = payload?.[key];
+  if (typeof v !== "string") throw new Error(`Missing string field '${key}'`);
+  return v;
+}
+
+function codedError(e: MockError): Error {
+  const err = new Error(e.message);
+  (err as any).code = e.code;
+  return err;
+}
+
+/** Path to the executable wrapper, usable as `hostPath` for `MlxClient`. */
+export function getMockMlxHostPath(): string {
+  return path.resolve(new URL("../scripts/mock-host.mjs", import.meta.url).pathname);
+}
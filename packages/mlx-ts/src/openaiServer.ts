@@ -0,0 +1,621 @@
+import crypto from "node:crypto";
+import http from "node:http";
+
+import {
+  MlxCancelledError,
+  MlxConnectionError,
+  MlxModelNotFoundError,
+  MlxQueueFullError,
+  MlxTimeoutError,
+  MlxUnsupportedError,
+  PROMETHEUS_CONTENT_TYPE,
+  createPrometheusMetrics,
+  normalizeImage,
+} from "@mlx-ts/core";
+import type { ChatMessage, ContentPart, FinishReason, GenerateRequest, GenerateResponse, ImagePart, MlxClient } from "@mlx-ts/core";
+
+export type OpenAICompatibleServerOptions = {
+  /** Client used for every request (its host is shared by all models). */
+  client: MlxClient;
+  /** Download + load models on their first request. Default: true. */
+  autoPrepareModel?: boolean;
+  /** Passed to `model.download` when auto-preparing. */
+  modelsDir?: string;
+  /** Model used when a request has no `model` field. */
+  defaultModel?: string;
+  /** Extra names accepted in `model` (e.g. `{ "qwen3-coder-mlx": "mlx-community/Qwen3-Coder-..." }`). */
+  modelAliases?: Record<string, string>;
+  /** Send permissive CORS headers. Default: true. */
+  cors?: boolean;
+  /** Largest accepted image in a message (after decoding/fetching). Default: 20 MiB. */
+  maxImageBytes?: number;
+  /**
+   * Fetch `http(s)` image URLs found in requests. Off by default: it lets any caller make the
+   * server send requests, including to internal addresses. `data:` URLs always work.
+   */
+  allowRemoteImages?: boolean;
+  /** Largest accepted request body; bigger ones get a 413. Default: 50 MiB. */
+  maxBodyBytes?: number;
+  /** Serve Prometheus metrics of the client's RPCs at `GET /metrics`. Default: true. */
+  metrics?: boolean;
+};
+
+/**
+ * OpenAI-compatible HTTP API on top of `MlxClient`:
+ * `POST /v1/chat/completions`, `POST /v1/completions`, `POST /v1/embeddings`, `GET /v1/models` (+ `GET /health`
+ * and `GET /metrics`), plus the Anthropic Messages API at `POST /v1/messages`.
+ *
+ * Returns an unstarted `http.Server`; call `listen()` on it.
+ */
+export function createOpenAICompatibleServer(opts: OpenAICompatibleServerOptions): http.Server {
+  const { client } = opts;
+  const autoPrepareModel = opts.autoPrepareModel ?? true;
+  const prepared = new Map<string, Preparation>();
+  const images: ImageOptions = { maxBytes: opts.maxImageBytes, allowRemote: opts.allowRemoteImages ?? false };
+  const maxBodyBytes = opts.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  client.on("disconnected", () => prepared.clear());
+  // Counts every RPC of the client while the server is up, including ones made outside it.
+  const metrics = (opts.metrics ?? true) ? createPrometheusMetrics() : undefined;
+  const uninstrument = metrics && client.instrument(metrics);
+
+  // Embedding models are only downloaded; the host loads them on the first `inference.embed`.
+  // Concurrent requests share one download/load, which is aborted once all of them went away.
+  async function ensurePrepared(model: string, signal: AbortSignal, kind: "language" | "embedding" = "language") {
+    await client.connect();
+    if (!autoPrepareModel) return;
+    let p = prepared.get(model);
+    if (!p) {
+      const abort = new AbortController();
+      const req = { modelsDir: opts.modelsDir, signal: abort.signal };
+      const done = (async () => {
+        await client.downloadModel({ kind: "huggingface", repo: model }, req);
+        if (kind === "language") await client.loadModel(model, req);
+      })();
+      const mine: Preparation = { done, abort, waiting: 0 };
+      prepared.set(model, mine);
+      p = mine;
+      const forget = () => {
+        if (prepared.get(model) === mine) prepared.delete(model);
+      };
+      done.catch(forget);
+      // Abandoned: the next request starts over instead of joining the aborted attempt.
+      abort.signal.addEventListener("abort", forget, { once: true });
+    }
+    await waitForPreparation(p, signal, model);
+  }
+
+  function resolveModel(body: any): string {
+    const requested = typeof body.model === "string" ? body.model.trim() : "";
+    const model = opts.modelAliases?.[requested] ?? (requested || opts.defaultModel);
+    if (!model) throw new HttpError(400, "you must provide a model parameter", "invalid_request_error", "model");
+    return model;
+  }
+
+  async function listModels(res: http.ServerResponse) {
+    await client.connect();
+    const { cached, loaded } = await client.listModels();
+    const ids = [...new Set([...loaded, ...cached, ...Object.keys(opts.modelAliases ?? {})])];
+    sendJson(res, 200, {
+      object: "list",
+      data: ids.map((id) => ({ id, object: "model", created: 0, owned_by: "mlx-ts" })),
+    });
+  }
+
+  async function completions(req: http.IncomingMessage, res: http.ServerResponse, kind: "chat" | "text") {
+    const signal = abortOnClose(res);
+    const body = await readJson(req, maxBodyBytes);
+    const model = resolveModel(body);
+    if (body.n != null && body.n !== 1) throw new HttpError(400, "only n=1 is supported", "invalid_request_error", "n");
+
+    let messages: ChatMessage[];
+    if (kind === "chat") {
+      if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw new HttpError(400, "'messages' must be a non-empty array", "invalid_request_error", "messages");
+      }
+      messages = await Promise.all(body.messages.map((m: any, i: number) => toChatMessage(m, i, images)));
+    } else {
+      const prompt = Array.isArray(body.prompt) ? body.prompt : [body.prompt ?? ""];
+      if (prompt.length !== 1 || typeof prompt[0] !== "string") {
+        throw new HttpError(400, "'prompt' must be a single string", "invalid_request_error", "prompt");
+      }
+      messages = [{ role: "user", content: prompt[0] }];
+    }
+
+    const stop: unknown[] = body.stop == null ? [] : Array.isArray(body.stop) ? body.stop : [body.stop];
+    if (!stop.every((s) => typeof s === "string")) {
+      throw new HttpError(400, "'stop' must be a string or an array of strings", "invalid_request_error", "stop");
+    }
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens ?? undefined;
+    const genReq: GenerateRequest = {
+      model,
+      messages,
+      maxTokens,
+      stop: stop.length > 0 ? (stop as string[]) : undefined,
+      sampling: { temperature: body.temperature ?? undefined, topP: body.top_p ?? undefined, seed: body.seed ?? undefined },
+    };
+
+    await ensurePrepared(model, signal);
+
+    const id = `${kind === "chat" ? "chatcmpl" : "cmpl"}-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const object = kind === "chat" ? "chat.completion" : "text_completion";
+    const finishReason = (final?: GenerateResponse) => (finishReasonOf(final, maxTokens) === "length" ? "length" : "stop");
+
+    if (!body.stream) {
+      const out = await client.generate(genReq, { signal, enforceStop: true });
+      const choice =
+        kind === "chat"
+          ? { index: 0, message: { role: "assistant", content: out.text }, logprobs: null, finish_reason: finishReason(out) }
+          : { index: 0, text: out.text, logprobs: null, finish_reason: finishReason(out) };
+      sendJson(res, 200, { id, object, created, model, choices: [choice], usage: toUsage(out.usage) });
+      return;
+    }
+
+    const includeUsage = Boolean(body.stream_options?.include_usage);
+    const chunk = (choice: Record<string, unknown> | undefined, extra?: Record<string, unknown>) =>
+      sseWrite(res, {
+        id,
+        object: kind === "chat" ? "chat.completion.chunk" : "text_completion",
+        created,
+        model,
+        choices: choice ? [{ index: 0, ...choice }] : [],
+        ...(includeUsage ? { usage: null } : {}),
+        ...extra,
+      });
+    const delta = (text: string) => (kind === "chat" ? { delta: { content: text } } : { text });
+
+    let headersSent = false;
+    let tokens = 0;
+    for await (const ev of client.stream(genReq, { signal, enforceStop: true })) {
+      if (ev.type === "error") {
+        if (signal.aborted) return;
+        const err = Object.assign(new Error(ev.message), { code: ev.code });
+        if (!headersSent) throw err;
+        // Headers are gone; report in-band like OpenAI does and end the stream.
+        sseWrite(res, errorBody(toHttpError(err)));
+        break;
+      }
+      if (!headersSent) {
+        sseHeaders(res);
+        headersSent = true;
+        if (kind === "chat") chunk({ delta: { role: "assistant", content: "" }, logprobs: null, finish_reason: null });
+      }
+      if (ev.type === "token") {
+        tokens++;
+        chunk({ ...delta(ev.text), logprobs: null, finish_reason: null });
+      } else if (ev.type === "end") {
+        chunk({ ...delta(""), logprobs: null, finish_reason: finishReason(ev.final) });
+        if (includeUsage) chunk(undefined, { usage: toUsage(ev.final?.usage ?? { completionTokens: tokens }) });
+      }
+    }
+    if (!res.writableEnded) {
+      res.write("data: [DONE]\n\n");
+      res.end();
+    }
+  }
+
+  async function embeddings(req: http.IncomingMessage, res: http.ServerResponse) {
+    const signal = abortOnClose(res);
+    const body = await readJson(req, maxBodyBytes);
+    const model = resolveModel(body);
+    const input: unknown[] = Array.isArray(body.input) ? body.input : [body.input];
+    if (input.length === 0 || !input.every((t) => typeof t === "string")) {
+      throw new HttpError(400, "'input' must be a string or an array of strings", "invalid_request_error", "input");
+    }
+    if (body.dimensions != null) {
+      throw new HttpError(400, "'dimensions' is not supported", "invalid_request_error", "dimensions");
+    }
+    const base64 = body.encoding_format === "base64";
+
+    await ensurePrepared(model, signal, "embedding");
+    const out = await client.embed(model, input as string[], { modelsDir: opts.modelsDir, signal });
+
+    const tokens = out.usage?.promptTokens ?? 0;
+    sendJson(res, 200, {
+      object: "list",
+      data: out.embeddings.map((e, index) => ({
+        object: "embedding",
+        index,
+        embedding: base64 ? Buffer.from(new Float32Array(e).buffer).toString("base64") : e,
+      })),
+      model,
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+    });
+  }
+
+  async function messages(req: http.IncomingMessage, res: http.ServerResponse) {
+    const signal = abortOnClose(res);
+    const body = await readJson(req, maxBodyBytes);
+    const model = resolveModel(body);
+    if (typeof body.max_tokens !== "number") {
+      throw new HttpError(400, "max_tokens: field required", "invalid_request_error", "max_tokens");
+    }
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      throw new HttpError(400, "messages: must be a non-empty array", "invalid_request_error", "messages");
+    }
+
+    const chat: ChatMessage[] = await Promise.all(
+      body.messages.map((m: any, i: number) => fromAnthropicMessage(m, i, images))
+    );
+    const system = typeof body.system === "string" ? body.system : anthropicText(body.system);
+    if (system) chat.unshift({ role: "system", content: system });
+
+    const stop: string[] = Array.isArray(body.stop_sequences) ? body.stop_sequences.map(String) : [];
+    const maxTokens: number = body.max_tokens;
+    const genReq: GenerateRequest = {
+      model,
+      messages: chat,
+      maxTokens,
+      stop: stop.length > 0 ? stop : undefined,
+      sampling: { temperature: body.temperature ?? undefined, topP: body.top_p ?? undefined, topK: body.top_k ?? undefined },
+    };
+
+    await ensurePrepared(model, signal);
+
+    const id = `msg_${crypto.randomUUID().replace(/-/g, "")}`;
+    const stopReasons: Record<FinishReason, string> = {
+      stop: "end_turn",
+      length: "max_tokens",
+      "stop-sequence": "stop_sequence",
+      cancelled: "end_turn",
+      error: "end_turn",
+    };
+    const stopReason = (final?: GenerateResponse) => stopReasons[finishReasonOf(final, maxTokens)];
+    const usageOf = (u: GenerateResponse["usage"], outputTokens: number) => ({
+      input_tokens: u?.promptTokens ?? 0,
+      output_tokens: u?.completionTokens ?? outputTokens,
+    });
+
+    if (!body.stream) {
+      const out = await client.generate(genReq, { signal, enforceStop: true });
+      sendJson(res, 200, {
+        id,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [{ type: "text", text: out.text }],
+        stop_reason: stopReason(out),
+        stop_sequence: out.stopSequence ?? null,
+        usage: usageOf(out.usage, 0),
+      });
+      return;
+    }
+
+    let started = false;
+    let tokens = 0;
+    const finish = (final: GenerateResponse | undefined) => {
+      sseEvent(res, "content_block_stop", { type: "content_block_stop", index: 0 });
+      sseEvent(res, "message_delta", {
+        type: "message_delta",
+        delta: { stop_reason: stopReason(final), stop_sequence: final?.stopSequence ?? null },
+        // The prompt token count is only known once the host is done.
+        usage: usageOf(final?.usage, tokens),
+      });
+      sseEvent(res, "message_stop", { type: "message_stop" });
+    };
+
+    for await (const ev of client.stream(genReq, { signal, enforceStop: true })) {
+      if (ev.type === "error") {
+        if (signal.aborted) return;
+        const err = Object.assign(new Error(ev.message), { code: ev.code });
+        if (!started) throw err;
+        sseEvent(res, "error", anthropicErrorBody(toHttpError(err)));
+        break;
+      }
+      if (!started) {
+        started = true;
+        sseHeaders(res);
+        sseEvent(res, "message_start", {
+          type: "message_start",
+          message: {
+            id,
+            type: "message",
+            role: "assistant",
+            model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 },
+          },
+        });
+        sseEvent(res, "content_block_start", { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } });
+      }
+      const delta = (text: string) =>
+        sseEvent(res, "content_block_delta", { type: "content_block_delta", index: 0, delta: { type: "text_delta", text } });
+
+      if (ev.type === "token") {
+        tokens++;
+        delta(ev.text);
+      } else if (ev.type === "end") {
+        finish(ev.final);
+      }
+    }
+    res.end();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? "/", "http://127.0.0.1");
+    try {
+      if (opts.cors ?? true) {
+        res.setHeader("access-control-allow-origin", "*");
+        res.setHeader("access-control-allow-methods", "GET,POST,OPTIONS");
+        res.setHeader("access-control-allow-headers", "content-type,authorization,x-api-key,anthropic-version");
+      }
+      if (req.method === "OPTIONS") return void res.end();
+
+      const route = `${req.method} ${url.pathname.replace(/\/+$/, "")}`;
+      switch (route) {
+        case "GET /health":
+          return sendJson(res, 200, { ok: true, ...(client.serverInfo ? { host: client.serverInfo } : {}) });
+        case "GET /metrics":
+          if (!metrics) break;
+          res.writeHead(200, { "content-type": PROMETHEUS_CONTENT_TYPE });
+          return void res.end(metrics.render({ queueStats: client.queueStats() }));
+        case "GET /v1/models":
+          return await listModels(res);
+        case "POST /v1/chat/completions":
+          return await completions(req, res, "chat");
+        case "POST /v1/completions":
+          return await completions(req, res, "text");
+        case "POST /v1/embeddings":
+          return await embeddings(req, res);
+        case "POST /v1/messages":
+          return await messages(req, res);
+      }
+      throw new HttpError(404, `Unknown route: ${req.method} ${url.pathname}`, "invalid_request_error", null, "unknown_url");
+    } catch (err) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const e = toHttpError(err);
+      if (e.status === 429) res.setHeader("retry-after", "1");
+      sendJson(res, e.status, url.pathname.startsWith("/v1/messages") ? anthropicErrorBody(e) : errorBody(e));
+    }
+  });
+  if (uninstrument) server.on("close", uninstrument);
+  return server;
+}
+
+// ---- private ----
+
+const DEFAULT_MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+type ImageOptions = { maxBytes?: number; allowRemote: boolean };
+
+/** A model's shared download/load and how many requests are waiting for it. */
+type Preparation = { done: Promise<void>; abort: AbortController; waiting: number };
+
+/** Waits for `p` until `signal` aborts; the last waiter to give up aborts the work itself. */
+function waitForPreparation(p: Preparation, signal: AbortSignal, model: string): Promise<void> {
+  if (signal.aborted) return Promise.reject(new MlxCancelledError("model.download", model));
+  p.waiting++;
+  return new Promise<void>((resolve, reject) => {
+    const onAbort = () => {
+      if (--p.waiting === 0) p.abort.abort();
+      reject(new MlxCancelledError("model.download", model));
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    p.done.then(resolve, reject).finally(() => {
+      if (signal.aborted) return;
+      signal.removeEventListener("abort", onAbort);
+      p.waiting--;
+    });
+  });
+}
+
+/** Aborted when the HTTP client goes away before the response is complete. */
+function abortOnClose(res: http.ServerResponse): AbortSignal {
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) abort.abort();
+  });
+  return abort.signal;
+}
+
+class HttpError extends Error {
+  constructor(
+    readonly status: number,
+    message: string,
+    readonly type: string,
+    readonly param: string | null = null,
+    readonly code: string | null = null
+  ) {
+    super(message);
+  }
+}
+
+function toHttpError(err: unknown): HttpError {
+  if (err instanceof HttpError) return err;
+  if (err instanceof MlxTimeoutError) return new HttpError(504, err.message, "timeout", null, err.code);
+  if (err instanceof MlxCancelledError) return new HttpError(499, err.message, "cancelled", null, err.code);
+  const e: any = err;
+  // Cancelled on the host (e.g. by another client's `inference.cancel`) while this one still waits.
+  if (e?.code === "cancelled") return new HttpError(499, String(e?.message ?? e), "cancelled", null, "cancelled");
+  // Scheduler queue full; streams report it as an error event carrying the code.
+  if (err instanceof MlxQueueFullError || e?.code === "queue_full") {
+    return new HttpError(429, String(e?.message ?? e), "rate_limit_error", null, "queue_full");
+  }
+  // A feature the connected host doesn't advertise; streams carry the code in their error event.
+  if (err instanceof MlxUnsupportedError || e?.code === "unsupported") {
+    return new HttpError(400, String(e?.message ?? e), "invalid_request_error", null, "unsupported");
+  }
+  const message = String(e?.message ?? e);
+  if (err instanceof MlxModelNotFoundError || e?.code === "model_not_found") {
+    return new HttpError(404, message, "invalid_request_error", "model", "model_not_found");
+  }
+  // mlx-host is down or restarting.
+  if (err instanceof MlxConnectionError || e?.code === "disconnected") return new HttpError(503, message, "server_error", null, "disconnected");
+  if (e?.code === "bad_request") return new HttpError(400, message, "invalid_request_error", null, e.code);
+  return new HttpError(500, message, "server_error", null, typeof e?.code === "string" ? e.code : null);
+}
+
+function errorBody(e: HttpError) {
+  return { error: { message: e.message, type: e.type, param: e.param, code: e.code } };
+}
+
+function anthropicErrorBody(e: HttpError) {
+  const type =
+    e.status === 400
+      ? "invalid_request_error"
+      : e.status === 404
+        ? "not_found_error"
+        : e.status === 429
+          ? "rate_limit_error"
+          : "api_error";
+  return { type: "error", error: { type, message: e.message } };
+}
+
+/** Text of an Anthropic content value (string or blocks); non-text blocks are flattened to text. */
+function anthropicText(content: unknown): string {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((b: any) => {
+      if (b?.type === "text") return String(b.text ?? "");
+      if (b?.type === "tool_result") return anthropicText(b.content);
+      if (b?.type === "tool_use") return JSON.stringify({ name: b.name, arguments: b.input ?? {} });
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function fromAnthropicMessage(m: any, i: number, images: ImageOptions): Promise<ChatMessage> {
+  if (m?.role !== "user" && m?.role !== "assistant") {
+    throw new HttpError(400, `messages.${i}.role: must be "user" or "assistant"`, "invalid_request_error", `messages.${i}.role`);
+  }
+  if (m.role === "user" && Array.isArray(m.content) && m.content.some((b: any) => b?.type === "image")) {
+    const parts: ContentPart[] = [];
+    for (const [j, b] of m.content.entries()) {
+      if (b?.type !== "image") {
+        parts.push({ type: "text", text: anthropicText([b]) });
+        continue;
+      }
+      const src = b.source ?? {};
+      const input = src.type === "base64" ? `data:${src.media_type ?? ""};base64,${src.data ?? ""}` : String(src.url ?? "");
+      parts.push(await toImagePart(input, `messages.${i}.content.${j}.source`, images));
+    }
+    return { role: "user", content: parts };
+  }
+  return { role: m.role, content: anthropicText(m.content) };
+}
+
+async function toChatMessage(m: any, i: number, images: ImageOptions): Promise<ChatMessage> {
+  const parts: ContentPart[] = [];
+  if (typeof m?.content === "string") {
+    parts.push({ type: "text", text: m.content });
+  } else if (Array.isArray(m?.content)) {
+    for (const [j, p] of m.content.entries()) {
+      const param = `messages[${i}].content[${j}]`;
+      if (p?.type === "text") {
+        parts.push({ type: "text", text: String(p.text ?? "") });
+      } else if (p?.type === "image_url" && m.role === "user") {
+        const url = typeof p.image_url === "string" ? p.image_url : p.image_url?.url;
+        parts.push(await toImagePart(String(url ?? ""), `${param}.image_url`, images));
+      } else {
+        throw new HttpError(400, `${param}.type '${p?.type}' is not supported`, "invalid_request_error", `${param}.type`);
+      }
+    }
+  }
+  const content = parts.map((p) => (p.type === "text" ? p.text : "")).join("");
+  switch (m?.role) {
+    case "system":
+    case "developer":
+      return { role: "system", content };
+    case "user":
+      return { role: "user", content: parts.some((p) => p.type === "image") ? parts : content };
+    case "assistant":
+      return { role: "assistant", content };
+    case "tool":
+      return { role: "user", content };
+    default:
+      throw new HttpError(400, `messages[${i}].role '${m?.role}' is not supported`, "invalid_request_error", `messages[${i}].role`);
+  }
+}
+
+async function toImagePart(input: string, param: string, images: ImageOptions): Promise<ImagePart> {
+  // Only URLs and data URLs; a request must not be able to read files on the server.
+  if (!/^(data|https?):/i.test(input)) {
+    throw new HttpError(400, `${param}: expected an http(s) or data: URL`, "invalid_request_error", param);
+  }
+  if (!images.allowRemote && !/^data:/i.test(input)) {
+    throw new HttpError(400, `${param}: remote image URLs are disabled on this server; send a data: URL`, "invalid_request_error", param);
+  }
+  try {
+    return await normalizeImage(input, images);
+  } catch (err: any) {
+    throw new HttpError(400, `${param}: ${String(err?.message ?? err)}`, "invalid_request_error", param);
+  }
+}
+
+/** `final.finishReason`, or a guess from the token count for hosts that don't report it. */
+function finishReasonOf(final: GenerateResponse | undefined, maxTokens: number | undefined): FinishReason {
+  if (final?.finishReason) return final.finishReason;
+  return maxTokens != null && (final?.usage?.completionTokens ?? 0) >= maxTokens ? "length" : "stop";
+}
+
+function toUsage(usage: GenerateResponse["usage"]) {
+  const prompt = usage?.promptTokens ?? 0;
+  const completion = usage?.completionTokens ?? 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: usage?.totalTokens ?? prompt + completion,
+    ...(usage?.cachedTokens != null ? { prompt_tokens_details: { cached_tokens: usage.cachedTokens } } : {}),
+  };
+}
+
+function sendJson(res: http.ServerResponse, status: number, obj: unknown) {
+  const body = JSON.stringify(obj);
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function readJson(req: http.IncomingMessage, maxBytes: number): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Request body is over the ${maxBytes} byte limit`, "invalid_request_error", null, "request_too_large");
+    if (Number(req.headers["content-length"] ?? 0) > maxBytes) return reject(tooLarge());
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on("data", (chunk: Buffer) => {
+      if (size > maxBytes) return;
+      size += chunk.length;
+      // Keep reading (so the 413 can be sent) but stop buffering.
+      if (size > maxBytes) return reject(tooLarge());
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) return;
+      const buf = Buffer.concat(chunks).toString("utf8");
+      if (!buf) return resolve({});
+      try {
+        const body = JSON.parse(buf);
+        if (!body || typeof body !== "object") throw new Error("body must be a JSON object");
+        resolve(body);
+      } catch (err: any) {
+        reject(new HttpError(400, `Invalid JSON body: ${String(err?.message ?? err)}`, "invalid_request_error"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sseHeaders(res: http.ServerResponse) {
+  res.writeHead(200, {
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+}
+
+function sseEvent(res: http.ServerResponse, event: string, data: unknown) {
+  if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sseWrite(res: http.ServerResponse, data: unknown) {
+  if (!res.writableEnded) res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
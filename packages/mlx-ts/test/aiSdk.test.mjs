@@ -0,0 +1,169 @@
+// The AI SDK provider (`createMlxAiSdkProvider`) against an in-process MockMlxHost.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import { APICallError, NoSuchModelError, UnsupportedFunctionalityError, embed, generateText, jsonSchema, streamText, tool } from "ai";
+
+import { MockMlxHost, createMlxAiSdkProvider } from "../dist/index.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-ai-sdk-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let sockets = 0;
+
+/** A started host and a provider talking to it; both are closed after the test. */
+async function setup(t, hostOpts = {}, providerOpts = {}) {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, ...hostOpts });
+  await host.start();
+  const provider = createMlxAiSdkProvider({ socketPath, modelsDir: dir, ...providerOpts });
+  t.after(async () => {
+    await provider.client.close();
+    await host.close();
+  });
+  return { host, provider, client: provider.client };
+}
+
+const ask = (model, extra) => ({ model, messages: [{ role: "user", content: "hi" }], ...extra });
+const thinking = "<think>\nTwo and two.\n</think>\n\nIt is 4. END ignored";
+
+test("stripThinking and enforceStop filter streamed and generated text", async (t) => {
+  const { client } = await setup(t, { reply: thinking, chunkSize: 3 });
+  await client.connect();
+  await client.loadModel("m");
+
+  const tokens = [];
+  let final;
+  for await (const ev of client.stream(ask("m", { stop: ["END"] }), { stripThinking: true, enforceStop: true })) {
+    if (ev.type === "token") tokens.push(ev.text);
+    if (ev.type === "end") final = ev.final;
+  }
+  assert.equal(tokens.join(""), "It is 4. ");
+  assert.ok(tokens.every((text) => !/[<>]/.test(text)));
+  assert.deepEqual([final.text, final.finishReason, final.stopSequence], ["It is 4. ", "stop-sequence", "END"]);
+
+  const res = await client.generate(ask("m"), { stripThinking: true });
+  assert.equal(res.text, "It is 4. END ignored");
+  const tagged = await client.generate(ask("m"), { stripThinking: { open: "[[", close: "]]" } });
+  assert.equal(tagged.text, thinking);
+});
+
+test("thinking is returned as AI SDK reasoning", async (t) => {
+  const { provider } = await setup(t, { reply: thinking, chunkSize: 4 });
+  const model = provider.languageModel("org/m");
+
+  const res = await generateText({ model, prompt: "2+2?", stopSequences: ["END"] });
+  assert.equal(res.text, "It is 4. ");
+  assert.equal(res.reasoning, "\nTwo and two.\n");
+  assert.equal(res.finishReason, "stop");
+
+  const stream = streamText({ model, prompt: "2+2?" });
+  const parts = [];
+  for await (const part of stream.fullStream) if (part.type === "reasoning" || part.type === "text-delta") parts.push(part);
+  const join = (type) =>
+    parts
+      .filter((p) => p.type === type)
+      .map((p) => p.textDelta)
+      .join("");
+  assert.equal(join("reasoning"), "\nTwo and two.\n");
+  assert.equal(join("text-delta"), "It is 4. END ignored");
+  // All reasoning comes before the answer.
+  assert.ok(parts.findLastIndex((p) => p.type === "reasoning") < parts.findIndex((p) => p.type === "text-delta"));
+
+  const raw = await generateText({ model: provider.languageModel("org/m", { reasoningTags: false }), prompt: "2+2?" });
+  assert.equal(raw.text, thinking);
+});
+
+test("the thinking toggle reaches the chat template, per model or per call", async (t) => {
+  const { host, provider } = await setup(t, { reply: "ok" });
+  const kwargs = () => host.received.filter((env) => env.type === "inference.generate").map((env) => env.payload.chatTemplateKwargs);
+
+  await generateText({ model: provider.languageModel("org/m"), prompt: "hi" });
+  await generateText({ model: provider.languageModel("org/m", { thinking: false }), prompt: "hi" });
+  await generateText({
+    model: provider.languageModel("org/m", { thinking: false }),
+    prompt: "hi",
+    providerOptions: { "mlx-ts": { thinking: true } },
+  });
+  assert.deepEqual(kwargs(), [undefined, { enable_thinking: false }, { enable_thinking: true }]);
+});
+
+test("a sessionId provider option lets agent steps reuse the prompt cache", async (t) => {
+  const { provider } = await setup(t, { reply: "fine" });
+  const model = provider.languageModel("org/m");
+  const providerOptions = { "mlx-ts": { sessionId: "agent-1" } };
+  const messages = [{ role: "user", content: "hello there friend" }];
+
+  const first = await generateText({ model, messages, providerOptions });
+  assert.equal(first.providerMetadata["mlx-ts"].cachedTokens, 0);
+  const followUp = [...messages, ...first.response.messages, { role: "user", content: "and you" }];
+  const next = await generateText({ model, messages: followUp, providerOptions });
+  assert.ok(next.providerMetadata["mlx-ts"].cachedTokens >= 3);
+  assert.equal((await generateText({ model, messages })).providerMetadata["mlx-ts"].cachedTokens, undefined);
+});
+
+test("tools work on a host that doesn't advertise the tools capability", async (t) => {
+  const reply = (req) =>
+    req.messages.some((m) => m.content.includes("<tool_response>"))
+      ? "It is sunny in Paris."
+      : 'Let me look.\n<tool_call>\n{"name": "weather", "arguments": {"city": "Paris"}}\n</tool_call>';
+  const { host, provider } = await setup(t, { reply, capabilities: { chatCompletions: true, stream: true, download: true } });
+  const calls = [];
+  const weather = tool({
+    description: "Current weather",
+    parameters: jsonSchema({ type: "object", properties: { city: { type: "string" } }, required: ["city"] }),
+    execute: async (args) => {
+      calls.push(args);
+      return "sunny";
+    },
+  });
+
+  const res = await generateText({ model: provider.languageModel("org/m"), prompt: "Weather?", tools: { weather }, maxSteps: 2 });
+  assert.deepEqual(calls, [{ city: "Paris" }]);
+  assert.equal(res.text, "It is sunny in Paris.");
+  assert.equal(res.steps[0].finishReason, "tool-calls");
+  const [first, second] = host.received.filter((env) => env.type === "inference.generate").map((env) => env.payload.messages);
+  assert.match(first[0].content, /<tools>\n\{"type":"function","function":\{"name":"weather"/);
+  assert.match(second.at(-1).content, /<tool_response>\nsunny\n<\/tool_response>/);
+});
+
+test("missing host capabilities surface as UnsupportedFunctionalityError", async (t) => {
+  const { host, provider } = await setup(t, { capabilities: { chatCompletions: true, download: true } });
+
+  const stream = streamText({ model: provider.languageModel("org/m"), prompt: "hi", onError: () => {} });
+  const errors = [];
+  for await (const part of stream.fullStream) if (part.type === "error") errors.push(part.error);
+  assert.equal(errors.length, 1);
+  assert.ok(UnsupportedFunctionalityError.isInstance(errors[0]));
+  assert.match(errors[0].message, /doesn't support streaming \(no "stream" capability\)/);
+  await assert.rejects(
+    embed({ model: provider.textEmbeddingModel("org/e"), value: "hi", maxRetries: 0 }),
+    (err) => UnsupportedFunctionalityError.isInstance(err) && err.functionality === "embeddings"
+  );
+  assert.equal((await generateText({ model: provider.languageModel("org/m"), prompt: "hi" })).text, "hi");
+  assert.ok(!host.received.some((env) => env.type === "inference.stream" || env.type === "inference.embed"));
+});
+
+test("a missing model id or unknown model is a NoSuchModelError, host failures are APICallErrors", async (t) => {
+  const { provider } = await setup(t, {
+    availableModels: ["org/m"],
+    replies: { "org/m": { text: "one two", failAfterTokens: 1 } },
+  });
+  for (const [create, modelType] of [
+    [() => provider.languageModel(""), "languageModel"],
+    [() => provider.textEmbeddingModel(""), "textEmbeddingModel"],
+  ]) {
+    assert.throws(create, (err) => NoSuchModelError.isInstance(err) && err.modelType === modelType && err.modelId === "");
+  }
+
+  await assert.rejects(
+    generateText({ model: provider.languageModel("org/other"), prompt: "hi", maxRetries: 0 }),
+    (err) => NoSuchModelError.isInstance(err) && err.modelId === "org/other"
+  );
+  await assert.rejects(
+    generateText({ model: provider.languageModel("org/m"), prompt: "hi", maxRetries: 0 }),
+    (err) => APICallError.isInstance(err) && err.isRetryable === false && err.data.code === "stream_error"
+  );
+});
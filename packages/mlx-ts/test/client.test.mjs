@@ -0,0 +1,205 @@
+// MlxClient behaviour against an in-process MockMlxHost.
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+
+import {
+  MlxCancelledError,
+  MlxClient,
+  MlxConnectionError,
+  MlxProtocolError,
+  MlxQueueFullError,
+  MlxTimeoutError,
+  MlxUnsupportedError,
+  MockMlxHost,
+} from "../dist/index.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-client-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let sockets = 0;
+
+/** A started host and a connected client; both are closed after the test. */
+async function setup(t, hostOpts = {}, clientOpts = {}) {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, ...hostOpts });
+  await host.start();
+  const client = new MlxClient({ socketPath, ...clientOpts });
+  t.after(async () => {
+    await client.close();
+    await host.close();
+  });
+  await client.connect();
+  return { host, client };
+}
+
+const ask = (model, content = "hi") => ({ model, messages: [{ role: "user", content }] });
+
+test("breaking out of a stream cancels it on the host and frees its slot", async (t) => {
+  const { host, client } = await setup(
+    t,
+    { reply: "one two three four five six", tokenLatencyMs: 50 },
+    { scheduler: { maxConcurrent: 1 } }
+  );
+  await client.loadModel("m");
+
+  for await (const ev of client.stream(ask("m"))) {
+    if (ev.type === "token") break;
+  }
+  assert.equal(client.queueStats().running, 0);
+  await sleep(20);
+  assert.ok(host.received.some((env) => env.type === "inference.cancel"));
+
+  // The slot is free for the next request straight away.
+  const res = await client.generate(ask("m"), { timeoutMs: 1000 });
+  assert.equal(res.text, "one two three four five six");
+});
+
+test("a host crash fails the pending call, then the host is respawned with its models", async (t) => {
+  const hostPath = fileURLToPath(new URL("../scripts/mock-host.mjs", import.meta.url));
+  process.env.MLX_MOCK_HOST_CONFIG = JSON.stringify({ reply: "slow reply", tokenLatencyMs: 200 });
+  t.after(() => delete process.env.MLX_MOCK_HOST_CONFIG);
+  const client = new MlxClient({
+    hostPath,
+    socketPath: path.join(dir, `host-${++sockets}.sock`),
+    reconnect: { initialDelayMs: 10 },
+  });
+  t.after(() => client.close());
+
+  await client.connect();
+  const modelsDir = path.join(dir, "respawn-models");
+  await client.downloadModel({ kind: "huggingface", repo: "org/m" }, { modelsDir });
+  await client.loadModel("org/m");
+
+  const pending = client.generate(ask("org/m"));
+  const respawned = once(client, "respawned");
+  // Crash the host we spawned.
+  client["proc"].kill("SIGKILL");
+
+  await assert.rejects(pending, MlxConnectionError);
+  const [info] = await respawned;
+  assert.deepEqual(info.models, ["org/m"]);
+  const { cached, loaded } = await client.listModels();
+  assert.deepEqual(cached, ["org/m"]);
+  assert.deepEqual(loaded, ["org/m"]);
+  assert.equal((await client.generate(ask("org/m"))).text, "slow reply");
+});
+
+test("a request aborted or timed out while queued frees its place in line", async (t) => {
+  const { host, client } = await setup(
+    t,
+    { reply: "slow reply", tokenLatencyMs: 50 },
+    { scheduler: { maxConcurrent: 1, maxQueueLength: 2 } }
+  );
+  await client.loadModel("m");
+
+  const running = client.generate(ask("m"));
+  const abort = new AbortController();
+  const aborted = client.generate(ask("m"), { signal: abort.signal });
+  const timedOut = client.generate(ask("m"), { timeoutMs: 20 });
+  await assert.rejects(client.generate(ask("m")), MlxQueueFullError);
+  assert.deepEqual([client.queueStats().running, client.queueStats().queued], [1, 2]);
+
+  abort.abort();
+  await assert.rejects(aborted, MlxCancelledError);
+  await assert.rejects(timedOut, MlxTimeoutError);
+  assert.deepEqual([client.queueStats().running, client.queueStats().queued], [1, 0]);
+
+  const next = client.generate(ask("m"));
+  assert.equal((await running).text, "slow reply");
+  assert.equal((await next).text, "slow reply");
+  // Only the two requests that got a slot reached the host.
+  assert.equal(host.received.filter((env) => env.type === "inference.generate").length, 2);
+  assert.equal(client.queueStats().running, 0);
+});
+
+test("interactive streams overtake queued batch requests", async (t) => {
+  const { client } = await setup(t, { reply: (req) => req.messages[0].content, tokenLatencyMs: 10 }, { scheduler: { maxConcurrent: 1 } });
+  await client.loadModel("m");
+
+  const order = [];
+  const run = async (content, priority) => {
+    for await (const ev of client.stream(ask("m", content), { priority })) if (ev.type === "start") order.push(content);
+  };
+  await Promise.all([run("first"), run("batch", "batch"), run("chat", "interactive")]);
+  assert.deepEqual(order, ["first", "chat", "batch"]);
+});
+
+test("a session reuses the host's prompt cache until it is closed", async (t) => {
+  const { host, client } = await setup(t, { reply: "fine" });
+  await client.loadModel("m");
+  const session = client.session("m", { sessionId: "chat-1" });
+  const first = [{ role: "user", content: "hello there friend" }];
+  const second = [...first, { role: "assistant", content: "fine" }, { role: "user", content: "and you" }];
+
+  assert.equal((await session.generate({ messages: first })).usage.cachedTokens, 0);
+  assert.equal((await session.generate({ messages: second })).usage.cachedTokens, 3);
+  let final;
+  for await (const ev of session.stream({ messages: second })) if (ev.type === "end") final = ev.final;
+  // Everything but the last prompt token is reused.
+  assert.equal(final.usage.cachedTokens, 5);
+  // Requests outside the session don't touch its cache.
+  assert.equal((await client.generate(ask("m"))).usage.cachedTokens, undefined);
+
+  await session.close();
+  assert.deepEqual(host.received.find((env) => env.type === "session.close").payload, { sessionId: "chat-1" });
+  assert.equal((await session.generate({ messages: second })).usage.cachedTokens, 0);
+  const sessionIds = host.received.filter((env) => env.type.startsWith("inference.")).map((env) => env.payload.sessionId);
+  assert.deepEqual(sessionIds, ["chat-1", "chat-1", "chat-1", undefined, "chat-1"]);
+});
+
+test("features the host doesn't advertise fail before anything is sent", async (t) => {
+  const capabilities = { chatCompletions: true, download: true };
+  const { host, client } = await setup(t, { capabilities, serverVersion: "0.9.0" });
+  assert.deepEqual(client.serverInfo, { serverVersion: "0.9.0", protocolVersion: "1.0", capabilities });
+  assert.equal(client.supports("download"), true);
+  assert.equal(client.supports("stream"), false);
+  await client.loadModel("m");
+
+  const events = [];
+  for await (const ev of client.stream(ask("m"))) events.push(ev);
+  assert.deepEqual(
+    events.map((ev) => [ev.type, ev.code]),
+    [["error", "unsupported"]]
+  );
+  await assert.rejects(client.embed("e", ["a"]), { name: "MlxUnsupportedError", capability: "embeddings" });
+  await assert.rejects(client.session("m").generate({ messages: [{ role: "user", content: "hi" }] }), MlxUnsupportedError);
+  const image = { type: "image", mimeType: "image/png", data: "AA==" };
+  await assert.rejects(client.generate({ model: "m", messages: [{ role: "user", content: [image] }] }), {
+    capability: "images",
+    message: `mlx-ts: the connected mlx-host doesn't support image inputs (no "images" capability)`,
+  });
+  assert.equal(client.queueStats().running, 0);
+  assert.deepEqual(
+    host.received.map((env) => env.type),
+    ["handshake", "model.load"]
+  );
+
+  // What it does advertise still works.
+  assert.equal((await client.generate(ask("m"))).text, "hi");
+  await client.downloadModel({ kind: "huggingface", repo: "org/m" });
+});
+
+test("a host with another protocol major version is refused, or only warned about", async (t) => {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, protocolVersion: "2.0" });
+  await host.start();
+  t.after(() => host.close());
+
+  const strict = new MlxClient({ socketPath });
+  t.after(() => strict.close());
+  await assert.rejects(strict.connect(), (err) => err instanceof MlxProtocolError && err.reason === "incompatible_version");
+  assert.equal(strict.serverInfo, undefined);
+
+  const lenient = new MlxClient({ socketPath, versionMismatch: "warn" });
+  t.after(() => lenient.close());
+  const warned = once(process, "warning");
+  await lenient.connect();
+  const [warning] = await warned;
+  assert.equal(warning.code, "MLX_TS_PROTOCOL_VERSION");
+  assert.equal(lenient.serverInfo.protocolVersion, "2.0");
+});
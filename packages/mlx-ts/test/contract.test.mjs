@@ -0,0 +1,118 @@
+// Both AI SDK entry points (`mlx-ts`'s `createMlxProvider` and the standalone
+// `@mlx-ts/ai-sdk-provider-mlx` adapter) against the mock host, spawned as `hostPath`
+// the way the real binary would be.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { createMlxAiSdkProvider, createMlxProvider as createMlxChatWrapper } from "@mlx-ts/ai-sdk-provider-mlx";
+import { embedMany, generateText, jsonSchema, streamText, tool } from "ai";
+
+import { createMlxProvider } from "../dist/index.js";
+
+const hostPath = fileURLToPath(new URL("../scripts/mock-host.mjs", import.meta.url));
+const modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-contract-"));
+after(() => fs.rmSync(modelsDir, { recursive: true, force: true }));
+
+// Read by every mock host spawned below.
+process.env.MLX_MOCK_HOST_CONFIG = JSON.stringify({
+  availableModels: ["org/chat", "org/tools", "org/broken", "org/embed"],
+  replies: {
+    "org/chat": { text: "Hello from the mock host.", usage: { promptTokens: 7, completionTokens: 5 } },
+    "org/tools": '<tool_call>{"name":"add","arguments":{"a":1,"b":2}}</tool_call>',
+    "org/broken": { text: "", error: { code: "bad_request", message: "boom" } },
+  },
+});
+
+const providers = {
+  "mlx-ts createMlxProvider": (opts) => createMlxProvider({ hostPath, modelsDir, inheritStdio: false, ...opts }),
+  "@mlx-ts/ai-sdk-provider-mlx createMlxAiSdkProvider": (opts) =>
+    createMlxAiSdkProvider({ hostPath, modelsDir, inheritStdio: false, ...opts }),
+};
+
+for (const [name, create] of Object.entries(providers)) {
+  describe(name, () => {
+    const ended = [];
+    const mlx = create({ instrumentation: { onRequestEnd: (ev) => ended.push(ev) } });
+    after(() => mlx.client.close());
+
+    test("generateText returns the reply and usage", async () => {
+      const res = await generateText({ model: mlx.languageModel("org/chat"), prompt: "hi" });
+      assert.equal(res.text, "Hello from the mock host.");
+      assert.equal(res.finishReason, "stop");
+      assert.deepEqual(res.usage, { promptTokens: 7, completionTokens: 5, totalTokens: 12 });
+    });
+
+    test("instrumentation sees the inference request", async () => {
+      ended.length = 0;
+      await generateText({ model: mlx.languageModel("org/chat"), prompt: "hi" });
+      const inference = ended.find((ev) => ev.type === "inference.generate");
+      assert.equal(inference?.model, "org/chat");
+      assert.equal(inference?.outcome, "ok");
+      assert.equal(inference?.inference?.completionTokens, 5);
+    });
+
+    test("streamText streams the same reply", async () => {
+      const res = streamText({ model: mlx.languageModel("org/chat"), prompt: "hi" });
+      let text = "";
+      for await (const delta of res.textStream) text += delta;
+      assert.equal(text, "Hello from the mock host.");
+      assert.equal(await res.finishReason, "stop");
+    });
+
+    test("tool calls are parsed from the output", async () => {
+      const add = tool({
+        parameters: jsonSchema({
+          type: "object",
+          properties: { a: { type: "number" }, b: { type: "number" } },
+          required: ["a", "b"],
+        }),
+      });
+      const res = await generateText({ model: mlx.languageModel("org/tools"), prompt: "1+2?", tools: { add } });
+      assert.equal(res.finishReason, "tool-calls");
+      assert.deepEqual(
+        res.toolCalls.map((c) => [c.toolName, c.args]),
+        [["add", { a: 1, b: 2 }]]
+      );
+    });
+
+    test("embedMany returns one vector per value", async () => {
+      const res = await embedMany({ model: mlx.textEmbeddingModel("org/embed"), values: ["a", "b", "c"] });
+      assert.equal(res.embeddings.length, 3);
+      for (const e of res.embeddings) assert.equal(e.length, 8);
+      assert.notDeepEqual(res.embeddings[0], res.embeddings[1]);
+    });
+
+    test("host errors reject the call", async () => {
+      await assert.rejects(
+        generateText({ model: mlx.languageModel("org/broken"), prompt: "hi", maxRetries: 0 }),
+        /boom/
+      );
+    });
+
+    test("unknown models reject the call", async () => {
+      await assert.rejects(generateText({ model: mlx.languageModel("org/missing"), prompt: "hi", maxRetries: 0 }));
+    });
+  });
+}
+
+describe("@mlx-ts/ai-sdk-provider-mlx createMlxProvider (chat wrapper)", () => {
+  const provider = createMlxChatWrapper({ hostPath, inheritStdio: false, defaultModel: "org/chat" });
+  after(() => provider.client.close());
+
+  test("generate and stream answer without the AI SDK", async () => {
+    await provider.client.connect();
+    await provider.client.loadModel("org/chat");
+    const res = await provider.chat().generate({ messages: [{ role: "user", content: "hi" }] });
+    assert.equal(res.text, "Hello from the mock host.");
+
+    let text = "";
+    for await (const ev of await provider.chat().stream({ messages: [{ role: "user", content: "hi" }] })) {
+      if (ev.type === "token") text += ev.text;
+    }
+    assert.equal(text, "Hello from the mock host.");
+  });
+});
@@ -0,0 +1,103 @@
+// The shared daemon (`connect({ shared })`), with scripts/mock-host.mjs as the host binary.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+
+import { MlxClient, daemonStatus, getDaemonPaths, startDaemon, stopDaemon } from "../dist/index.js";
+
+const hostPath = fileURLToPath(new URL("../scripts/mock-host.mjs", import.meta.url));
+
+/** A fresh daemon directory; whatever daemon ends up running there is stopped after the test. */
+function daemonDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-daemon-"));
+  t.after(async () => {
+    await stopDaemon({ dir });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sharedClient(t, shared) {
+  const client = new MlxClient({ hostPath, shared });
+  t.after(() => client.close());
+  return client;
+}
+
+test("clients with shared: true attach to one daemon and see each other's models", async (t) => {
+  const dir = daemonDir(t);
+  const a = sharedClient(t, { dir, idleTimeoutMs: 0 });
+  const b = sharedClient(t, { dir, idleTimeoutMs: 0 });
+  await a.connect();
+  await b.connect();
+
+  const status = await daemonStatus(dir);
+  assert.equal(status.running, true);
+  assert.equal(status.info.state, "running");
+  assert.equal(status.info.socketPath, getDaemonPaths(dir).socketPath);
+  assert.notEqual(status.info.pid, process.pid);
+  assert.equal(fs.statSync(getDaemonPaths(dir).tokenPath).mode & 0o777, 0o600);
+
+  await a.loadModel("m");
+  assert.deepEqual((await b.listModels()).loaded, ["m"]);
+  assert.equal((await startDaemon({ dir, hostPath })).started, false);
+
+  // Closing a client leaves the daemon running for the others.
+  await a.close();
+  assert.equal((await b.generate({ model: "m", messages: [{ role: "user", content: "still here" }] })).text, "still here");
+
+  assert.equal(await stopDaemon({ dir }), true);
+  assert.deepEqual(await daemonStatus(dir), { running: false, stale: false });
+  assert.equal(await stopDaemon({ dir }), false);
+});
+
+test("the daemon exits once idle and the next client starts a new one", async (t) => {
+  const dir = daemonDir(t);
+  const client = sharedClient(t, { dir, idleTimeoutMs: 100 });
+  await client.connect();
+  const { pid } = (await daemonStatus(dir)).info;
+  await client.close();
+
+  // Poll the pid: `daemonStatus` connects to the socket, which would keep the daemon busy.
+  for (let i = 0; i < 60 && isAlive(pid); i++) await sleep(50);
+  assert.equal((await daemonStatus(dir)).running, false);
+
+  const next = sharedClient(t, { dir, idleTimeoutMs: 0 });
+  await next.connect();
+  const status = await daemonStatus(dir);
+  assert.equal(status.running, true);
+  assert.notEqual(status.info.pid, pid);
+});
+
+test("a lockfile and socket left by a dead daemon are cleaned up", async (t) => {
+  const dir = daemonDir(t);
+  const paths = getDaemonPaths(dir);
+  fs.chmodSync(dir, 0o700);
+  // A pid above the kernel's pid_max can't be alive.
+  const dead = { pid: 2 ** 22 + 1, socketPath: paths.socketPath, startedAt: new Date(0).toISOString(), state: "running" };
+  fs.writeFileSync(paths.lockPath, JSON.stringify(dead));
+  fs.writeFileSync(paths.socketPath, "");
+  assert.deepEqual(await daemonStatus(dir), { running: false, stale: true });
+
+  const { started, info, authToken } = await startDaemon({ dir, hostPath, idleTimeoutMs: 0 });
+  assert.equal(started, true);
+  assert.notEqual(info.pid, dead.pid);
+  assert.equal(authToken, fs.readFileSync(paths.tokenPath, "utf8"));
+
+  const client = new MlxClient({ socketPath: paths.socketPath, authToken });
+  t.after(() => client.close());
+  await client.connect();
+  assert.deepEqual(await client.listModels(), { cached: [], loaded: [] });
+});
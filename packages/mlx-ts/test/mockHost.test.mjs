@@ -0,0 +1,192 @@
+// MockMlxHost driven through MlxClient over its unix socket.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import { MlxAuthError, MlxClient, MlxModelNotFoundError, MockMlxHost } from "../dist/index.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-mock-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let sockets = 0;
+
+/** A started host and a connected client; both are closed after the test. */
+async function setup(t, hostOpts = {}, clientOpts = {}) {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, ...hostOpts });
+  await host.start();
+  const client = new MlxClient({ socketPath, ...clientOpts });
+  t.after(async () => {
+    await client.close();
+    await host.close();
+  });
+  await client.connect();
+  return { host, client };
+}
+
+const ask = (model, stop) => ({ model, messages: [{ role: "user", content: "hi" }], stop });
+
+async function collect(stream) {
+  const tokens = [];
+  let last;
+  for await (const ev of stream) {
+    if (ev.type === "token") tokens.push(ev.text);
+    last = ev;
+  }
+  return { tokens, last };
+}
+
+test("a stop sequence split across chunks is never streamed", async (t) => {
+  const { client } = await setup(t, { reply: "Hello END rest", chunk: () => ["Hello EN", "D rest"] });
+  await client.loadModel("m");
+
+  const { tokens, last } = await collect(client.stream(ask("m", ["END"])));
+  assert.deepEqual(tokens, ["Hello "]);
+  assert.equal(last.type, "end");
+  assert.equal(last.final.text, "Hello ");
+  assert.equal(last.final.finishReason, "stop-sequence");
+  assert.equal(last.final.stopSequence, "END");
+
+  const res = await client.generate(ask("m", ["END"]));
+  assert.equal(res.text, "Hello ");
+  assert.equal(res.finishReason, "stop-sequence");
+});
+
+test("a held-back partial stop sequence is sent once it can't match", async (t) => {
+  const { client } = await setup(t, { reply: "a ENb", chunk: () => ["a E", "Nb"] });
+  await client.loadModel("m");
+
+  const { tokens, last } = await collect(client.stream(ask("m", ["END"])));
+  assert.deepEqual(tokens, ["a ", "ENb"]);
+  assert.equal(last.final.text, "a ENb");
+  assert.equal(last.final.finishReason, "stop");
+});
+
+test("a partial stop sequence at the end of the output is flushed", async (t) => {
+  const { client } = await setup(t, { reply: "done EN", chunk: () => ["done ", "EN"] });
+  await client.loadModel("m");
+
+  const { tokens, last } = await collect(client.stream(ask("m", ["END"])));
+  assert.equal(tokens.join(""), "done EN");
+  assert.equal(last.final.text, "done EN");
+});
+
+test("the handshake requires the configured auth token", async (t) => {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, authToken: "secret" });
+  await host.start();
+  t.after(() => host.close());
+
+  const wrong = new MlxClient({ socketPath, authToken: "nope" });
+  t.after(() => wrong.close());
+  await assert.rejects(wrong.connect(), MlxAuthError);
+
+  const right = new MlxClient({ socketPath, authToken: "secret" });
+  t.after(() => right.close());
+  await right.connect();
+  assert.deepEqual(await right.listModels(), { cached: [], loaded: [] });
+});
+
+test("model.download reports progress per file and skips cached models", async (t) => {
+  const { client } = await setup(t, {
+    cachedModels: ["org/cached"],
+    availableModels: ["org/m", "org/cached"],
+    downloadFiles: [
+      { name: "config.json", bytes: 10 },
+      { name: "model.safetensors", bytes: 90 },
+    ],
+  });
+  const modelsDir = path.join(dir, "download-models");
+
+  const progress = [];
+  const res = await client.downloadModel({ kind: "huggingface", repo: "org/m" }, { modelsDir, onProgress: (p) => progress.push(p) });
+  assert.deepEqual(res, { model: "org/m", localPath: path.join(modelsDir, "models", "org/m") });
+  assert.deepEqual(
+    progress.map((p) => [p.currentFile, p.completedBytes, p.filesCompleted, p.fraction]),
+    [
+      ["config.json", 5, 0, 0.05],
+      ["config.json", 10, 1, 0.1],
+      ["model.safetensors", 55, 1, 0.55],
+      ["model.safetensors", 100, 2, 1],
+    ]
+  );
+
+  const again = [];
+  await client.downloadModel({ kind: "huggingface", repo: "org/cached" }, { onProgress: (p) => again.push(p) });
+  assert.deepEqual(again, []);
+  await assert.rejects(client.downloadModel({ kind: "huggingface", repo: "org/other" }), MlxModelNotFoundError);
+  assert.deepEqual((await client.listModels()).cached, ["org/cached", "org/m"]);
+});
+
+test("model.delete removes files under modelsDir and refuses ids that escape it", async (t) => {
+  const { client } = await setup(t);
+  const modelsDir = path.join(dir, "delete-models");
+  const model = path.join(modelsDir, "models", "org", "m");
+  fs.mkdirSync(model, { recursive: true });
+  const outside = path.join(modelsDir, "keep");
+  fs.mkdirSync(outside);
+
+  for (const id of ["../keep", "org/../../keep", "/keep", "org//m"]) {
+    await assert.rejects(client.deleteModel(id, { modelsDir }), { code: "bad_request", message: `mlx-ts: Invalid model id: ${id}` });
+  }
+  assert.ok(fs.existsSync(outside));
+
+  assert.deepEqual(await client.deleteModel("org/m", { modelsDir }), { model: "org/m", deleted: true });
+  assert.ok(!fs.existsSync(model));
+});
+
+test("injected errors fail every request of their type", async (t) => {
+  const { client } = await setup(t, {
+    errors: {
+      "model.load": { code: "model_not_found", message: "no such model" },
+      "inference.stream": { code: "oom", message: "out of memory" },
+    },
+  });
+  await assert.rejects(client.loadModel("m"), MlxModelNotFoundError);
+  await assert.rejects(client.generate(ask("m")), MlxModelNotFoundError);
+
+  const { last } = await collect(client.stream(ask("m")));
+  assert.deepEqual([last.type, last.code, last.message], ["error", "oom", "out of memory"]);
+});
+
+test("replies can fail part way, and maxTokens cuts them short", async (t) => {
+  const { host, client } = await setup(t, { replies: { broken: { text: "one two three", failAfterTokens: 1 } } });
+  await client.loadModel("m");
+  await client.loadModel("broken");
+
+  await assert.rejects(client.generate(ask("broken")), { code: "stream_error" });
+  const res = await client.generate({ ...ask("m"), maxTokens: 1 });
+  assert.deepEqual([res.text, res.finishReason], ["hi", "stop"]);
+  const long = await client.generate({ model: "m", messages: [{ role: "user", content: "a b c" }], maxTokens: 2 });
+  assert.deepEqual([long.text, long.finishReason, long.usage.completionTokens], ["a b ", "length", 2]);
+  assert.deepEqual(host.loadedModels, ["broken", "m"]);
+});
+
+test("embeddings are deterministic, sized and normalized on request", async (t) => {
+  const { client } = await setup(t, { embeddingDimensions: 4 });
+  const { embeddings, usage } = await client.embed("e", ["a b", "c", "a b"]);
+  assert.equal(embeddings.length, 3);
+  assert.deepEqual(embeddings[0], embeddings[2]);
+  assert.notDeepEqual(embeddings[0], embeddings[1]);
+  for (const v of embeddings) {
+    assert.equal(v.length, 4);
+    assert.ok(Math.abs(Math.hypot(...v) - 1) < 1e-9);
+  }
+  assert.deepEqual(usage, { promptTokens: 5 });
+
+  const [raw] = (await client.embed("e", ["a b"], { normalize: false })).embeddings;
+  assert.ok(Math.abs(Math.hypot(...raw) - 1) > 1e-6);
+  assert.deepEqual((await client.listModels()).loaded, ["e"]);
+});
+
+test("reset unloads models and optionally forgets downloads", async (t) => {
+  const { client } = await setup(t, { cachedModels: ["org/a"] });
+  await client.loadModel("org/a");
+  await client.reset({ unloadAll: false });
+  assert.deepEqual(await client.listModels(), { cached: ["org/a"], loaded: ["org/a"] });
+  await client.reset();
+  assert.deepEqual(await client.listModels(), { cached: ["org/a"], loaded: [] });
+  await client.reset({ clearCache: true });
+  assert.deepEqual(await client.listModels(), { cached: [], loaded: [] });
+});
@@ -0,0 +1,256 @@
+// createOpenAICompatibleServer over HTTP, backed by an in-process MockMlxHost.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import { MlxClient, MockMlxHost, createOpenAICompatibleServer } from "../dist/index.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-server-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let sockets = 0;
+
+/** Host, client and a listening server; all closed after the test. `post`/`get` return fetch responses. */
+async function setup(t, { host: hostOpts = {}, client: clientOpts = {}, server: serverOpts = {} } = {}) {
+  const socketPath = path.join(dir, `host-${++sockets}.sock`);
+  const host = new MockMlxHost({ socketPath, ...hostOpts });
+  await host.start();
+  const client = new MlxClient({ socketPath, ...clientOpts });
+  const server = createOpenAICompatibleServer({ client, modelsDir: dir, ...serverOpts });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await client.close();
+    await host.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (route, body, init) =>
+    fetch(base + route, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body), ...init });
+  return { host, client, post, get: (route) => fetch(base + route) };
+}
+
+/** The `data:` payloads of an SSE body (`[DONE]` kept as a string). */
+async function sseData(res) {
+  const text = await res.text();
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => block.split("\n").find((l) => l.startsWith("data: ")).slice(6))
+    .map((data) => (data === "[DONE]" ? data : JSON.parse(data)));
+}
+
+const chat = (extra) => ({ model: "m", messages: [{ role: "user", content: "hi" }], ...extra });
+
+test("POST /v1/chat/completions answers with the reply and usage", async (t) => {
+  const { post } = await setup(t, { host: { reply: "Hello there." } });
+  const res = await post("/v1/chat/completions", chat());
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "chat.completion");
+  assert.equal(body.model, "m");
+  assert.deepEqual(body.choices, [
+    { index: 0, message: { role: "assistant", content: "Hello there." }, logprobs: null, finish_reason: "stop" },
+  ]);
+  assert.deepEqual(body.usage, { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+});
+
+test("POST /v1/chat/completions streams SSE chunks ending in [DONE]", async (t) => {
+  const { post } = await setup(t, { host: { reply: "Hello there." } });
+  const res = await post("/v1/chat/completions", chat({ stream: true, stream_options: { include_usage: true } }));
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = await sseData(res);
+  assert.equal(events.pop(), "[DONE]");
+  const usage = events.pop();
+  assert.deepEqual(usage.choices, []);
+  assert.deepEqual(usage.usage, { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 });
+  assert.deepEqual(events.shift().choices[0].delta, { role: "assistant", content: "" });
+  assert.equal(events.pop().choices[0].finish_reason, "stop");
+  for (const ev of events) {
+    assert.equal(ev.object, "chat.completion.chunk");
+    assert.equal(ev.usage, null);
+  }
+  assert.equal(events.map((ev) => ev.choices[0].delta.content).join(""), "Hello there.");
+});
+
+test("POST /v1/completions answers with text and honours stop", async (t) => {
+  const { post } = await setup(t, { host: { reply: "one two three" } });
+  const res = await post("/v1/completions", { model: "m", prompt: "count", stop: "three" });
+  const body = await res.json();
+  assert.equal(body.object, "text_completion");
+  assert.equal(body.choices[0].text, "one two ");
+  assert.equal(body.choices[0].finish_reason, "stop");
+
+  const streamed = await sseData(await post("/v1/completions", { model: "m", prompt: "count", stream: true }));
+  assert.equal(streamed.pop(), "[DONE]");
+  assert.equal(streamed.map((ev) => ev.choices[0].text).join(""), "one two three");
+});
+
+test("a non-string stop is a 400", async (t) => {
+  const { post } = await setup(t);
+  for (const stop of [[1], ["ok", { x: 1 }], 7]) {
+    const res = await post("/v1/chat/completions", chat({ stop }));
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.param, "stop");
+  }
+});
+
+test("POST /v1/embeddings returns float and base64 vectors", async (t) => {
+  const { post } = await setup(t, { host: { embeddingDimensions: 4 } });
+  const res = await post("/v1/embeddings", { model: "e", input: ["a", "b"] });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "list");
+  assert.deepEqual(
+    body.data.map((d) => [d.object, d.index, d.embedding.length]),
+    [
+      ["embedding", 0, 4],
+      ["embedding", 1, 4],
+    ]
+  );
+
+  const b64 = await (await post("/v1/embeddings", { model: "e", input: "a", encoding_format: "base64" })).json();
+  const bytes = Buffer.from(b64.data[0].embedding, "base64");
+  const floats = [...new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4)];
+  floats.forEach((x, i) => assert.ok(Math.abs(x - body.data[0].embedding[i]) < 1e-6));
+
+  assert.equal((await post("/v1/embeddings", { model: "e", input: [1] })).status, 400);
+});
+
+test("GET /v1/models lists loaded, cached and aliased models", async (t) => {
+  const { post, get } = await setup(t, { server: { modelAliases: { fast: "m" } } });
+  await post("/v1/chat/completions", chat());
+  const body = await (await get("/v1/models")).json();
+  assert.equal(body.object, "list");
+  assert.deepEqual(body.data.map((m) => m.id).sort(), ["fast", "m"]);
+});
+
+test("a full scheduler queue is a 429 with retry-after", async (t) => {
+  const { post } = await setup(t, {
+    host: { reply: "slow reply", tokenLatencyMs: 100 },
+    client: { scheduler: { maxConcurrent: 1, maxQueueLength: 0 } },
+  });
+  await post("/v1/chat/completions", chat());
+  const first = post("/v1/chat/completions", chat());
+  await new Promise((r) => setTimeout(r, 50));
+
+  const res = await post("/v1/chat/completions", chat({ stream: true }));
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("retry-after"), "1");
+  assert.equal((await res.json()).error.code, "queue_full");
+  assert.equal((await first).status, 200);
+});
+
+test("a request cancelled on the host is a 499", async (t) => {
+  const { post } = await setup(t, {
+    host: { errors: { "inference.stream": { code: "cancelled", message: "cancelled by the host" } } },
+  });
+  const res = await post("/v1/chat/completions", chat({ stream: true }));
+  assert.equal(res.status, 499);
+  assert.deepEqual((await res.json()).error, {
+    message: "cancelled by the host",
+    type: "cancelled",
+    param: null,
+    code: "cancelled",
+  });
+});
+
+test("a client that disconnects during the model download aborts it", async (t) => {
+  const { client, post } = await setup(t, { host: { downloadLatencyMs: 100 } });
+  const downloads = [];
+  client.instrument({ onRequestEnd: (ev) => ev.type === "model.download" && downloads.push(ev.outcome) });
+
+  const abort = new AbortController();
+  const gone = post("/v1/chat/completions", chat(), { signal: abort.signal });
+  setTimeout(() => abort.abort(), 50);
+  await assert.rejects(gone, { name: "AbortError" });
+  await new Promise((r) => setTimeout(r, 50));
+  assert.deepEqual(downloads, ["cancelled"]);
+
+  // The next request starts over rather than joining the abandoned download.
+  assert.equal((await post("/v1/chat/completions", chat())).status, 200);
+  assert.deepEqual(downloads, ["cancelled", "ok"]);
+});
+
+/** `[event, data]` pairs of an Anthropic-style SSE body. */
+async function sseEvents(res) {
+  const text = await res.text();
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const [event, data] = block.split("\n");
+      assert.ok(event.startsWith("event: ") && data.startsWith("data: "), block);
+      return [event.slice(7), JSON.parse(data.slice(6))];
+    });
+}
+
+const message = (extra) => ({ model: "m", max_tokens: 64, messages: [{ role: "user", content: "hi" }], ...extra });
+
+test("POST /v1/messages answers in the Anthropic shape", async (t) => {
+  const { host, post } = await setup(t, { host: { reply: "Hello there. END more" } });
+  const res = await post("/v1/messages", message({ system: "Be brief.", stop_sequences: ["END"] }));
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.match(body.id, /^msg_/);
+  assert.deepEqual({ ...body, id: undefined }, {
+    id: undefined,
+    type: "message",
+    role: "assistant",
+    model: "m",
+    content: [{ type: "text", text: "Hello there. " }],
+    stop_reason: "stop_sequence",
+    stop_sequence: "END",
+    usage: { input_tokens: 3, output_tokens: 3 },
+  });
+  const sent = host.received.find((env) => env.type === "inference.generate").payload;
+  assert.deepEqual(sent.messages[0], { role: "system", content: "Be brief." });
+});
+
+test("POST /v1/messages streams the Anthropic event sequence", async (t) => {
+  const { post } = await setup(t, { host: { reply: "Hello there." } });
+  const res = await post("/v1/messages", message({ stream: true }));
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = await sseEvents(res);
+  assert.deepEqual(
+    events.map(([event]) => event),
+    ["message_start", "content_block_start", "content_block_delta", "content_block_delta", "content_block_stop", "message_delta", "message_stop"]
+  );
+  for (const [event, data] of events) assert.equal(data.type, event);
+  assert.equal(events[0][1].message.role, "assistant");
+  assert.deepEqual(events[1][1].content_block, { type: "text", text: "" });
+  assert.equal(
+    events
+      .filter(([event]) => event === "content_block_delta")
+      .map(([, data]) => data.delta.text)
+      .join(""),
+    "Hello there."
+  );
+  assert.deepEqual(events[5][1].delta, { stop_reason: "end_turn", stop_sequence: null });
+  assert.deepEqual(events[5][1].usage, { input_tokens: 1, output_tokens: 2 });
+});
+
+test("POST /v1/messages reports errors in the Anthropic shape", async (t) => {
+  const { post } = await setup(t);
+  const res = await post("/v1/messages", { model: "m", messages: [{ role: "user", content: "hi" }] });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    type: "error",
+    error: { type: "invalid_request_error", message: "max_tokens: field required" },
+  });
+
+  const bad = await post("/v1/messages", message({ messages: [{ role: "system", content: "x" }] }));
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.type, "invalid_request_error");
+});
+
+test("POST /v1/messages stops at max_tokens", async (t) => {
+  const { post } = await setup(t, { host: { reply: "one two three four" } });
+  const body = await (await post("/v1/messages", message({ max_tokens: 2 }))).json();
+  assert.equal(body.content[0].text, "one two ");
+  assert.equal(body.stop_reason, "max_tokens");
+});
@@ -0,0 +1,75 @@
+// createMlxProvider with scripts/mock-host.mjs as the host binary.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { APICallError, generateText, streamText } from "ai";
+
+import { combineInstrumentation, createLoggingInstrumentation, createMlxProvider, createPrometheusMetrics } from "../dist/index.js";
+
+const hostPath = fileURLToPath(new URL("../scripts/mock-host.mjs", import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mlx-ts-provider-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/** A provider whose spawned mock host is configured with `hostConfig`; closed after the test. */
+function provider(t, hostConfig, opts = {}) {
+  process.env.MLX_MOCK_HOST_CONFIG = JSON.stringify(hostConfig);
+  t.after(() => delete process.env.MLX_MOCK_HOST_CONFIG);
+  const mlx = createMlxProvider({ hostPath, modelsDir: dir, inheritStdio: false, model: "org/m", ...opts });
+  t.after(() => mlx.client.close());
+  return mlx;
+}
+
+test("instrumentation passed to createMlxProvider sees every RPC, including failures", async (t) => {
+  const ends = [];
+  const logs = [];
+  const metrics = createPrometheusMetrics();
+  const instrumentation = combineInstrumentation(
+    { onRequestEnd: (ev) => ends.push(ev) },
+    createLoggingInstrumentation({ log: (record) => logs.push(record), errorsOnly: true }),
+    metrics
+  );
+  const mlx = provider(t, { replies: { "org/m": "Hello there.", "org/broken": { text: "a b", failAfterTokens: 1 } } }, { instrumentation });
+
+  assert.equal((await generateText({ model: mlx.languageModel(), prompt: "hi" })).text, "Hello there.");
+  assert.deepEqual(
+    ends.map((ev) => [ev.type, ev.model, ev.outcome]),
+    [
+      ["handshake", undefined, "ok"],
+      ["model.download", "org/m", "ok"],
+      ["model.load", "org/m", "ok"],
+      ["inference.generate", "org/m", "ok"],
+    ]
+  );
+  const generated = ends.at(-1);
+  assert.equal(generated.inference.streaming, false);
+  assert.equal(generated.inference.completionTokens, 2);
+  assert.equal(generated.inference.finishReason, "stop");
+  assert.deepEqual(logs, []);
+
+  const stream = streamText({ model: mlx.languageModel("org/broken"), prompt: "hi", onError: () => {} });
+  const errors = [];
+  for await (const part of stream.fullStream) if (part.type === "error") errors.push(part.error);
+  assert.ok(APICallError.isInstance(errors[0]));
+
+  const failed = ends.at(-1);
+  assert.deepEqual([failed.type, failed.model, failed.outcome, failed.error.code], ["inference.stream", "org/broken", "error", "stream_error"]);
+  assert.equal(failed.inference.streaming, true);
+  assert.equal(failed.inference.tokensEmitted, 1);
+  assert.deepEqual(
+    logs.map((r) => [r.level, r.type, r.outcome, r.errorCode]),
+    [["warn", "inference.stream", "error", "stream_error"]]
+  );
+  assert.match(metrics.render(), /^mlx_requests_total\{type="inference.stream",outcome="error"\} 1$/m);
+  assert.match(metrics.render(), /^mlx_completion_tokens_total\{model="org\/m"\} 2$/m);
+});
+
+test("languageModel() falls back to the provider's model and needs one of them", (t) => {
+  assert.equal(provider(t, {}).languageModel().modelId, "org/m");
+  const mlx = provider(t, {}, { model: undefined });
+  assert.throws(() => mlx.languageModel(), /no model id given/);
+  assert.equal(mlx.languageModel("org/x").modelId, "org/x");
+});